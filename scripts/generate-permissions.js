@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Permission Allowlist Generator
+ *
+ * Adds Bash allow rules for the project's package manager and package.json
+ * scripts (and other detected toolchains) to .claude/settings.json.
+ * Existing rules and settings are kept; only missing rules are appended.
+ *
+ * Usage:
+ *   node scripts/generate-permissions.js [options] [project-dir]
+ *
+ * Options:
+ *   --dry-run          Show the diff without writing
+ *   --strict           Leave out install and exec (npx, pnpm dlx, ...) commands
+ *   --local            Write .claude/settings.local.json instead
+ *   --settings <file>  Write to another settings file (relative to the project)
+ */
+
+const path = require('path');
+const { generatePermissions, formatPermissionsDiff } = require('./lib/permissions');
+const { describeToolchains } = require('./lib/ecosystems');
+
+const USAGE = 'Usage: node scripts/generate-permissions.js [--dry-run] [--strict] [--local | --settings <file>] [project-dir]';
+
+function parseArgs(argv) {
+  const options = { dryRun: false, strict: false, settingsPath: null, projectDir: process.cwd() };
+  let projectDir = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--dry-run': options.dryRun = true; break;
+      case '--strict': options.strict = true; break;
+      case '--local': options.settingsPath = path.join('.claude', 'settings.local.json'); break;
+      case '--settings':
+        if (!argv[i + 1] || argv[i + 1].startsWith('-')) {
+          options.error = '--settings needs a file';
+        }
+        options.settingsPath = argv[++i];
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        // A mistyped flag must not be taken for the project directory
+        if (arg.startsWith('-')) {
+          options.error = `Unknown option ${arg}`;
+        } else if (projectDir !== null) {
+          options.error = `Unexpected argument ${arg} (project directory is already ${projectDir})`;
+        } else {
+          projectDir = arg;
+          options.projectDir = path.resolve(arg);
+        }
+    }
+  }
+
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  if (options.error) {
+    console.error(`Error: ${options.error}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const result = generatePermissions(options);
+  if (!result.success) {
+    console.error(`✗ ${result.error}`);
+    process.exit(1);
+  }
+
+  console.log(`Package manager: ${result.pm.name} (${result.pm.source})`);
+  if (result.toolchains.length > 0) {
+    console.log(`Toolchains: ${describeToolchains(result.toolchains)}`);
+  }
+  console.log(`Scripts: ${result.scripts.length > 0 ? result.scripts.join(', ') : '(none)'}`);
+  console.log(`Mode: ${options.strict ? 'strict (no install or exec commands)' : 'standard'}`);
+  console.log('');
+  console.log(formatPermissionsDiff(result));
+
+  if (result.foreign.length > 0) {
+    console.log('');
+    console.log(`Existing rules for other package managers (kept; remove them if ${result.pm.name} is the only one used):`);
+    for (const rule of result.foreign) {
+      console.log(`  ${rule}`);
+    }
+  }
+
+  console.log('');
+  if (options.dryRun) {
+    console.log(`Dry run: ${result.added.length} rule(s) would be added`);
+  } else if (result.written) {
+    console.log(`✓ Added ${result.added.length} rule(s) to ${result.settingsPath}`);
+  } else {
+    console.log(`✓ ${result.settingsPath} already has every rule`);
+  }
+}
+
+main();
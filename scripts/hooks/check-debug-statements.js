@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Stop Hook: Check for debug statements added in this session
+ *
+ * Cross-platform (Windows, macOS, Linux)
+ *
+ * Runs after each response and reports, by file and line, the debug
+ * statements (console.log, debugger, print(), var_dump, dbg!, fmt.Println)
+ * on lines added since HEAD, so they are removed before committing. See
+ * scripts/lib/debug-statements.js for the allowlist, ignore comments and
+ * configuration.
+ *
+ * In strict mode the hook exits with code 2, which sends the report back
+ * to Claude to clean up before it stops.
+ */
+
+const { readStdinJson, log } = require('../lib/utils');
+const { scanDebugStatements } = require('../lib/debug-statements');
+
+// Findings listed at most
+const MAX_REPORTED = 20;
+
+async function main() {
+  // Hook input: cwd, stop_hook_active (true when Claude is already continuing because of a Stop hook)
+  const input = process.stdin.isTTY ? {} : await readStdinJson().catch(() => ({}));
+  const result = scanDebugStatements({ cwd: input.cwd || process.cwd() });
+  if (!result || result.findings.length === 0) {
+    process.exit(0);
+  }
+
+  const { config, findings } = result;
+  for (const finding of findings.slice(0, MAX_REPORTED)) {
+    log(`[DebugCheck] ${finding.file}:${finding.line} ${finding.statement}: ${finding.text}`);
+  }
+  if (findings.length > MAX_REPORTED) {
+    log(`[DebugCheck] ... and ${findings.length - MAX_REPORTED} more`);
+  }
+  log(`[DebugCheck] ${findings.length} debug statement(s) added - remove them before committing, or mark intended ones with a "debug-ok" comment`);
+
+  // Block once; a second block while Claude is already continuing could loop
+  if (config.strict && !input.stop_hook_active) {
+    process.exit(2);
+  }
+
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('[DebugCheck] Error:', err.message);
+  process.exit(0); // Don't block on errors
+});
@@ -4,7 +4,10 @@
  *
  * Cross-platform (Windows, macOS, Linux)
  *
- * Runs on Stop hook to extract reusable patterns from Claude Code sessions
+ * Runs on Stop hook to extract reusable patterns from Claude Code sessions:
+ * parses the transcript, detects repeated tool sequences, corrected mistakes,
+ * fixed command failures and frequently edited files, and drafts a learned
+ * skill for each new one (see scripts/lib/session-learning.js)
  *
  * Why Stop hook instead of UserPromptSubmit:
  * - Stop runs once at session end (lightweight)
@@ -15,13 +18,19 @@ const path = require('path');
 const fs = require('fs');
 const {
   getLearnedSkillsDir,
+  getProjectName,
   ensureDir,
   readFile,
-  countInFile,
+  readStdinJson,
   log
 } = require('../lib/utils');
+const { readTranscript } = require('../lib/transcript');
+const { findPatterns, writeSkillDrafts } = require('../lib/session-learning');
 
 async function main() {
+  // Hook input: session_id, transcript_path
+  const input = process.stdin.isTTY ? {} : await readStdinJson().catch(() => ({}));
+
   // Get script directory to find config
   const scriptDir = __dirname;
   const configFile = path.join(scriptDir, '..', '..', 'skills', 'continuous-learning', 'config.json');
@@ -29,6 +38,7 @@ async function main() {
   // Default configuration
   let minSessionLength = 10;
   let learnedSkillsPath = getLearnedSkillsDir();
+  const learningOptions = {};
 
   // Load config if exists
   const configContent = readFile(configFile);
@@ -41,6 +51,12 @@ async function main() {
         // Handle ~ in path
         learnedSkillsPath = config.learned_skills_path.replace(/^~/, require('os').homedir());
       }
+
+      // Detection thresholds (see DEFAULT_LEARNING_OPTIONS in session-learning.js)
+      if (config.min_sequence_occurrences) learningOptions.minSequenceOccurrences = config.min_sequence_occurrences;
+      if (config.min_file_edits) learningOptions.minFileEdits = config.min_file_edits;
+      if (config.max_drafts) learningOptions.maxDrafts = config.max_drafts;
+      if (config.max_corrections) learningOptions.maxCorrections = config.max_corrections;
     } catch {
       // Invalid config, use defaults
     }
@@ -49,25 +65,39 @@ async function main() {
   // Ensure learned skills directory exists
   ensureDir(learnedSkillsPath);
 
-  // Get transcript path from environment (set by Claude Code)
-  const transcriptPath = process.env.CLAUDE_TRANSCRIPT_PATH;
+  // Transcript path from the hook input, or the environment
+  const transcriptPath = input.transcript_path || process.env.CLAUDE_TRANSCRIPT_PATH;
 
   if (!transcriptPath || !fs.existsSync(transcriptPath)) {
     process.exit(0);
   }
 
-  // Count user messages in session
-  const messageCount = countInFile(transcriptPath, /"type":"user"/g);
+  const { events, stats } = await readTranscript(transcriptPath);
 
   // Skip short sessions
-  if (messageCount < minSessionLength) {
-    log(`[ContinuousLearning] Session too short (${messageCount} messages), skipping`);
+  if (stats.userMessages < minSessionLength) {
+    log(`[ContinuousLearning] Session too short (${stats.userMessages} messages), skipping`);
+    process.exit(0);
+  }
+
+  const candidates = findPatterns(events, learningOptions);
+  if (candidates.length === 0) {
+    log(`[ContinuousLearning] No reusable patterns found in ${stats.userMessages} messages`);
     process.exit(0);
   }
 
-  // Signal to Claude that session should be evaluated for extractable patterns
-  log(`[ContinuousLearning] Session has ${messageCount} messages - evaluate for extractable patterns`);
-  log(`[ContinuousLearning] Save learned skills to: ${learnedSkillsPath}`);
+  const { written, duplicates } = writeSkillDrafts(candidates, learnedSkillsPath, {
+    ...learningOptions,
+    project: getProjectName()
+  });
+
+  log(`[ContinuousLearning] Found ${candidates.length} candidate pattern(s) (${duplicates} already learned)`);
+  for (const file of written) {
+    log(`[ContinuousLearning] Drafted skill: ${file}`);
+  }
+  if (written.length > 0) {
+    log('[ContinuousLearning] Review the drafts and delete any that are not worth keeping');
+  }
 
   process.exit(0);
 }
@@ -6,20 +6,33 @@
  *
  * Runs before Claude compacts context, giving you a chance to
  * preserve important state that might get lost in summarization.
+ * Finds this session's file (by the hook input's session_id) and records the git
+ * state and a snapshot of active todos, recently edited files, open
+ * errors, the plan file and key decisions. session-start.js hands the
+ * snapshot back to Claude once compaction is done.
  */
 
 const path = require('path');
 const {
   getSessionsDir,
   getDateTimeString,
+  getDateString,
   getTimeString,
-  findFiles,
   ensureDir,
   appendFile,
+  getGitState,
+  getProjectIdentity,
+  readStdinJson,
   log
 } = require('../lib/utils');
+const { getCurrentSessionPath, writeSessionData, updateSessionData } = require('../lib/session-manager');
+const { createSessionData } = require('../lib/session-format');
+const { readTranscript } = require('../lib/transcript');
+const { buildSnapshot, hasSnapshotContent, applySnapshot } = require('../lib/session-snapshot');
 
 async function main() {
+  // Hook input: session_id, transcript_path, trigger ("manual" or "auto")
+  const input = process.stdin.isTTY ? {} : await readStdinJson().catch(() => ({}));
   const sessionsDir = getSessionsDir();
   const compactionLog = path.join(sessionsDir, 'compaction-log.txt');
 
@@ -29,16 +42,42 @@ async function main() {
   const timestamp = getDateTimeString();
   appendFile(compactionLog, `[${timestamp}] Context compaction triggered\n`);
 
-  // If there's an active session file, note the compaction
-  const sessions = findFiles(sessionsDir, '*.tmp');
+  const { sessionPath, exists } = getCurrentSessionPath(input.session_id || process.env.CLAUDE_SESSION_ID);
+  const transcriptPath = input.transcript_path || process.env.CLAUDE_TRANSCRIPT_PATH;
+  const transcript = transcriptPath ? await readTranscript(transcriptPath) : null;
+  const snapshot = transcript
+    ? buildSnapshot({ events: transcript.events, stats: transcript.stats, trigger: input.trigger })
+    : null;
 
-  if (sessions.length > 0) {
-    const activeSession = sessions[0].path;
-    const timeStr = getTimeString();
-    appendFile(activeSession, `\n---\n**[Compaction occurred at ${timeStr}]** - Context was summarized\n`);
+  const timeStr = getTimeString();
+  const git = getGitState();
+  const record = session => {
+    const updated = {
+      ...session,
+      git: git || session.git,
+      project: session.project || getProjectIdentity(),
+      sections: [
+        ...session.sections,
+        { level: 0, heading: '', content: `**[Compaction occurred at ${timeStr}]** - Context was summarized` }
+      ]
+    };
+    return snapshot && hasSnapshotContent(snapshot) ? applySnapshot(updated, snapshot) : updated;
+  };
+
+  if (exists) {
+    updateSessionData(sessionPath, record);
+  } else {
+    // First compaction before session-end ever ran: start this session's file
+    const today = getDateString();
+    writeSessionData(sessionPath, record(createSessionData({
+      title: `Session: ${today}`,
+      date: today,
+      started: timeStr,
+      lastUpdated: timeStr
+    })));
   }
 
-  log('[PreCompact] State saved before compaction');
+  log(`[PreCompact] State saved to ${sessionPath}${snapshot && hasSnapshotContent(snapshot) ? ' (with snapshot)' : ''}`);
   process.exit(0);
 }
 
@@ -5,76 +5,110 @@
  * Cross-platform (Windows, macOS, Linux)
  *
  * Runs when Claude session ends. Creates/updates session log file
- * with timestamp for continuity tracking.
+ * with timestamp, repository state and transcript statistics, and fills
+ * its sections from the transcript's todos, edited files, failing commands
+ * and the git diff (hand edits to the file are kept).
  */
 
-const path = require('path');
 const fs = require('fs');
 const {
   getSessionsDir,
   getDateString,
   getTimeString,
-  getSessionIdShort,
   ensureDir,
-  writeFile,
-  replaceInFile,
+  getGitState,
+  getProjectIdentity,
+  readStdinJson,
   log
 } = require('../lib/utils');
+const { getCurrentSessionPath, writeSessionData, updateSessionData } = require('../lib/session-manager');
+const { createSessionData } = require('../lib/session-format');
+const { readTranscript } = require('../lib/transcript');
+const { buildSessionSummary, applySessionSummary, getDiffSummary } = require('../lib/session-summary');
+
+/**
+ * Keep the transcript statistics worth storing in the session file
+ * @param {object} stats - Stats from transcript.js
+ * @returns {object} Stats subset
+ */
+function toSessionStats(stats) {
+  return {
+    userMessages: stats.userMessages,
+    toolCalls: stats.toolCalls,
+    toolErrors: stats.toolErrors,
+    compactions: stats.compactions,
+    tools: stats.tools,
+    tokens: {
+      input: stats.usage.inputTokens + stats.usage.cacheCreationTokens + stats.usage.cacheReadTokens,
+      output: stats.usage.outputTokens
+    },
+    filesModified: stats.filesModified
+  };
+}
 
 async function main() {
+  // Hook input: session_id, transcript_path
+  const input = process.stdin.isTTY ? {} : await readStdinJson().catch(() => ({}));
   const sessionsDir = getSessionsDir();
   const today = getDateString();
-  const shortId = getSessionIdShort();
-  // Include session ID in filename for unique per-session tracking
-  const sessionFile = path.join(sessionsDir, `${today}-${shortId}-session.tmp`);
+  // One file per session ID (kept when the session runs past midnight)
+  const { sessionPath: sessionFile } = getCurrentSessionPath(input.session_id || process.env.CLAUDE_SESSION_ID);
 
   ensureDir(sessionsDir);
 
   const currentTime = getTimeString();
-
-  // If session file exists for today, update the end time
+  // Branch, HEAD and dirty files, so the next session can spot a changed checkout
+  const git = getGitState();
+  // Tags the session so listings can be scoped to this project
+  const project = getProjectIdentity();
+  const transcriptPath = input.transcript_path || process.env.CLAUDE_TRANSCRIPT_PATH;
+  const transcript = transcriptPath && fs.existsSync(transcriptPath) ? await readTranscript(transcriptPath) : null;
+  // Message, tool and token counts plus files modified, from the transcript
+  const stats = transcript ? toSessionStats(transcript.stats) : null;
+  // Section content from the transcript; without one, generated content from earlier runs is kept as is
+  const summary = transcript
+    ? buildSessionSummary({
+      events: transcript.events,
+      stats: transcript.stats,
+      git,
+      diffSummary: git ? getDiffSummary(git.root) : null
+    })
+    : null;
+
+  // If session file exists for today, update the end time, git state and
+  // generated content (legacy markdown-only files are upgraded to the structured format here)
   if (fs.existsSync(sessionFile)) {
-    const success = replaceInFile(
-      sessionFile,
-      /\*\*Last Updated:\*\*.*/,
-      `**Last Updated:** ${currentTime}`
-    );
+    const success = updateSessionData(sessionFile, session => ({
+      ...(summary ? applySessionSummary(session, summary) : session),
+      lastUpdated: currentTime,
+      git: git || session.git,
+      project: session.project || project,
+      stats: stats || session.stats
+    }));
 
     if (success) {
       log(`[SessionEnd] Updated session file: ${sessionFile}`);
     }
   } else {
-    // Create new session file with template
-    const template = `# Session: ${today}
-**Date:** ${today}
-**Started:** ${currentTime}
-**Last Updated:** ${currentTime}
-
----
-
-## Current State
-
-[Session context goes here]
-
-### Completed
-- [ ]
-
-### In Progress
-- [ ]
-
-### Notes for Next Session
--
-
-### Context to Load
-\`\`\`
-[relevant files]
-\`\`\`
-`;
-
-    writeFile(sessionFile, template);
+    // Create new structured session file
+    const session = createSessionData({
+      title: `Session: ${today}`,
+      date: today,
+      started: currentTime,
+      lastUpdated: currentTime,
+      git,
+      project,
+      stats
+    });
+
+    writeSessionData(sessionFile, summary ? applySessionSummary(session, summary) : session);
     log(`[SessionEnd] Created session file: ${sessionFile}`);
   }
 
+  if (stats) {
+    log(`[SessionEnd] ${stats.userMessages} messages, ${stats.toolCalls} tool calls, ${stats.filesModified.length} file(s) modified`);
+  }
+
   process.exit(0);
 }
 
@@ -5,20 +5,179 @@
  * Cross-platform (Windows, macOS, Linux)
  *
  * Runs when a new Claude session starts. Checks for recent session
- * files and notifies Claude of available context to load.
+ * files and gives Claude a token-budgeted resume brief of the latest one
+ * (see scripts/lib/resume-brief.js), warning when the checkout has
+ * changed since the last session in this repository. After a compaction
+ * it hands back the state snapshot pre-compact.js saved instead.
  */
 
+const path = require('path');
+
 const {
   getSessionsDir,
   getLearnedSkillsDir,
   findFiles,
   ensureDir,
-  log
+  getGitState,
+  getProjectName,
+  readStdinJson,
+  log,
+  output
 } = require('../lib/utils');
-const { getPackageManager, getSelectionPrompt } = require('../lib/package-manager');
-const { listAliases } = require('../lib/session-aliases');
+const {
+  getPackageManager,
+  getSelectionPrompt,
+  checkPackageManagerVersion,
+  diagnosePackageManager
+} = require('../lib/package-manager');
+const { detectToolchains, describeToolchains } = require('../lib/ecosystems');
+const { listAliases, getAliasesForSession } = require('../lib/session-aliases');
+const { getAllSessions, getCurrentSessionPath, readSessionData } = require('../lib/session-manager');
+const { listLearnedSkills } = require('../lib/session-learning');
+const { getBriefConfig, buildResumeBrief } = require('../lib/resume-brief');
+const { renderSnapshot } = require('../lib/session-snapshot');
+
+const RECENT_DAYS = 7;
+
+// A snapshot older than this belongs to an earlier compaction
+const SNAPSHOT_MAX_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Hand Claude the state snapshot saved before this compaction
+ * @param {string} sessionId - Session ID from the hook input
+ * @returns {boolean} True if a snapshot was emitted
+ */
+function emitCompactionSnapshot(sessionId) {
+  const { sessionPath, exists } = getCurrentSessionPath(sessionId || process.env.CLAUDE_SESSION_ID);
+  const session = exists ? readSessionData(sessionPath) : null;
+  const snapshot = session && session.snapshot;
+
+  if (!snapshot || Date.now() - Date.parse(snapshot.capturedAt) > SNAPSHOT_MAX_AGE_MS) {
+    return false;
+  }
+
+  output({
+    hookSpecificOutput: {
+      hookEventName: 'SessionStart',
+      additionalContext: `State saved before the context was compacted (${sessionPath}):\n\n${renderSnapshot(snapshot)}`
+    }
+  });
+  log(`[SessionStart] Restored pre-compact snapshot from ${sessionPath}`);
+  return true;
+}
+
+/**
+ * Hand Claude a resume brief of the latest session
+ * Hook stdout is added to Claude's context; logs only reach the user.
+ * @param {object} latest - Latest session from getAllSessions()
+ * @param {string} learnedDir - Learned skills directory
+ * @param {string} cwd - Working directory from the hook input
+ */
+function emitResumeBrief(latest, learnedDir, cwd) {
+  const config = getBriefConfig(cwd);
+  if (!config.enabled) return;
+
+  const session = readSessionData(latest.sessionPath);
+  if (!session) return;
+
+  const brief = buildResumeBrief({
+    session,
+    sessionPath: latest.sessionPath,
+    aliases: getAliasesForSession(latest.filename),
+    skills: listLearnedSkills(learnedDir),
+    maxTokens: config.maxTokens
+  });
+  if (!brief) return;
+
+  output({
+    hookSpecificOutput: {
+      hookEventName: 'SessionStart',
+      additionalContext: brief.text
+    }
+  });
+  log(`[SessionStart] Resume brief: ${brief.included} item(s), ~${brief.tokens} tokens${brief.omitted > 0 ? ` (${brief.omitted} left out)` : ''}`);
+}
+
+/**
+ * Format a git state as "branch at sha"
+ */
+function formatRef(git) {
+  return `${git.branch || 'a detached HEAD'} at ${(git.head || 'unknown').slice(0, 7)}`;
+}
+
+/**
+ * Compare the git state recorded in the last session with the current checkout
+ * @param {Array} sessions - Sessions from getAllSessions(), newest first
+ * @param {object} current - Current git state (see getGitState)
+ * @returns {string[]} Warning lines (empty if nothing diverged)
+ */
+function getGitDivergence(sessions, current) {
+  // Only compare against the newest session recorded in this repository
+  let recorded = null;
+  for (const session of sessions) {
+    const data = readSessionData(session.sessionPath);
+    if (data && data.git && data.git.root === current.root) {
+      recorded = data.git;
+      break;
+    }
+  }
+
+  if (!recorded) return [];
+
+  const warnings = [];
+
+  if (recorded.branch !== current.branch || recorded.head !== current.head) {
+    warnings.push(`Last session was on ${formatRef(recorded)}, you are now on ${formatRef(current)}`);
+  }
+
+  const stillDirty = new Set(current.dirtyFiles);
+  const cleaned = (recorded.dirtyFiles || []).filter(file => !stillDirty.has(file));
+  if (cleaned.length > 0) {
+    warnings.push(`${cleaned.length} file(s) uncommitted at the end of the last session are no longer modified: ${cleaned.slice(0, 5).join(', ')}${cleaned.length > 5 ? ', ...' : ''}`);
+  }
+
+  return warnings;
+}
+
+/**
+ * Report the Node.js package manager, its workspace and any conflicts
+ */
+function reportPackageManager() {
+  const pm = getPackageManager();
+  log(`[SessionStart] Package manager: ${pm.name}${pm.version ? `@${pm.version}` : ''} (${pm.source})`);
+
+  // Conflicting lock files or settings make the agent run the wrong tool
+  const diagnosis = diagnosePackageManager({ checkBinaries: false });
+  for (const conflict of diagnosis.conflicts) {
+    log(`[SessionStart] Warning: ${conflict}`);
+  }
+  if (diagnosis.conflicts.length > 0) {
+    log(`[SessionStart] Run node ${path.join(__dirname, '..', 'setup-package-manager.js')} --doctor for details`);
+  }
+
+  // Only a pinned version can be out of date, so skip running the binary otherwise
+  if (pm.version) {
+    const versionCheck = checkPackageManagerVersion();
+    if (versionCheck.message) {
+      log(`[SessionStart] Warning: ${versionCheck.message}`);
+    }
+  }
+
+  const workspacePackage = pm.workspace && pm.workspace.package;
+  if (workspacePackage && workspacePackage.path) {
+    log(`[SessionStart] Workspace package ${workspacePackage.name || workspacePackage.path} (${workspacePackage.path}) in ${pm.workspace.root}`);
+  }
+
+  // If package manager was detected via fallback, show selection prompt
+  if (pm.source === 'fallback' || pm.source === 'default') {
+    log('[SessionStart] No package manager preference found.');
+    log(getSelectionPrompt());
+  }
+}
 
 async function main() {
+  // Hook input: session_id, cwd, source ("startup", "resume", "clear" or "compact")
+  const input = process.stdin.isTTY ? {} : await readStdinJson().catch(() => ({}));
   const sessionsDir = getSessionsDir();
   const learnedDir = getLearnedSkillsDir();
 
@@ -26,18 +185,31 @@ async function main() {
   ensureDir(sessionsDir);
   ensureDir(learnedDir);
 
-  // Check for recent session files (last 7 days)
-  // Match both old format (YYYY-MM-DD-session.tmp) and new format (YYYY-MM-DD-shortid-session.tmp)
-  const recentSessions = findFiles(sessionsDir, '*-session.tmp', { maxAge: 7 });
+  // Check for recent sessions of this project (last 7 days)
+  const cutoff = Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000;
+  const recentSessions = getAllSessions({ limit: Infinity })
+    .sessions.filter(session => session.modifiedTime.getTime() >= cutoff);
 
   if (recentSessions.length > 0) {
     const latest = recentSessions[0];
-    log(`[SessionStart] Found ${recentSessions.length} recent session(s)`);
-    log(`[SessionStart] Latest: ${latest.path}`);
+    log(`[SessionStart] Found ${recentSessions.length} recent session(s) for ${getProjectName()}`);
+    log(`[SessionStart] Latest: ${latest.sessionPath}`);
+
+    const git = getGitState();
+    if (git) {
+      for (const warning of getGitDivergence(recentSessions, git)) {
+        log(`[SessionStart] Warning: ${warning}`);
+      }
+    }
+
+    // After a compaction the latest session is this one: restore its snapshot instead
+    if (input.source !== 'compact' || !emitCompactionSnapshot(input.session_id)) {
+      emitResumeBrief(latest, learnedDir, input.cwd || process.cwd());
+    }
   }
 
-  // Check for learned skills
-  const learnedSkills = findFiles(learnedDir, '*.md');
+  // Check for learned skills (flat /learn files and <name>/SKILL.md drafts from evaluate-session)
+  const learnedSkills = findFiles(learnedDir, '*.md', { recursive: true });
 
   if (learnedSkills.length > 0) {
     log(`[SessionStart] ${learnedSkills.length} learned skill(s) available in ${learnedDir}`);
@@ -52,14 +224,14 @@ async function main() {
     log(`[SessionStart] Use /sessions load <alias> to continue a previous session`);
   }
 
-  // Detect and report package manager
-  const pm = getPackageManager();
-  log(`[SessionStart] Package manager: ${pm.name} (${pm.source})`);
+  // Detect toolchains; only Node.js projects (or unrecognised ones) need a package manager
+  const toolchains = detectToolchains();
+  if (toolchains.length > 0) {
+    log(`[SessionStart] Toolchains: ${describeToolchains(toolchains)}`);
+  }
 
-  // If package manager was detected via fallback, show selection prompt
-  if (pm.source === 'fallback' || pm.source === 'default') {
-    log('[SessionStart] No package manager preference found.');
-    log(getSelectionPrompt());
+  if (toolchains.length === 0 || toolchains.some(t => t.ecosystem === 'node')) {
+    reportPackageManager();
   }
 
   process.exit(0);
@@ -4,7 +4,9 @@
  *
  * Cross-platform (Windows, macOS, Linux)
  *
- * Runs on PreToolUse or periodically to suggest manual compaction at logical intervals
+ * Runs on PreToolUse to suggest manual compaction at logical points, based
+ * on how full the context is and on phase transitions in the work (see
+ * scripts/lib/compact-advisor.js for thresholds and configuration)
  *
  * Why manual over auto-compact:
  * - Auto-compact happens at arbitrary points, often mid-task
@@ -13,41 +15,85 @@
  * - Compact after completing a milestone, before starting next
  */
 
-const path = require('path');
+const fs = require('fs');
 const {
-  getTempDir,
   readFile,
-  writeFile,
+  readStdinJson,
   log
 } = require('../lib/utils');
+const { withFileLock, writeFileAtomic } = require('../lib/file-lock');
+const {
+  getCompactConfig,
+  getSessionFiles,
+  readStatuslineUsage,
+  estimateContextUsage,
+  updateTranscriptState,
+  detectPhaseTransition,
+  adviseCompaction,
+  cleanupStaleState
+} = require('../lib/compact-advisor');
 
-async function main() {
-  // Track tool call count (increment in a temp file)
-  // Use a session-specific counter file based on PID from parent process
-  // or session ID from environment
-  const sessionId = process.env.CLAUDE_SESSION_ID || process.ppid || 'default';
-  const counterFile = path.join(getTempDir(), `claude-tool-count-${sessionId}`);
-  const threshold = parseInt(process.env.COMPACT_THRESHOLD || '50', 10);
-
-  let count = 1;
-
-  // Read existing count or start at 1
-  const existing = readFile(counterFile);
-  if (existing) {
-    count = parseInt(existing.trim(), 10) + 1;
+/**
+ * Read the advisor state of a session
+ * @param {string} file - State file
+ * @returns {object} State, empty if missing or damaged
+ */
+function readState(file) {
+  try {
+    return JSON.parse(readFile(file) || '{}') || {};
+  } catch {
+    return {};
   }
+}
 
-  // Save updated count
-  writeFile(counterFile, String(count));
+async function main() {
+  // Hook input: session_id, transcript_path, tool_name, tool_input
+  const input = process.stdin.isTTY ? {} : await readStdinJson().catch(() => ({}));
+  const sessionId = input.session_id || process.env.CLAUDE_SESSION_ID || process.ppid || 'default';
+  const transcriptPath = input.transcript_path || process.env.CLAUDE_TRANSCRIPT_PATH;
+  const config = getCompactConfig(input.cwd || process.cwd());
+  const files = getSessionFiles(sessionId);
 
-  // Suggest compact after threshold tool calls
-  if (count === threshold) {
-    log(`[StrategicCompact] ${threshold} tool calls reached - consider /compact if transitioning phases`);
+  // First call of a session: clear out files left by old sessions
+  if (!fs.existsSync(files.state)) {
+    cleanupStaleState();
   }
 
-  // Suggest at regular intervals after threshold
-  if (count > threshold && count % 25 === 0) {
-    log(`[StrategicCompact] ${count} tool calls - good checkpoint for /compact if context is stale`);
+  // A fresh statusline reading makes the transcript's token usage unnecessary
+  const statusline = readStatuslineUsage(files.statusline);
+
+  // Only the transcript lines added since the last run are parsed
+  const previous = readState(files.state).transcript || null;
+  const transcript = transcriptPath
+    ? await updateTranscriptState(transcriptPath, previous, { trackUsage: statusline === null })
+    : null;
+  const usage = estimateContextUsage({
+    statusline,
+    contextTokens: transcript && transcript.contextTokens,
+    contextWindow: config.contextWindow
+  });
+  const phase = transcript
+    ? detectPhaseTransition(transcript.events, input.tool_name ? { name: input.tool_name, input: input.tool_input } : null)
+    : null;
+
+  // Parallel tool calls run this hook concurrently; lock so each suggestion is made once
+  const suggestion = withFileLock(files.state, () => {
+    const state = readState(files.state);
+
+    // Keep what a concurrent run saved meanwhile if it read further
+    const saved = state.transcript;
+    const changed = saved && !(previous && previous.path === saved.path && previous.offset === saved.offset);
+    if (transcript && !(changed && saved.path === transcript.path && saved.offset > transcript.offset)) {
+      state.transcript = transcript;
+    }
+
+    const result = adviseCompaction({ usage, phase, state, config });
+    writeFileAtomic(files.state, JSON.stringify(result.state));
+    return result.suggestion;
+  }, { timeoutMs: 1000 });
+
+  if (suggestion) {
+    log(`[StrategicCompact] ${suggestion}`);
   }
 
   process.exit(0);
@@ -0,0 +1,315 @@
+/**
+ * Compaction Advisor Library for Claude Code
+ * Decides when to suggest /compact from how full the context is and what
+ * phase the work is in, instead of counting tool calls.
+ *
+ * Context usage comes from the statusline (which receives
+ * context_window.used_percentage and caches it per session) when fresh,
+ * otherwise from the token usage recorded in the transcript. The transcript
+ * is read incrementally: the per-session state keeps the byte offset read so
+ * far, the context size and the recent tool events.
+ *
+ * Suggestions:
+ * - at a phase transition (exploration turning into edits, tests passing
+ *   after failures, a commit) once usage passes phasePercent
+ * - at warnPercent and urgentPercent regardless of phase
+ * each followed by a cooldown, so the same advice is not repeated.
+ *
+ * Configured in compact.json (global or per project, see readLayeredConfig):
+ *   { "contextWindow": 200000, "phasePercent": 35, "warnPercent": 60,
+ *     "urgentPercent": 80, "cooldownMinutes": 10 }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getTempDir, readFile, readLayeredConfig } = require('./utils');
+const { FILE_EDIT_TOOLS, getCommandKey, getContextTokens, formatTokens, readTranscriptFrom } = require('./transcript');
+const { getCommandPattern } = require('./package-manager');
+
+const DEFAULT_COMPACT_CONFIG = {
+  // Tokens in the model's context window
+  contextWindow: 200000,
+  // Usage (percent) from which phase transitions are worth a suggestion
+  phasePercent: 35,
+  // Usage (percent) at which to suggest compacting whatever the phase
+  warnPercent: 60,
+  urgentPercent: 80,
+  // Quiet period after a suggestion
+  cooldownMinutes: 10
+};
+
+// A statusline reading older than this is not trusted
+const STATUSLINE_MAX_AGE_MS = 2 * 60 * 1000;
+
+// Per-session state and statusline files older than this are removed
+const STALE_STATE_MS = 24 * 60 * 60 * 1000;
+
+// Temp file prefixes owned by the advisor (claude-tool-count- is the old counter)
+const STATE_PREFIX = 'claude-compact-';
+const STATUSLINE_PREFIX = 'claude-context-';
+const LEGACY_PREFIX = 'claude-tool-count-';
+
+// Tools that only look around
+const EXPLORATION_TOOLS = new Set(['Read', 'Grep', 'Glob', 'LS', 'WebFetch', 'WebSearch', 'NotebookRead', 'Task']);
+
+// Read-only calls in a row that count as an exploration phase
+const MIN_EXPLORATION_CALLS = 8;
+
+// Tool events kept in the state for phase detection
+const MAX_PHASE_EVENTS = 200;
+
+/**
+ * Read the advisor configuration
+ * @param {string} projectDir - Project directory, or any directory inside it (see readLayeredConfig)
+ * @returns {object} Config (see DEFAULT_COMPACT_CONFIG)
+ */
+function getCompactConfig(projectDir = process.cwd()) {
+  const config = { ...DEFAULT_COMPACT_CONFIG };
+
+  for (const layer of readLayeredConfig('compact.json', projectDir)) {
+    for (const key of Object.keys(DEFAULT_COMPACT_CONFIG)) {
+      if (typeof layer[key] === 'number' && layer[key] > 0) config[key] = layer[key];
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Get the file paths used for a session
+ * @param {string} sessionId - Session ID
+ * @returns {object} { state, statusline }
+ */
+function getSessionFiles(sessionId) {
+  const safeId = String(sessionId).replace(/[^\w-]/g, '_');
+  return {
+    state: path.join(getTempDir(), `${STATE_PREFIX}${safeId}.json`),
+    statusline: path.join(getTempDir(), `${STATUSLINE_PREFIX}${safeId}`)
+  };
+}
+
+/**
+ * Read the context usage the statusline last saw
+ * @param {string} file - Statusline cache file
+ * @returns {number|null} Used percentage, or null if missing or stale
+ */
+function readStatuslineUsage(file) {
+  try {
+    if (Date.now() - fs.statSync(file).mtimeMs > STATUSLINE_MAX_AGE_MS) return null;
+  } catch {
+    return null;
+  }
+
+  const value = parseFloat(readFile(file) || '');
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Estimate context usage
+ * @param {object} options - { statusline (readStatuslineUsage), contextTokens (from the transcript), contextWindow }
+ * @returns {object|null} { percent, tokens, source }, or null if unknown
+ */
+function estimateContextUsage(options) {
+  const { statusline = null, contextTokens, contextWindow } = options;
+
+  if (statusline !== null) {
+    return { percent: statusline, tokens: Math.round(contextWindow * statusline / 100), source: 'statusline' };
+  }
+
+  if (contextTokens > 0) {
+    return { percent: contextTokens / contextWindow * 100, tokens: contextTokens, source: 'transcript' };
+  }
+
+  return null;
+}
+
+/**
+ * Reduce a tool event to what phase detection needs
+ * @param {object} event - tool_use or tool_result event
+ * @returns {object} Event without file contents or tool output
+ */
+function toPhaseEvent(event) {
+  if (event.type === 'tool_result') {
+    return { type: event.type, id: event.id, isError: event.isError };
+  }
+  const input = typeof event.input.command === 'string' ? { command: event.input.command } : {};
+  return { type: event.type, id: event.id, name: event.name, input };
+}
+
+/**
+ * Bring the transcript summary of the session state up to date
+ * Only the lines appended since the previous run are parsed.
+ * @param {string} transcriptPath - Path to the JSONL transcript
+ * @param {object|null} previous - Summary from the previous run (state.transcript)
+ * @param {object} options - { trackUsage: false skips the context size (e.g. while the statusline is fresh) }
+ * @returns {Promise<object>} { path, offset, contextTokens (null if unknown), events }
+ */
+async function updateTranscriptState(transcriptPath, previous, options = {}) {
+  const { trackUsage = true } = options;
+  const base = previous && previous.path === transcriptPath && Number.isInteger(previous.offset) && Array.isArray(previous.events)
+    ? previous
+    : { path: transcriptPath, offset: 0, contextTokens: 0, events: [] };
+
+  const read = await readTranscriptFrom(transcriptPath, base.offset);
+  // A shrunk transcript was replaced: nothing carried over applies
+  let contextTokens = read.reset ? 0 : base.contextTokens;
+  let events = read.reset ? [] : base.events;
+
+  if (!trackUsage) {
+    // Unknown until the next assistant turn is parsed
+    contextTokens = null;
+  } else {
+    for (const event of read.events) {
+      if (event.type === 'assistant' && event.usage) contextTokens = getContextTokens(event.usage);
+      if (event.type === 'compaction') contextTokens = 0;
+    }
+  }
+
+  const toolEvents = read.events.filter(e => e.type === 'tool_use' || e.type === 'tool_result').map(toPhaseEvent);
+  events = [...events, ...toolEvents].slice(-MAX_PHASE_EVENTS);
+
+  return { path: transcriptPath, offset: read.offset, contextTokens, events };
+}
+
+/**
+ * Detect a phase transition at the end of the session so far
+ * @param {object[]} events - Transcript events
+ * @param {object} nextTool - Tool about to run { name, input } (from the hook input), if known
+ * @returns {object|null} { key, description } identifying the transition, or null
+ */
+function detectPhaseTransition(events, nextTool = null) {
+  const calls = events.filter(e => e.type === 'tool_use');
+  const results = new Map(events.filter(e => e.type === 'tool_result').map(e => [e.id, e]));
+  const testPattern = new RegExp(`^(${getCommandPattern('test')})`);
+
+  const done = calls.filter(c => results.has(c.id));
+  // The tool about to run (it may or may not be in the transcript yet)
+  const unresolved = calls.filter(c => !results.has(c.id));
+  const pending = nextTool && nextTool.name ? nextTool : unresolved[unresolved.length - 1] || null;
+
+  // Exploration turning into edits: a run of read-only calls, then the first edit
+  if (pending && FILE_EDIT_TOOLS.has(pending.name)) {
+    let explored = 0;
+    for (let i = done.length - 1; i >= 0 && EXPLORATION_TOOLS.has(done[i].name); i--) {
+      explored++;
+    }
+    if (explored >= MIN_EXPLORATION_CALLS) {
+      return { key: `explore-to-edit:${done[done.length - 1].id}`, description: `exploration (${explored} read-only calls) is turning into edits` };
+    }
+  }
+
+  // The latest completed shell command decides the other transitions
+  const lastBash = [...done].reverse().find(c => c.name === 'Bash' && results.has(c.id) && typeof c.input.command === 'string');
+  if (!lastBash || results.get(lastBash.id).isError) return null;
+
+  const command = lastBash.input.command.trim();
+
+  if (/^git\s+commit\b/.test(command)) {
+    return { key: `commit:${lastBash.id}`, description: 'changes were just committed' };
+  }
+
+  if (testPattern.test(command)) {
+    const key = getCommandKey(command);
+    const before = done.slice(0, done.indexOf(lastBash))
+      .filter(c => c.name === 'Bash' && typeof c.input.command === 'string' && getCommandKey(c.input.command) === key && results.has(c.id));
+    const previous = before[before.length - 1];
+    if (previous && results.get(previous.id).isError) {
+      return { key: `tests-pass:${lastBash.id}`, description: `\`${key}\` passes again after failing` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether to suggest compaction now
+ * @param {object} options - { usage (estimateContextUsage), phase (detectPhaseTransition), state, config, now }
+ * @returns {object} { suggestion: message or null, state: updated state }
+ */
+function adviseCompaction(options) {
+  const { usage, phase, config, now = Date.now() } = options;
+  const state = { lastSuggestedAt: 0, lastPercent: 0, lastLevel: null, phases: [], ...options.state };
+
+  if (!usage) return { suggestion: null, state };
+
+  // A big drop in usage means the context was compacted or cleared: start over
+  if (usage.percent < state.lastPercent - 20) {
+    state.lastPercent = 0;
+    state.lastLevel = null;
+  }
+
+  const isNewPhase = !!phase && !state.phases.includes(phase.key);
+  if (isNewPhase) {
+    // Remember recent transitions so each is considered once
+    state.phases = [...state.phases, phase.key].slice(-20);
+  }
+
+  const percent = Math.round(usage.percent);
+  const used = `${percent}% of context used (~${formatTokens(usage.tokens)} tokens)`;
+  const level = usage.percent >= config.urgentPercent ? 'urgent' : usage.percent >= config.warnPercent ? 'warn' : null;
+  const cooling = now - state.lastSuggestedAt < config.cooldownMinutes * 60 * 1000;
+  let suggestion = null;
+
+  if (level === 'urgent' && state.lastLevel !== 'urgent') {
+    // Crossing into urgent is always reported, cooldown or not
+    suggestion = `${used} - /compact soon, or auto-compact will pick the moment for you`;
+  } else if (!cooling && isNewPhase && usage.percent >= config.phasePercent) {
+    suggestion = `${used} and ${phase.description} - a good point to /compact`;
+  } else if (!cooling && level && (level !== state.lastLevel || usage.percent >= state.lastPercent + 10)) {
+    // Repeat a level only once usage has grown noticeably since the last suggestion
+    suggestion = `${used} - consider /compact at the next logical break`;
+  }
+
+  if (suggestion) {
+    state.lastSuggestedAt = now;
+    state.lastPercent = usage.percent;
+    state.lastLevel = level;
+  }
+
+  return { suggestion, state };
+}
+
+/**
+ * Remove per-session advisor files left by old sessions
+ * @param {number} maxAgeMs - Age after which files are removed
+ * @returns {number} Files removed
+ */
+function cleanupStaleState(maxAgeMs = STALE_STATE_MS) {
+  const dir = getTempDir();
+  let removed = 0;
+
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return 0;
+  }
+
+  for (const name of entries) {
+    if (![STATE_PREFIX, STATUSLINE_PREFIX, LEGACY_PREFIX].some(prefix => name.startsWith(prefix))) continue;
+
+    const file = path.join(dir, name);
+    try {
+      if (Date.now() - fs.statSync(file).mtimeMs > maxAgeMs) {
+        fs.unlinkSync(file);
+        removed++;
+      }
+    } catch {
+      // Removed by another session, or not ours to remove
+    }
+  }
+
+  return removed;
+}
+
+module.exports = {
+  DEFAULT_COMPACT_CONFIG,
+  getCompactConfig,
+  getSessionFiles,
+  readStatuslineUsage,
+  estimateContextUsage,
+  updateTranscriptState,
+  detectPhaseTransition,
+  adviseCompaction,
+  cleanupStaleState
+};
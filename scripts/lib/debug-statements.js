@@ -0,0 +1,284 @@
+/**
+ * Debug Statement Scanner for Claude Code
+ * Finds debug statements (console.log, debugger, print(), var_dump, dbg!,
+ * fmt.Println, ...) on the lines added since HEAD, so leftover debugging is
+ * caught without flagging code that was already there.
+ *
+ * Comments and string literals are ignored. A line is skipped when it
+ * carries a "debug-ok" comment, or the line above carries
+ * "debug-ok-next-line". Files matching an allow glob (loggers, CLIs) are
+ * not scanned.
+ *
+ * Configured in debug-statements.json (see readLayeredConfig). The allow
+ * globs and patterns of the global and project files add up:
+ *   { "strict": false, "allow": ["logger.js", "src/cli/**"],
+ *     "patterns": { "python": ["\\bic\\("] } }
+ * CLAUDE_DEBUG_STRICT=1 turns strict mode on.
+ */
+
+const path = require('path');
+const { readFile, readLayeredConfig, runCommand } = require('./utils');
+
+// Languages by ecosystem name (see ecosystems.js)
+const LANGUAGES = {
+  node: {
+    extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.vue', '.svelte'],
+    comments: ['//'],
+    quotes: ['\'', '"', '`'],
+    // Lines inside block comments
+    skipLine: /^\s*(\/\*|\*)/,
+    patterns: [
+      /\bconsole\.(log|debug|trace|dir|table)\s*\(/,
+      /(^|[;{}])\s*debugger\s*([;}]|$)/
+    ]
+  },
+  python: {
+    extensions: ['.py'],
+    comments: ['#'],
+    quotes: ['\'', '"'],
+    // Docstring delimiters
+    skipLine: /^\s*("""|''')/,
+    patterns: [
+      /(^|[^\w.])p?print\s*\(/,
+      /\bbreakpoint\s*\(\s*\)/,
+      /\b(i?pdb)\.set_trace\s*\(/
+    ]
+  },
+  php: {
+    extensions: ['.php'],
+    comments: ['//', '#'],
+    quotes: ['\'', '"'],
+    skipLine: /^\s*(\/\*|\*)/,
+    patterns: [
+      /\b(var_dump|print_r)\s*\(/
+    ]
+  },
+  go: {
+    extensions: ['.go'],
+    comments: ['//'],
+    quotes: ['"', '`'],
+    skipLine: /^\s*(\/\*|\*)/,
+    patterns: [
+      /\bfmt\.Print(ln)?\s*\(/
+    ]
+  },
+  rust: {
+    extensions: ['.rs'],
+    comments: ['//'],
+    // Single quotes are char literals and lifetimes
+    quotes: ['"'],
+    skipLine: /^\s*(\/\*|\*)/,
+    patterns: [
+      /\bdbg!\s*\(/
+    ]
+  }
+};
+
+const DEFAULT_DEBUG_CONFIG = {
+  strict: false,
+  allow: [],
+  patterns: {}
+};
+
+// Inline ignore markers
+const IGNORE_MARKER = 'debug-ok';
+const IGNORE_NEXT_LINE_MARKER = 'debug-ok-next-line';
+
+// Untracked files larger than this are not scanned
+const MAX_UNTRACKED_FILE_SIZE = 1024 * 1024;
+
+// git's empty tree, the diff base before the first commit
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+/**
+ * Read the scanner configuration
+ * @param {string} projectDir - Project directory
+ * @returns {object} { strict, allow, patterns }
+ */
+function getDebugConfig(projectDir = process.cwd()) {
+  const config = { ...DEFAULT_DEBUG_CONFIG, allow: [], patterns: {} };
+
+  for (const layer of readLayeredConfig('debug-statements.json', projectDir)) {
+    if (typeof layer.strict === 'boolean') config.strict = layer.strict;
+    if (Array.isArray(layer.allow)) config.allow.push(...layer.allow.filter(glob => typeof glob === 'string'));
+    for (const [language, patterns] of Object.entries(layer.patterns || {})) {
+      if (Array.isArray(patterns)) config.patterns[language] = [...(config.patterns[language] || []), ...patterns];
+    }
+  }
+
+  if (process.env.CLAUDE_DEBUG_STRICT === '1') config.strict = true;
+
+  return config;
+}
+
+/**
+ * Convert an allow glob to a regex
+ * Globs without a slash match the file name anywhere ("logger.js").
+ * @param {string} glob - Glob ("logger.js", "src/cli/**")
+ * @returns {RegExp} Regex matching repository-relative paths
+ */
+function globToRegex(glob) {
+  const normalized = glob.replace(/^\.\//, '');
+  const regex = normalized
+    .split('**')
+    .map(part => part
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]'))
+    .join('.*')
+    // "**/" may also match no directory at all
+    .replace(/\.\*\//g, '(?:.*/)?');
+  return new RegExp(normalized.includes('/') ? `^${regex}$` : `(^|/)${regex}$`);
+}
+
+/**
+ * Find the language of a file
+ * @param {string} file - File path
+ * @returns {string|null} Ecosystem name, or null if not scanned
+ */
+function getLanguage(file) {
+  const extension = path.extname(file).toLowerCase();
+  return Object.keys(LANGUAGES).find(name => LANGUAGES[name].extensions.includes(extension)) || null;
+}
+
+/**
+ * Remove string literals and comments from a line of code
+ * @param {string} line - Line of code
+ * @param {object} language - Entry of LANGUAGES
+ * @returns {string} Code that remains
+ */
+function stripNonCode(line, language) {
+  if (language.skipLine.test(line)) return '';
+
+  let code = line.replace(/\/\*.*?\*\//g, ' ');
+  for (const quote of language.quotes) {
+    code = code.replace(new RegExp(`${quote}(?:\\\\.|[^${quote}\\\\])*${quote}`, 'g'), '""');
+  }
+  for (const marker of language.comments) {
+    const index = code.indexOf(marker);
+    if (index !== -1) code = code.slice(0, index);
+  }
+  return code;
+}
+
+/**
+ * Find debug statements in lines of a file
+ * @param {string} file - File path (repository-relative)
+ * @param {object[]} lines - Lines to check [{ line, text, previous }]
+ * @param {object} config - Config from getDebugConfig()
+ * @returns {object[]} [{ file, line, language, statement, text }]
+ */
+function findDebugStatements(file, lines, config = DEFAULT_DEBUG_CONFIG) {
+  const languageName = getLanguage(file);
+  if (!languageName) return [];
+  if (config.allow.some(glob => globToRegex(glob).test(file.replace(/\\/g, '/')))) return [];
+
+  const language = LANGUAGES[languageName];
+  const patterns = [...language.patterns];
+  for (const source of config.patterns[languageName] || []) {
+    try {
+      patterns.push(new RegExp(source));
+    } catch {
+      // Invalid pattern, ignore
+    }
+  }
+
+  const findings = [];
+  for (const { line, text, previous } of lines) {
+    if ((previous || '').includes(IGNORE_NEXT_LINE_MARKER)) continue;
+    // "debug-ok-next-line" contains "debug-ok" but is about the line below
+    if (text.split(IGNORE_NEXT_LINE_MARKER).join('').includes(IGNORE_MARKER)) continue;
+
+    const code = stripNonCode(text, language);
+    for (const pattern of patterns) {
+      const match = code.match(pattern);
+      if (match) {
+        findings.push({ file, line, language: languageName, statement: match[0].replace(/^[^\w]+/, '').replace(/[\s(;}].*$/, ''), text: text.trim() });
+        break;
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Parse a zero-context diff into the lines it adds
+ * @param {string} diff - Output of git diff --unified=0
+ * @returns {Map<string, object[]>} File path -> [{ line, text }]
+ */
+function parseAddedLines(diff) {
+  const added = new Map();
+  let file = null;
+  let lineNumber = 0;
+  // Added lines left in the current hunk, so "+++" content is not taken for a header
+  let remaining = 0;
+
+  for (const line of diff.split('\n')) {
+    if (remaining > 0 && line.startsWith('+')) {
+      if (file) added.get(file).push({ line: lineNumber, text: line.slice(1) });
+      lineNumber++;
+      remaining--;
+    } else if (line.startsWith('+++ ')) {
+      file = line === '+++ /dev/null' ? null : line.slice(6);
+      if (file) added.set(file, []);
+    } else if (line.startsWith('@@')) {
+      const match = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))?/);
+      lineNumber = match ? parseInt(match[1], 10) : 0;
+      remaining = match ? parseInt(match[2] || '1', 10) : 0;
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Scan the lines added since HEAD (and untracked files) for debug statements
+ * @param {object} options - { cwd, config (defaults to getDebugConfig() of the repository root) }
+ * @returns {object|null} { root, config, findings }, or null if not in a git repository
+ */
+function scanDebugStatements(options = {}) {
+  const { cwd = process.cwd() } = options;
+  const git = (args, opts = {}) => runCommand(`git -c core.quotePath=false ${args}`, { cwd, maxBuffer: 64 * 1024 * 1024, ...opts });
+
+  const rootResult = git('rev-parse --show-toplevel');
+  if (!rootResult.success) return null;
+  const root = rootResult.output;
+  // Allow globs are repository-relative, so the config belongs to the root
+  const config = options.config || getDebugConfig(root);
+
+  const base = git('rev-parse --verify --quiet HEAD').success ? 'HEAD' : EMPTY_TREE;
+  const diff = git(`diff ${base} --unified=0 --no-color --no-ext-diff --diff-filter=AMR`, { cwd: root });
+  const added = diff.success ? parseAddedLines(diff.output) : new Map();
+
+  // Every line of a new, untracked file is added
+  const untracked = git('ls-files --others --exclude-standard', { cwd: root });
+  for (const file of untracked.success ? untracked.output.split('\n').filter(Boolean) : []) {
+    if (!getLanguage(file)) continue;
+    const content = readFile(path.join(root, file));
+    if (content === null || content.length > MAX_UNTRACKED_FILE_SIZE || content.includes('\0')) continue;
+    added.set(file, content.split('\n').map((text, i) => ({ line: i + 1, text })));
+  }
+
+  const findings = [];
+  for (const [file, lines] of added) {
+    if (lines.length === 0 || !getLanguage(file)) continue;
+
+    // The line above an added line decides "debug-ok-next-line"
+    const fileLines = (readFile(path.join(root, file)) || '').split('\n');
+    const withPrevious = lines.map(entry => ({ ...entry, previous: fileLines[entry.line - 2] }));
+    findings.push(...findDebugStatements(file, withPrevious, config));
+  }
+
+  return { root, config, findings };
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_DEBUG_CONFIG,
+  getDebugConfig,
+  getLanguage,
+  findDebugStatements,
+  parseAddedLines,
+  scanDebugStatements
+};
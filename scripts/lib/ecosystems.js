@@ -0,0 +1,330 @@
+/**
+ * Ecosystem Registry for Claude Code
+ * Detects the toolchains a project uses (Node.js, Python, PHP, Go, Rust)
+ * and provides install/test/build/run command templates for each.
+ *
+ * Node.js detection is delegated to package-manager.js. Other ecosystems
+ * are detected from their manifest and lock files, searching the project
+ * directory and its parents up to the repository root. Polyglot repos
+ * report one toolchain per ecosystem found.
+ *
+ * Further ecosystems can be added with registerEcosystem().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAncestorDirs, readFile } = require('./utils');
+const {
+  PACKAGE_MANAGERS,
+  findWorkspaceRoot,
+  getPackageManager,
+  getCommandTemplates
+} = require('./package-manager');
+
+// Command template keys every tool provides (null when the tool has no equivalent)
+const TEMPLATE_KEYS = ['installCmd', 'testCmd', 'buildCmd', 'devCmd', 'runCmd', 'execCmd'];
+
+/**
+ * Detect the Python tool from pyproject.toml when there is no lock file
+ * @param {string} dir - Directory containing the manifest
+ * @returns {object} { tool, overrides? }
+ */
+function detectPythonTool(dir) {
+  const pyproject = readFile(path.join(dir, 'pyproject.toml'));
+
+  if (pyproject !== null) {
+    if (/^\[tool\.poetry\]/m.test(pyproject)) return { tool: 'poetry' };
+    if (/^\[tool\.uv\]/m.test(pyproject)) return { tool: 'uv' };
+  }
+
+  // Plain pip: install from requirements.txt if there is one, otherwise the package itself
+  return fs.existsSync(path.join(dir, 'requirements.txt'))
+    ? { tool: 'pip' }
+    : { tool: 'pip', overrides: { installCmd: 'pip install -e .' } };
+}
+
+/**
+ * Detect the Node.js package manager (see package-manager.js)
+ * @param {string} projectDir - Directory to start from
+ * @param {string[]} dirs - Directories to search, nearest first
+ * @returns {object|null} Toolchain or null if this isn't a Node.js project
+ */
+function detectNode(projectDir, dirs) {
+  const nodeFiles = ['package.json', ...Object.values(PACKAGE_MANAGERS).flatMap(pm => pm.lockFiles)];
+  const root = dirs.find(dir => nodeFiles.some(file => fs.existsSync(path.join(dir, file))));
+  if (!root) return null;
+
+  // Outside a workspace, package-manager.js only looks in the directory it is given
+  const pmDir = findWorkspaceRoot(projectDir) ? projectDir : root;
+  const pm = getPackageManager({ projectDir: pmDir });
+  // Reported at every session start, so don't spawn the binary for the version
+  const templates = getCommandTemplates(pm, pmDir, { probe: false });
+
+  return {
+    ecosystem: 'node',
+    tool: pm.name,
+    source: pm.source,
+    root: pm.workspace ? pm.workspace.root : root,
+    config: pickTemplates(templates)
+  };
+}
+
+// Registered ecosystems, in reporting order
+const ECOSYSTEMS = {
+  node: {
+    name: 'node',
+    label: 'Node.js',
+    detect: detectNode
+  },
+  python: {
+    name: 'python',
+    label: 'Python',
+    manifests: ['pyproject.toml', 'requirements.txt', 'setup.py', 'setup.cfg'],
+    // Lock files win over manifest hints, in this order
+    detectionPriority: ['uv', 'poetry'],
+    detectTool: detectPythonTool,
+    tools: {
+      uv: {
+        lockFiles: ['uv.lock'],
+        installCmd: 'uv sync',
+        testCmd: 'uv run pytest',
+        buildCmd: 'uv build',
+        devCmd: null,
+        runCmd: 'uv run',
+        execCmd: 'uvx'
+      },
+      poetry: {
+        lockFiles: ['poetry.lock'],
+        installCmd: 'poetry install',
+        testCmd: 'poetry run pytest',
+        buildCmd: 'poetry build',
+        devCmd: null,
+        runCmd: 'poetry run',
+        execCmd: 'poetry run'
+      },
+      pip: {
+        lockFiles: [],
+        installCmd: 'pip install -r requirements.txt',
+        testCmd: 'python -m pytest',
+        buildCmd: 'python -m build',
+        devCmd: null,
+        runCmd: 'python -m',
+        execCmd: 'python -m'
+      }
+    }
+  },
+  php: {
+    name: 'php',
+    label: 'PHP',
+    manifests: ['composer.json'],
+    detectionPriority: ['composer'],
+    tools: {
+      composer: {
+        lockFiles: ['composer.lock'],
+        installCmd: 'composer install',
+        testCmd: 'vendor/bin/phpunit',
+        buildCmd: null,
+        devCmd: null,
+        runCmd: 'composer run',
+        execCmd: 'composer exec'
+      }
+    }
+  },
+  go: {
+    name: 'go',
+    label: 'Go',
+    manifests: ['go.mod'],
+    detectionPriority: ['go'],
+    tools: {
+      go: {
+        lockFiles: ['go.sum'],
+        installCmd: 'go mod download',
+        testCmd: 'go test ./...',
+        buildCmd: 'go build ./...',
+        devCmd: 'go run .',
+        // Go and Cargo have no scripts; a name is run as a subcommand ("vet" -> go vet)
+        runCmd: 'go',
+        execCmd: 'go run'
+      }
+    }
+  },
+  rust: {
+    name: 'rust',
+    label: 'Rust',
+    manifests: ['Cargo.toml'],
+    detectionPriority: ['cargo'],
+    tools: {
+      cargo: {
+        lockFiles: ['Cargo.lock'],
+        installCmd: 'cargo fetch',
+        testCmd: 'cargo test',
+        buildCmd: 'cargo build',
+        devCmd: 'cargo run',
+        runCmd: 'cargo',
+        execCmd: 'cargo'
+      }
+    }
+  }
+};
+
+/**
+ * Copy just the command templates out of a tool definition
+ * @param {object} tool - Tool definition or package manager templates
+ * @returns {object} { installCmd, testCmd, buildCmd, devCmd, runCmd, execCmd }
+ */
+function pickTemplates(tool) {
+  const templates = {};
+  for (const key of TEMPLATE_KEYS) {
+    templates[key] = tool[key] || null;
+  }
+  return templates;
+}
+
+/**
+ * Add an ecosystem to the registry (or replace a built-in one)
+ * @param {object} definition - {
+ *   name, label,
+ *   detect(projectDir, dirs) - custom detection returning a toolchain, or instead:
+ *   manifests: files marking a project root, tools: { [tool]: { lockFiles, ...templates } },
+ *   detectionPriority: tool order for lock files, detectTool(dir): tool when no lock file matches
+ * }
+ * @returns {object} { success, error }
+ */
+function registerEcosystem(definition) {
+  if (!definition || !/^[a-z0-9-]+$/.test(definition.name || '')) {
+    return { success: false, error: 'Ecosystem name must be lowercase letters, numbers and dashes' };
+  }
+
+  if (typeof definition.detect !== 'function') {
+    const tools = definition.tools || {};
+    if (!Array.isArray(definition.manifests) || definition.manifests.length === 0) {
+      return { success: false, error: `Ecosystem ${definition.name} needs manifests or a detect function` };
+    }
+    if (Object.keys(tools).length === 0) {
+      return { success: false, error: `Ecosystem ${definition.name} needs at least one tool` };
+    }
+  }
+
+  ECOSYSTEMS[definition.name] = { label: definition.name, ...definition };
+  return { success: true };
+}
+
+/**
+ * Detect one ecosystem from its manifest and lock files
+ * @param {object} ecosystem - Registry entry
+ * @param {string} projectDir - Directory to start from
+ * @param {string[]} dirs - Directories to search, nearest first
+ * @returns {object|null} Toolchain or null if not found
+ */
+function detectEcosystem(ecosystem, projectDir, dirs) {
+  if (ecosystem.detect) {
+    return ecosystem.detect(projectDir, dirs);
+  }
+
+  const toolNames = ecosystem.detectionPriority || Object.keys(ecosystem.tools);
+
+  for (const dir of dirs) {
+    const exists = file => fs.existsSync(path.join(dir, file));
+    const fromLockFile = toolNames.find(name => (ecosystem.tools[name].lockFiles || []).some(exists));
+    const manifest = ecosystem.manifests.find(exists);
+
+    if (!fromLockFile && !manifest) continue;
+
+    const hint = fromLockFile ? null : (ecosystem.detectTool && ecosystem.detectTool(dir));
+    const tool = fromLockFile || (hint && hint.tool) || toolNames[0];
+
+    return {
+      ecosystem: ecosystem.name,
+      tool,
+      source: fromLockFile ? 'lock-file' : 'manifest',
+      root: dir,
+      config: { ...pickTemplates(ecosystem.tools[tool]), ...(hint && hint.overrides) }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Detect every toolchain used by a project
+ * @param {object} options - { projectDir }
+ * @returns {Array} Toolchains [{ ecosystem, tool, source, root, config: command templates }],
+ *   in registry order
+ */
+function detectToolchains(options = {}) {
+  const { projectDir = process.cwd() } = options;
+  const dirs = getAncestorDirs(projectDir);
+  const toolchains = [];
+
+  for (const ecosystem of Object.values(ECOSYSTEMS)) {
+    const toolchain = detectEcosystem(ecosystem, projectDir, dirs);
+    if (toolchain) toolchains.push(toolchain);
+  }
+
+  return toolchains;
+}
+
+/**
+ * Get the command for a script or action with a detected toolchain
+ * @param {object} toolchain - Toolchain from detectToolchains()
+ * @param {string} script - "install", "test", "build", "dev" or a script/binary name
+ * @returns {string|null} Command, or null if the tool has no equivalent
+ */
+function getToolchainCommand(toolchain, script) {
+  const { config } = toolchain;
+
+  switch (script) {
+    case 'install':
+      return config.installCmd;
+    case 'test':
+      return config.testCmd;
+    case 'build':
+      return config.buildCmd;
+    case 'dev':
+      return config.devCmd;
+    default:
+      return config.runCmd ? `${config.runCmd} ${script}` : null;
+  }
+}
+
+/**
+ * Regex source fragments matching an action for every registered non-Node tool
+ * (Node.js patterns are written out in package-manager.js getCommandPattern)
+ * Other actions have no equivalent: a "lint" script does not make `go lint`
+ * or `cargo lint` a lint command.
+ * @param {string} action - "dev", "install", "test" or "build"
+ * @returns {string[]} Pattern fragments (none for other actions)
+ */
+function getEcosystemCommandPatterns(action) {
+  const key = { dev: 'devCmd', install: 'installCmd', test: 'testCmd', build: 'buildCmd' }[action];
+  if (!key) return [];
+
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const patterns = new Set();
+
+  for (const ecosystem of Object.values(ECOSYSTEMS)) {
+    for (const tool of Object.values(ecosystem.tools || {})) {
+      if (tool[key]) patterns.add(escape(tool[key]));
+    }
+  }
+
+  return [...patterns];
+}
+
+/**
+ * Describe toolchains for logs, e.g. "node (pnpm), python (uv)"
+ * @param {Array} toolchains - Toolchains from detectToolchains()
+ * @returns {string} Summary
+ */
+function describeToolchains(toolchains) {
+  return toolchains.map(t => `${t.ecosystem} (${t.tool})`).join(', ');
+}
+
+module.exports = {
+  ECOSYSTEMS,
+  registerEcosystem,
+  detectToolchains,
+  getToolchainCommand,
+  getEcosystemCommandPatterns,
+  describeToolchains
+};
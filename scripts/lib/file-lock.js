@@ -0,0 +1,276 @@
+/**
+ * File Locking Library for Claude Code
+ * Cross-process locks for the stores under ~/.claude (aliases, sessions,
+ * package-manager config, counters), so Claude sessions running in parallel
+ * (worktrees, subagents) don't lose or tear each other's writes.
+ *
+ * A lock is a "<file>.lock" file created exclusively, recording the owner's
+ * pid, host and a random token. Acquisition polls until the timeout; locks
+ * whose owner process has exited, or that are older than staleMs, are broken.
+ * Locks are re-entrant within a process, so a locked read-modify-write can
+ * call other functions that lock the same file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const { ensureDir } = require('./utils');
+
+const DEFAULT_LOCK_OPTIONS = {
+  // Give up waiting for a lock after this long
+  timeoutMs: 5000,
+  // Locks older than this are assumed abandoned (operations hold them for milliseconds)
+  staleMs: 30000,
+  // Poll interval while waiting
+  retryMs: 25
+};
+
+// Locks held by this process: lock path -> { token, depth }
+const heldLocks = new Map();
+
+let exitHandlerInstalled = false;
+
+/**
+ * Get the lock file path for a file
+ * @param {string} filePath - File to lock
+ * @returns {string} Lock file path
+ */
+function getLockPath(filePath) {
+  return `${path.resolve(filePath)}.lock`;
+}
+
+/**
+ * Block the current thread without spinning
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Read the owner info from a lock file
+ * @param {string} lockPath - Lock file path
+ * @returns {object|null} { pid, host, token, acquiredAt } or null if unreadable
+ */
+function readLockInfo(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    // Missing, or created but not written yet
+    return null;
+  }
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to another user
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Decide whether a lock has been abandoned
+ * @param {string} lockPath - Lock file path
+ * @param {object|null} info - Owner info from the lock file
+ * @param {number} staleMs - Maximum lock age
+ * @returns {boolean} True if the lock can be broken
+ */
+function isLockStale(lockPath, info, staleMs) {
+  if (info && info.host === os.hostname() && Number.isInteger(info.pid) && !isProcessAlive(info.pid)) {
+    return true;
+  }
+
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > staleMs;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Remove an abandoned lock without clobbering one that replaced it meanwhile
+ * @param {string} lockPath - Lock file path
+ * @param {object|null} info - Owner info that was judged stale
+ */
+function breakStaleLock(lockPath, info) {
+  const tombstone = `${lockPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.stale`;
+
+  try {
+    fs.renameSync(lockPath, tombstone);
+  } catch {
+    // Another waiter broke (or the owner released) it first
+    return;
+  }
+
+  const moved = readLockInfo(tombstone);
+  if (moved && info && moved.token !== info.token) {
+    // A live owner re-created the lock between our check and the rename: put it back
+    try {
+      fs.linkSync(tombstone, lockPath);
+    } catch {
+      // Someone else holds the lock by now
+    }
+  }
+
+  fs.rmSync(tombstone, { force: true });
+}
+
+/**
+ * Release every lock this process still holds (on exit)
+ */
+function releaseAllLocks() {
+  for (const lockPath of heldLocks.keys()) {
+    removeOwnLock(lockPath, heldLocks.get(lockPath).token);
+  }
+  heldLocks.clear();
+}
+
+/**
+ * Delete a lock file if it is still ours
+ * @param {string} lockPath - Lock file path
+ * @param {string} token - Our lock token
+ */
+function removeOwnLock(lockPath, token) {
+  const info = readLockInfo(lockPath);
+
+  // If it was broken as stale and re-acquired, it belongs to someone else now
+  if (info && info.token === token) {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Release one level of a held lock
+ * @param {string} lockPath - Lock file path
+ */
+function releaseLock(lockPath) {
+  const held = heldLocks.get(lockPath);
+  if (!held) return;
+
+  held.depth--;
+  if (held.depth > 0) return;
+
+  heldLocks.delete(lockPath);
+  removeOwnLock(lockPath, held.token);
+}
+
+/**
+ * Acquire the lock for a file, waiting for other holders
+ * @param {string} filePath - File to lock (the file itself need not exist)
+ * @param {object} options - { timeoutMs, staleMs, retryMs } (see DEFAULT_LOCK_OPTIONS)
+ * @returns {Function} Release function
+ * @throws {Error} With code 'ELOCKTIMEOUT' if the lock is not acquired in time
+ */
+function acquireLock(filePath, options = {}) {
+  const { timeoutMs, staleMs, retryMs } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const lockPath = getLockPath(filePath);
+  const release = () => releaseLock(lockPath);
+
+  const held = heldLocks.get(lockPath);
+  if (held) {
+    held.depth++;
+    return release;
+  }
+
+  if (!exitHandlerInstalled) {
+    process.on('exit', releaseAllLocks);
+    exitHandlerInstalled = true;
+  }
+
+  ensureDir(path.dirname(lockPath));
+
+  const token = crypto.randomBytes(8).toString('hex');
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      try {
+        fs.writeSync(fd, JSON.stringify({
+          pid: process.pid,
+          host: os.hostname(),
+          token,
+          acquiredAt: new Date().toISOString()
+        }));
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      heldLocks.set(lockPath, { token, depth: 1 });
+      return release;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    const info = readLockInfo(lockPath);
+
+    if (Date.now() >= deadline) {
+      const owner = info ? ` (held by pid ${info.pid} on ${info.host})` : '';
+      const err = new Error(`Timed out waiting for lock on ${filePath}${owner}`);
+      err.code = 'ELOCKTIMEOUT';
+      throw err;
+    }
+
+    if (isLockStale(lockPath, info, staleMs)) {
+      breakStaleLock(lockPath, info);
+    } else {
+      // Jitter so waiters don't retry in lockstep
+      sleepSync(retryMs + Math.floor(Math.random() * retryMs));
+    }
+  }
+}
+
+/**
+ * Run a function while holding the lock for a file
+ * @param {string} filePath - File to lock
+ * @param {Function} fn - Function to run; its return value is passed through
+ * @param {object} options - Lock options (see acquireLock)
+ * @returns {*} Return value of fn
+ */
+function withFileLock(filePath, fn, options = {}) {
+  const release = acquireLock(filePath, options);
+
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Write a file atomically: readers see either the old or the new content, never a partial file
+ * The temp file is renamed over the target, which replaces it in one step on every platform.
+ * @param {string} filePath - Destination file
+ * @param {string|Buffer} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.partial`;
+
+  ensureDir(path.dirname(filePath));
+
+  try {
+    fs.writeFileSync(tempPath, content, typeof content === 'string' ? 'utf8' : undefined);
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+}
+
+module.exports = {
+  DEFAULT_LOCK_OPTIONS,
+  getLockPath,
+  acquireLock,
+  withFileLock,
+  writeFileAtomic
+};
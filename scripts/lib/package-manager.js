@@ -3,56 +3,105 @@
  * Automatically detects the preferred package manager or lets user choose
  *
  * Supports: npm, pnpm, yarn, bun
+ *
+ * Detection walks up from the working directory to the workspace root, so
+ * running from a package inside a monorepo finds the root's lock file and
+ * packageManager field, and run commands are filtered to that package.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { commandExists, getClaudeDir, readFile, writeFile } = require('./utils');
+const { spawnSync } = require('child_process');
+const {
+  commandExists,
+  getAncestorDirs,
+  getClaudeDir,
+  readFile,
+  runCommand,
+  isWindows
+} = require('./utils');
+const { withFileLock, writeFileAtomic } = require('./file-lock');
 
 // Package manager definitions
 const PACKAGE_MANAGERS = {
   npm: {
     name: 'npm',
     lockFile: 'package-lock.json',
+    lockFiles: ['package-lock.json'],
+    markerFiles: [],
     installCmd: 'npm install',
     runCmd: 'npm run',
     execCmd: 'npx',
+    localExecCmd: 'npx',
     testCmd: 'npm test',
     buildCmd: 'npm run build',
-    devCmd: 'npm run dev'
+    devCmd: 'npm run dev',
+    variants: [
+      // No workspaces (-w) before npm 7
+      { maxMajor: 6, label: 'npm 6', workspaces: false }
+    ]
   },
   pnpm: {
     name: 'pnpm',
     lockFile: 'pnpm-lock.yaml',
+    lockFiles: ['pnpm-lock.yaml'],
+    markerFiles: ['pnpm-workspace.yaml'],
     installCmd: 'pnpm install',
     runCmd: 'pnpm',
     execCmd: 'pnpm dlx',
+    localExecCmd: 'pnpm exec',
     testCmd: 'pnpm test',
     buildCmd: 'pnpm build',
-    devCmd: 'pnpm dev'
+    devCmd: 'pnpm dev',
+    variants: [
+      // pnpm dlx and pnpm exec arrived in pnpm 6
+      { maxMajor: 5, label: 'pnpm 5', execCmd: 'pnpx', localExecCmd: 'pnpx' }
+    ]
   },
   yarn: {
     name: 'yarn',
     lockFile: 'yarn.lock',
+    lockFiles: ['yarn.lock'],
+    markerFiles: ['.yarnrc.yml'],
     installCmd: 'yarn',
     runCmd: 'yarn',
     execCmd: 'yarn dlx',
+    localExecCmd: 'yarn exec',
     testCmd: 'yarn test',
     buildCmd: 'yarn build',
-    devCmd: 'yarn dev'
+    devCmd: 'yarn dev',
+    variants: [
+      // Yarn classic has no dlx; `yarn run` also runs local binaries
+      { maxMajor: 1, label: 'yarn classic', execCmd: 'npx', localExecCmd: 'yarn run' },
+      { minMajor: 2, label: 'yarn berry' }
+    ]
   },
   bun: {
     name: 'bun',
     lockFile: 'bun.lockb',
+    // bun.lock is the text lockfile written by bun 1.2+
+    lockFiles: ['bun.lockb', 'bun.lock'],
+    markerFiles: ['bunfig.toml'],
     installCmd: 'bun install',
     runCmd: 'bun run',
     execCmd: 'bunx',
+    localExecCmd: 'bunx',
     testCmd: 'bun test',
     buildCmd: 'bun run build',
-    devCmd: 'bun run dev'
+    devCmd: 'bun run dev',
+    variants: []
   }
 };
 
+// Interactive setup script, referenced in recommendations
+const SETUP_SCRIPT = path.join(__dirname, '..', 'setup-package-manager.js');
+
+// Package managers corepack provides shims for
+const COREPACK_MANAGERS = ['yarn', 'pnpm'];
+
+// Cache of `<pm> --version` output per package manager and directory
+const installedVersions = new Map();
+
 // Priority order for detection
 const DETECTION_PRIORITY = ['pnpm', 'bun', 'yarn', 'npm'];
 
@@ -83,48 +132,210 @@ function loadConfig() {
  */
 function saveConfig(config) {
   const configPath = getConfigPath();
-  writeFile(configPath, JSON.stringify(config, null, 2));
+  withFileLock(configPath, () => writeFileAtomic(configPath, JSON.stringify(config, null, 2)));
 }
 
 /**
- * Detect package manager from lock file in project directory
+ * Read and parse a package.json
+ * @param {string} dir - Directory containing package.json
+ * @returns {object|null} Parsed package.json, or null if missing or invalid
  */
-function detectFromLockFile(projectDir = process.cwd()) {
-  for (const pmName of DETECTION_PRIORITY) {
-    const pm = PACKAGE_MANAGERS[pmName];
-    const lockFilePath = path.join(projectDir, pm.lockFile);
+function readPackageJson(dir) {
+  const content = readFile(path.join(dir, 'package.json'));
+  if (!content) return null;
+
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
 
-    if (fs.existsSync(lockFilePath)) {
-      return pmName;
+/**
+ * Read the package globs from pnpm-workspace.yaml
+ * Only the `packages:` list is needed, so this reads it line by line rather than parsing YAML.
+ * @param {string} content - pnpm-workspace.yaml content
+ * @returns {string[]} Package globs (negated globs keep their leading "!")
+ */
+function parsePnpmWorkspacePatterns(content) {
+  const patterns = [];
+  let inPackages = false;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
     }
+    if (!inPackages || /^\s*(#.*)?$/.test(line)) continue;
+
+    const item = line.match(/^\s+-\s*(['"]?)([^'"#]+)\1/);
+    if (!item) {
+      // Next top-level key
+      if (/^\S/.test(line)) inPackages = false;
+      continue;
+    }
+    patterns.push(item[2].trim());
+  }
+
+  return patterns;
+}
+
+/**
+ * Read the workspace package globs declared in a directory, if it is a workspace root
+ * @param {string} dir - Directory to check
+ * @returns {object|null} { source, patterns } or null
+ */
+function readWorkspaceConfig(dir) {
+  const pnpmWorkspace = readFile(path.join(dir, 'pnpm-workspace.yaml'));
+  if (pnpmWorkspace !== null) {
+    return { source: 'pnpm-workspace.yaml', patterns: parsePnpmWorkspacePatterns(pnpmWorkspace) };
+  }
+
+  const pkg = readPackageJson(dir);
+  const workspaces = pkg && pkg.workspaces;
+  // "workspaces": [...] (npm, yarn, bun) or { "packages": [...] } (yarn classic)
+  const patterns = Array.isArray(workspaces) ? workspaces : workspaces && workspaces.packages;
+  if (Array.isArray(patterns)) {
+    return { source: 'package.json', patterns: patterns.filter(p => typeof p === 'string') };
   }
+
   return null;
 }
 
 /**
- * Detect package manager from package.json packageManager field
+ * Convert a workspace glob ("packages/*", "apps/**") to a regex
+ * @param {string} pattern - Workspace glob
+ * @returns {RegExp} Regex matching relative package paths
  */
-function detectFromPackageJson(projectDir = process.cwd()) {
-  const packageJsonPath = path.join(projectDir, 'package.json');
-  const content = readFile(packageJsonPath);
+function workspaceGlobToRegex(pattern) {
+  const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  const regex = normalized
+    .split('**')
+    .map(part => part
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]'))
+    .join('.*');
+  return new RegExp(`^${regex}$`);
+}
 
-  if (content) {
-    try {
-      const pkg = JSON.parse(content);
-      if (pkg.packageManager) {
-        // Format: "pnpm@8.6.0" or just "pnpm"
-        const pmName = pkg.packageManager.split('@')[0];
-        if (PACKAGE_MANAGERS[pmName]) {
+/**
+ * Check whether a relative path is a package of the workspace
+ * @param {string} relativePath - Package path relative to the workspace root (forward slashes)
+ * @param {string[]} patterns - Workspace globs
+ * @returns {boolean} True if included and not excluded
+ */
+function matchesWorkspacePatterns(relativePath, patterns) {
+  const included = patterns.some(p => !p.startsWith('!') && workspaceGlobToRegex(p).test(relativePath));
+  const excluded = patterns.some(p => p.startsWith('!') && workspaceGlobToRegex(p.slice(1)).test(relativePath));
+  return included && !excluded;
+}
+
+/**
+ * Find the workspace (monorepo) root above a directory
+ * @param {string} projectDir - Directory to start from
+ * @returns {object|null} {
+ *   root, source ('pnpm-workspace.yaml' | 'package.json'), patterns,
+ *   package: { path (relative to root, '' for the root itself), name, dir } | null (not a workspace package)
+ * } or null if not inside a workspace
+ */
+function findWorkspaceRoot(projectDir = process.cwd()) {
+  const dirs = getAncestorDirs(projectDir);
+
+  for (const dir of dirs) {
+    const config = readWorkspaceConfig(dir);
+    if (!config) continue;
+
+    // The nearest package.json between the start directory and the root
+    const packageDir = dirs.slice(0, dirs.indexOf(dir) + 1).find(d => fs.existsSync(path.join(d, 'package.json')));
+    const relativePath = packageDir ? path.relative(dir, packageDir).split(path.sep).join('/') : null;
+    const isPackage = relativePath === '' || (relativePath !== null && matchesWorkspacePatterns(relativePath, config.patterns));
+    const pkg = isPackage ? readPackageJson(packageDir) : null;
+
+    return {
+      root: dir,
+      source: config.source,
+      patterns: config.patterns,
+      package: isPackage ? { path: relativePath, name: (pkg && pkg.name) || null, dir: packageDir } : null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Directories to search for package manager signals, nearest first
+ * Inside a workspace this is every directory up to the workspace root;
+ * otherwise only the project directory itself.
+ * @param {string} projectDir - Directory to start from
+ * @param {object|null} workspace - Result of findWorkspaceRoot (looked up if omitted)
+ * @returns {string[]} Directories
+ */
+function getDetectionDirs(projectDir, workspace = findWorkspaceRoot(projectDir)) {
+  if (!workspace) return [path.resolve(projectDir)];
+
+  const dirs = getAncestorDirs(projectDir);
+  return dirs.slice(0, dirs.indexOf(workspace.root) + 1);
+}
+
+/**
+ * Detect package manager from lock file (or a manager-specific config file
+ * such as pnpm-workspace.yaml or .yarnrc.yml) in the project or workspace root
+ */
+function detectFromLockFile(projectDir = process.cwd()) {
+  for (const dir of getDetectionDirs(projectDir)) {
+    for (const fileKey of ['lockFiles', 'markerFiles']) {
+      for (const pmName of DETECTION_PRIORITY) {
+        const files = PACKAGE_MANAGERS[pmName][fileKey];
+
+        if (files.some(file => fs.existsSync(path.join(dir, file)))) {
           return pmName;
         }
       }
-    } catch {
-      // Invalid package.json
     }
   }
   return null;
 }
 
+/**
+ * Parse a package.json packageManager field
+ * @param {string} value - e.g. "pnpm@8.6.0", "yarn@4.1.0+sha512.abc..." or just "pnpm"
+ * @returns {object|null} { name, version, hash } or null if not a known package manager
+ */
+function parsePackageManagerField(value) {
+  const match = typeof value === 'string' && value.trim().match(/^([a-z]+)(?:@([^+\s]+))?(?:\+(\S+))?$/);
+  if (!match || !PACKAGE_MANAGERS[match[1]]) return null;
+
+  return { name: match[1], version: match[2] || null, hash: match[3] || null };
+}
+
+/**
+ * Detect the pinned package manager from the package.json packageManager field
+ * (the package's own, or the workspace root's)
+ * @param {string} projectDir - Directory to start from
+ * @returns {object|null} { name, version, hash, dir } or null if none is pinned
+ */
+function detectPackageManagerSpec(projectDir = process.cwd()) {
+  for (const dir of getDetectionDirs(projectDir)) {
+    const pkg = readPackageJson(dir);
+    const spec = pkg && parsePackageManagerField(pkg.packageManager);
+
+    if (spec) {
+      return { ...spec, dir };
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect package manager from package.json packageManager field
+ * (the package's own, or the workspace root's)
+ */
+function detectFromPackageJson(projectDir = process.cwd()) {
+  const spec = detectPackageManagerSpec(projectDir);
+  return spec ? spec.name : null;
+}
+
 /**
  * Get available package managers (installed on system)
  */
@@ -151,34 +362,42 @@ function getAvailablePackageManagers() {
  * 5. Global user preference (in ~/.claude/package-manager.json)
  * 6. First available package manager (by priority)
  *
+ * Steps 2-4 look in the project directory and, inside a workspace, in every
+ * directory up to the workspace root (nearest wins).
+ *
  * @param {object} options - { projectDir, fallbackOrder }
- * @returns {object} - { name, config, source }
+ * @returns {object} - { name, config, source, workspace, version }
+ *   workspace is null outside a monorepo, otherwise
+ *   { root, source, patterns, package: { path, name, dir } | null } (see findWorkspaceRoot)
+ *   version is the version pinned in package.json packageManager, if it pins this package manager
  */
 function getPackageManager(options = {}) {
   const { projectDir = process.cwd(), fallbackOrder = DETECTION_PRIORITY } = options;
+  const workspace = findWorkspaceRoot(projectDir);
+  const spec = detectPackageManagerSpec(projectDir);
+  const result = (name, source) => ({
+    name,
+    config: PACKAGE_MANAGERS[name],
+    source,
+    workspace,
+    version: spec && spec.name === name ? spec.version : null
+  });
 
   // 1. Check environment variable
   const envPm = process.env.CLAUDE_PACKAGE_MANAGER;
   if (envPm && PACKAGE_MANAGERS[envPm]) {
-    return {
-      name: envPm,
-      config: PACKAGE_MANAGERS[envPm],
-      source: 'environment'
-    };
+    return result(envPm, 'environment');
   }
 
   // 2. Check project-specific config
-  const projectConfigPath = path.join(projectDir, '.claude', 'package-manager.json');
-  const projectConfig = readFile(projectConfigPath);
-  if (projectConfig) {
+  for (const dir of getDetectionDirs(projectDir, workspace)) {
+    const projectConfig = readFile(path.join(dir, '.claude', 'package-manager.json'));
+    if (!projectConfig) continue;
+
     try {
       const config = JSON.parse(projectConfig);
       if (config.packageManager && PACKAGE_MANAGERS[config.packageManager]) {
-        return {
-          name: config.packageManager,
-          config: PACKAGE_MANAGERS[config.packageManager],
-          source: 'project-config'
-        };
+        return result(config.packageManager, 'project-config');
       }
     } catch {
       // Invalid config
@@ -186,53 +405,32 @@ function getPackageManager(options = {}) {
   }
 
   // 3. Check package.json packageManager field
-  const fromPackageJson = detectFromPackageJson(projectDir);
-  if (fromPackageJson) {
-    return {
-      name: fromPackageJson,
-      config: PACKAGE_MANAGERS[fromPackageJson],
-      source: 'package.json'
-    };
+  if (spec) {
+    return result(spec.name, 'package.json');
   }
 
   // 4. Check lock file
   const fromLockFile = detectFromLockFile(projectDir);
   if (fromLockFile) {
-    return {
-      name: fromLockFile,
-      config: PACKAGE_MANAGERS[fromLockFile],
-      source: 'lock-file'
-    };
+    return result(fromLockFile, 'lock-file');
   }
 
   // 5. Check global user preference
   const globalConfig = loadConfig();
   if (globalConfig && globalConfig.packageManager && PACKAGE_MANAGERS[globalConfig.packageManager]) {
-    return {
-      name: globalConfig.packageManager,
-      config: PACKAGE_MANAGERS[globalConfig.packageManager],
-      source: 'global-config'
-    };
+    return result(globalConfig.packageManager, 'global-config');
   }
 
   // 6. Use first available package manager
   const available = getAvailablePackageManagers();
   for (const pmName of fallbackOrder) {
     if (available.includes(pmName)) {
-      return {
-        name: pmName,
-        config: PACKAGE_MANAGERS[pmName],
-        source: 'fallback'
-      };
+      return result(pmName, 'fallback');
     }
   }
 
   // Default to npm (always available with Node.js)
-  return {
-    name: 'npm',
-    config: PACKAGE_MANAGERS.npm,
-    source: 'default'
-  };
+  return result('npm', 'default');
 }
 
 /**
@@ -243,12 +441,15 @@ function setPreferredPackageManager(pmName) {
     throw new Error(`Unknown package manager: ${pmName}`);
   }
 
-  const config = loadConfig() || {};
-  config.packageManager = pmName;
-  config.setAt = new Date().toISOString();
-  saveConfig(config);
+  // Lock across load and save so settings written by another session are kept
+  return withFileLock(getConfigPath(), () => {
+    const config = loadConfig() || {};
+    config.packageManager = pmName;
+    config.setAt = new Date().toISOString();
+    saveConfig(config);
 
-  return config;
+    return config;
+  });
 }
 
 /**
@@ -267,29 +468,247 @@ function setProjectPackageManager(pmName, projectDir = process.cwd()) {
     setAt: new Date().toISOString()
   };
 
-  writeFile(configPath, JSON.stringify(config, null, 2));
+  withFileLock(configPath, () => writeFileAtomic(configPath, JSON.stringify(config, null, 2)));
   return config;
 }
 
+/**
+ * Get the major version number from a version string
+ * @param {string|null} version - e.g. "4.1.0"
+ * @returns {number|null} Major version, or null if unknown
+ */
+function getMajorVersion(version) {
+  const match = String(version || '').match(/^v?(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Check whether an installed version satisfies a pinned one
+ * A partial pin matches by prefix: "8" and "8.15" both accept 8.15.4.
+ * @param {string} pinned - Pinned version, e.g. "8" or "4.1.0"
+ * @param {string} installed - Installed version, e.g. "8.15.4"
+ * @returns {boolean} True if every pinned component matches
+ */
+function versionMatches(pinned, installed) {
+  // Build metadata ("+sha512...") never decides a match
+  const parts = version => String(version).replace(/^v/, '').split('+')[0].split('.');
+  const installedParts = parts(installed);
+  return parts(pinned).every((part, i) => part === installedParts[i]);
+}
+
+/**
+ * Get the version of the installed package manager binary
+ * Run in the project directory so a corepack shim reports the version it would use there.
+ * @param {string} pmName - Package manager name
+ * @param {string} projectDir - Directory to run in
+ * @returns {string|null} Version, or null if not installed
+ */
+function getInstalledVersion(pmName, projectDir = process.cwd()) {
+  if (!PACKAGE_MANAGERS[pmName]) return null;
+
+  const key = `${pmName}:${path.resolve(projectDir)}`;
+  if (!installedVersions.has(key)) {
+    // pmName is one of the known package managers, never user input
+    const result = runCommand(`${pmName} --version`, {
+      cwd: projectDir,
+      timeout: 10000,
+      // Don't let corepack stop to ask before downloading a pinned version
+      env: { ...process.env, COREPACK_ENABLE_DOWNLOAD_PROMPT: '0' }
+    });
+    const version = result.success && result.output.match(/\d+\.\d+\.\d+\S*/);
+    installedVersions.set(key, version ? version[0] : null);
+  }
+
+  return installedVersions.get(key);
+}
+
+/**
+ * Check whether a package manager command is a corepack shim
+ * @param {string} pmName - Package manager name
+ * @returns {boolean} True if the binary on PATH resolves into corepack
+ */
+function isCorepackShim(pmName) {
+  if (!commandExists(pmName)) return false;
+
+  const result = spawnSync(isWindows ? 'where' : 'which', [pmName], { encoding: 'utf8', stdio: 'pipe' });
+  const binPath = (result.stdout || '').split(/\r?\n/)[0].trim();
+  if (!binPath) return false;
+
+  try {
+    return /corepack/i.test(fs.realpathSync(binPath)) || /corepack/i.test(fs.readFileSync(binPath, 'utf8').slice(0, 2000));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Infer the yarn major version from the project files when it isn't pinned
+ * @param {string} projectDir - Directory to start from
+ * @returns {number|null} 1 for classic, 2 for berry (2+), or null if unknown
+ */
+function inferYarnMajor(projectDir) {
+  for (const dir of getDetectionDirs(projectDir)) {
+    if (fs.existsSync(path.join(dir, '.yarnrc.yml'))) return 2;
+
+    const lockFile = readFile(path.join(dir, 'yarn.lock'));
+    if (lockFile !== null) {
+      // Berry lockfiles are YAML with a __metadata block; classic ones have a v1 header comment
+      if (lockFile.includes('__metadata:')) return 2;
+      if (/# yarn lockfile v1/.test(lockFile)) return 1;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the version used to choose command templates
+ * Prefers the pinned version, then project files (yarn), then the installed binary.
+ * Without probing the binary, an unknown version gets the current commands.
+ * @param {object} pm - Result of getPackageManager
+ * @param {string} projectDir - Project directory
+ * @param {boolean} probe - Run `<pm> --version` when nothing else tells the version
+ * @returns {object} { major, source: 'pinned' | 'project-files' | 'installed' | null }
+ */
+function getEffectiveMajorVersion(pm, projectDir, probe = true) {
+  if (pm.version) {
+    return { major: getMajorVersion(pm.version), source: 'pinned' };
+  }
+
+  if (pm.name === 'yarn') {
+    const major = inferYarnMajor(projectDir);
+    if (major !== null) return { major, source: 'project-files' };
+  }
+
+  // Only worth running the binary when the commands differ between versions
+  if (probe && pm.config.variants.length > 0) {
+    const installed = getInstalledVersion(pm.name, projectDir);
+    if (installed) return { major: getMajorVersion(installed), source: 'installed' };
+  }
+
+  return { major: null, source: null };
+}
+
+/**
+ * Get the command templates for a package manager, adjusted for its version
+ * @param {object} pm - Result of getPackageManager
+ * @param {string} projectDir - Project directory
+ * @param {object} options - { probe: false to skip running the binary (hooks, which run on every call) }
+ * @returns {object} PACKAGE_MANAGERS entry merged with the matching version variant,
+ *   plus { major, versionSource, variant: label or null }
+ */
+function getCommandTemplates(pm, projectDir = process.cwd(), options = {}) {
+  const { probe = true } = options;
+  const { major, source } = getEffectiveMajorVersion(pm, projectDir, probe);
+  const variant = major === null ? null : pm.config.variants.find(v =>
+    (v.minMajor === undefined || major >= v.minMajor) && (v.maxMajor === undefined || major <= v.maxMajor)
+  );
+
+  const overrides = { ...variant };
+  delete overrides.minMajor;
+  delete overrides.maxMajor;
+  delete overrides.label;
+
+  return {
+    ...pm.config,
+    ...overrides,
+    major,
+    versionSource: source,
+    variant: variant ? variant.label : null
+  };
+}
+
+/**
+ * Compare the pinned package manager version with the installed binary
+ * @param {object} options - { projectDir }
+ * @returns {object} { name, pinned, installed, mismatch, corepack: { available, shim }, message }
+ *   message explains a mismatch or missing binary, and is null when everything matches
+ */
+function checkPackageManagerVersion(options = {}) {
+  const { projectDir = process.cwd() } = options;
+  const pm = getPackageManager(options);
+  const installed = getInstalledVersion(pm.name, projectDir);
+  const corepack = { available: commandExists('corepack'), shim: isCorepackShim(pm.name) };
+  // `corepack enable` installs shims for yarn and pnpm only
+  const canEnable = corepack.available && !corepack.shim && COREPACK_MANAGERS.includes(pm.name);
+
+  let message = null;
+  if (!installed) {
+    message = `${pm.name} is not installed.${canEnable ? ' Run `corepack enable` to install it on demand.' : ''}`;
+  } else if (pm.version && !versionMatches(pm.version, installed)) {
+    message = `package.json pins ${pm.name}@${pm.version} but ${pm.name} ${installed} is installed.` +
+      (canEnable ? ' Run `corepack enable` to use the pinned version automatically.' : '');
+  }
+
+  return {
+    name: pm.name,
+    pinned: pm.version,
+    installed,
+    mismatch: Boolean(pm.version && installed && !versionMatches(pm.version, installed)),
+    corepack,
+    message
+  };
+}
+
+/**
+ * Get the command to run a script in one workspace package from the workspace root
+ * @param {string} pmName - Package manager name
+ * @param {object} pkg - Workspace package { path, name }
+ * @param {string} script - Script name
+ * @param {object} templates - Version-adjusted templates (see getCommandTemplates)
+ * @returns {string|null} Filtered command, or null if the package manager can't target this package
+ */
+function getFilteredRunCommand(pmName, pkg, script, templates) {
+  // Filters by path need a leading "./" to be read as a path, not a name
+  const target = pkg.name || `./${pkg.path}`;
+
+  if (templates.workspaces === false) return null;
+
+  switch (pmName) {
+    case 'pnpm':
+      return `pnpm --filter ${target} ${script}`;
+    case 'yarn':
+      // yarn workspace only accepts package names
+      return pkg.name ? `yarn workspace ${pkg.name} ${script}` : null;
+    case 'npm':
+      return `npm run ${script} -w ${pkg.path}`;
+    case 'bun':
+      return `bun run --filter ${target} ${script}`;
+    default:
+      return null;
+  }
+}
+
 /**
  * Get the command to run a script
+ * Inside a workspace package, commands are filtered to that package
+ * (`pnpm --filter`, `yarn workspace`, `npm -w`, `bun --filter`) so they work from the workspace root.
  * @param {string} script - Script name (e.g., "dev", "build", "test")
- * @param {object} options - { projectDir }
+ * @param {object} options - { projectDir, filter: false to get the unfiltered command }
  */
 function getRunCommand(script, options = {}) {
+  const { filter = true, projectDir = process.cwd() } = options;
   const pm = getPackageManager(options);
+  // Versions that change these commands are pinned or long out of support, so don't spawn the binary
+  const templates = getCommandTemplates(pm, projectDir, { probe: false });
+  const pkg = pm.workspace && pm.workspace.package;
+
+  // Installs always apply to the whole workspace
+  if (filter && pkg && pkg.path !== '' && script !== 'install') {
+    const filtered = getFilteredRunCommand(pm.name, pkg, script, templates);
+    if (filtered) return filtered;
+  }
 
   switch (script) {
     case 'install':
-      return pm.config.installCmd;
+      return templates.installCmd;
     case 'test':
-      return pm.config.testCmd;
+      return templates.testCmd;
     case 'build':
-      return pm.config.buildCmd;
+      return templates.buildCmd;
     case 'dev':
-      return pm.config.devCmd;
+      return templates.devCmd;
     default:
-      return `${pm.config.runCmd} ${script}`;
+      return `${templates.runCmd} ${script}`;
   }
 }
 
@@ -297,10 +716,235 @@ function getRunCommand(script, options = {}) {
  * Get the command to execute a package binary
  * @param {string} binary - Binary name (e.g., "prettier", "eslint")
  * @param {string} args - Arguments to pass
+ * @param {object} options - { projectDir, local: true for a binary installed in the project
+ *   (pnpm exec, yarn exec) rather than one fetched on demand (pnpm dlx, yarn dlx) }
  */
 function getExecCommand(binary, args = '', options = {}) {
-  const pm = getPackageManager(options);
-  return `${pm.config.execCmd} ${binary}${args ? ' ' + args : ''}`;
+  const { local = false, projectDir = process.cwd() } = options;
+  const templates = getCommandTemplates(getPackageManager(options), projectDir, { probe: false });
+  const execCmd = local ? templates.localExecCmd : templates.execCmd;
+  return `${execCmd} ${binary}${args ? ' ' + args : ''}`;
+}
+
+/**
+ * Find every lock file and manager-specific config file in the detection directories
+ * @param {string} projectDir - Directory to start from
+ * @returns {Array} [{ type: 'lock-file' | 'marker', name, path, mtime }], nearest directory first
+ */
+function findPackageManagerFiles(projectDir) {
+  const found = [];
+
+  for (const dir of getDetectionDirs(projectDir)) {
+    for (const [type, fileKey] of [['lock-file', 'lockFiles'], ['marker', 'markerFiles']]) {
+      for (const pmName of DETECTION_PRIORITY) {
+        for (const file of PACKAGE_MANAGERS[pmName][fileKey]) {
+          const filePath = path.join(dir, file);
+          try {
+            found.push({ type, name: pmName, path: filePath, mtime: fs.statSync(filePath).mtime });
+          } catch {
+            // Not present
+          }
+        }
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Read the dependency ranges a manifest or package-lock.json root entry declares
+ * @param {object} entry - package.json, or packages[""] of a package-lock.json
+ * @returns {object} Name -> range
+ */
+function getDeclaredDependencies(entry) {
+  return { ...entry.optionalDependencies, ...entry.dependencies, ...entry.devDependencies };
+}
+
+/**
+ * Compare the dependencies of package.json with what its lock file records
+ * Only package-lock.json (its root entry) and yarn.lock (its entry headers)
+ * are read; mtimes say nothing after a clone or checkout.
+ * @param {object} lockFile - Lock file from findPackageManagerFiles()
+ * @returns {string[]|null} Dependencies out of sync ("name@range"), or null if unknown
+ */
+function findUnlockedDependencies(lockFile) {
+  let declared;
+  let lockContent;
+  try {
+    declared = getDeclaredDependencies(JSON.parse(readFile(path.join(path.dirname(lockFile.path), 'package.json'))));
+    lockContent = readFile(lockFile.path);
+  } catch {
+    return null;
+  }
+  if (lockContent === null) return null;
+
+  const fileName = path.basename(lockFile.path);
+
+  if (fileName === 'package-lock.json') {
+    let root;
+    try {
+      root = (JSON.parse(lockContent).packages || {})[''];
+    } catch {
+      return null;
+    }
+    // lockfileVersion 1 has no root entry
+    if (!root) return null;
+
+    const locked = getDeclaredDependencies(root);
+    const names = new Set([...Object.keys(declared), ...Object.keys(locked)]);
+    return [...names].filter(name => declared[name] !== locked[name]).map(name => `${name}@${declared[name] || '(removed)'}`);
+  }
+
+  if (fileName === 'yarn.lock') {
+    // Entry headers list every "name@range" they resolve: "a@^1.0.0, a@^1.2.0":
+    const specs = new Set();
+    for (const line of lockContent.split(/\r?\n/)) {
+      if (!/^[^\s#].*:$/.test(line)) continue;
+      for (const spec of line.slice(0, -1).split(',')) {
+        specs.add(spec.trim().replace(/^"|"$/g, ''));
+      }
+    }
+    return Object.entries(declared)
+      .filter(([name, range]) => !specs.has(`${name}@${range}`) && !specs.has(`${name}@npm:${range}`))
+      .map(([name, range]) => `${name}@${range}`);
+  }
+
+  return null;
+}
+
+/**
+ * Collect every package manager signal and check them against each other
+ *
+ * Signals: CLAUDE_PACKAGE_MANAGER, project config, the packageManager field,
+ * each lock file and manager-specific config file, the global config and
+ * (with checkBinaries) the installed binaries.
+ *
+ * @param {object} options - { projectDir, checkBinaries: false to skip running binaries (default true) }
+ * @returns {object} {
+ *   selected: getPackageManager result,
+ *   signals: [{ type, name, detail }],
+ *   conflicts: [string], - signals that disagree about which package manager to use
+ *   warnings: [string], - stale lock files, version mismatches, missing binaries
+ *   recommendations: [string],
+ *   recommended: package manager name the project appears to use, or null
+ * }
+ */
+function diagnosePackageManager(options = {}) {
+  const { projectDir = process.cwd(), checkBinaries = true } = options;
+  const selected = getPackageManager({ projectDir });
+  const signals = [];
+  const conflicts = [];
+  const warnings = [];
+  const recommendations = [];
+  const relative = filePath => path.relative(projectDir, filePath) || path.basename(filePath);
+
+  const envPm = process.env.CLAUDE_PACKAGE_MANAGER;
+  if (envPm) {
+    signals.push({ type: 'environment', name: envPm, detail: 'CLAUDE_PACKAGE_MANAGER' });
+    if (!PACKAGE_MANAGERS[envPm]) {
+      warnings.push(`CLAUDE_PACKAGE_MANAGER is set to unknown package manager "${envPm}" and is ignored`);
+    }
+  }
+
+  let projectConfigPm = null;
+  for (const dir of getDetectionDirs(projectDir, selected.workspace)) {
+    const configPath = path.join(dir, '.claude', 'package-manager.json');
+    const content = readFile(configPath);
+    if (content === null) continue;
+
+    try {
+      const config = JSON.parse(content);
+      signals.push({ type: 'project-config', name: config.packageManager, detail: relative(configPath) });
+      projectConfigPm = projectConfigPm || config.packageManager;
+    } catch {
+      warnings.push(`${relative(configPath)} is not valid JSON and is ignored`);
+    }
+  }
+
+  const spec = detectPackageManagerSpec(projectDir);
+  if (spec) {
+    signals.push({
+      type: 'package.json',
+      name: spec.name,
+      detail: `${relative(path.join(spec.dir, 'package.json'))} packageManager ${spec.name}${spec.version ? `@${spec.version}` : ''}`
+    });
+  }
+
+  const files = findPackageManagerFiles(projectDir);
+  for (const file of files) {
+    signals.push({ type: file.type, name: file.name, detail: relative(file.path) });
+  }
+
+  const globalConfig = loadConfig();
+  if (globalConfig && globalConfig.packageManager) {
+    signals.push({ type: 'global-config', name: globalConfig.packageManager, detail: getConfigPath() });
+  }
+
+  const available = checkBinaries ? getAvailablePackageManagers() : null;
+  if (available) {
+    for (const pmName of available) {
+      signals.push({ type: 'binary', name: pmName, detail: getInstalledVersion(pmName, projectDir) || 'installed' });
+    }
+  }
+
+  // What the project itself says, most explicit first; the newest lock file breaks ties
+  const lockFiles = files.filter(f => f.type === 'lock-file');
+  const newestLock = lockFiles.slice().sort((a, b) => b.mtime - a.mtime)[0];
+  const recommended = (spec && spec.name) ||
+    (PACKAGE_MANAGERS[projectConfigPm] ? projectConfigPm : null) ||
+    (newestLock && newestLock.name) ||
+    null;
+
+  const lockNames = [...new Set(lockFiles.map(f => f.name))];
+  if (lockNames.length > 1) {
+    const keep = lockFiles.filter(f => f.name === recommended);
+    const remove = lockFiles.filter(f => f.name !== recommended);
+    conflicts.push(`Lock files for ${lockNames.join(', ')} found: ${lockFiles.map(f => relative(f.path)).join(', ')}`);
+    recommendations.push(`Keep ${keep.map(f => relative(f.path)).join(', ')} (${recommended}) and delete ${remove.map(f => relative(f.path)).join(', ')}`);
+  }
+
+  if (spec && lockFiles.length > 0 && !lockNames.includes(spec.name)) {
+    conflicts.push(`package.json pins ${spec.name} but the only lock files are for ${lockNames.join(', ')}`);
+    recommendations.push(`Run \`${PACKAGE_MANAGERS[spec.name].installCmd}\` to create a ${spec.name} lock file, or change the packageManager field`);
+  }
+
+  if (projectConfigPm && recommended && projectConfigPm !== recommended) {
+    conflicts.push(`Project config selects ${projectConfigPm} but the project uses ${recommended}`);
+    recommendations.push(`Run \`node ${SETUP_SCRIPT} --project ${recommended}\` or remove .claude/package-manager.json`);
+  }
+
+  if (envPm && PACKAGE_MANAGERS[envPm] && recommended && envPm !== recommended) {
+    conflicts.push(`CLAUDE_PACKAGE_MANAGER selects ${envPm} but the project uses ${recommended}`);
+    recommendations.push('Unset CLAUDE_PACKAGE_MANAGER in this project');
+  }
+
+  // A lock file that does not record the declared dependencies is stale
+  for (const lockFile of lockFiles) {
+    const unlocked = findUnlockedDependencies(lockFile);
+    if (!unlocked || unlocked.length === 0) continue;
+
+    const shown = unlocked.slice(0, 5).join(', ') + (unlocked.length > 5 ? `, and ${unlocked.length - 5} more` : '');
+    warnings.push(`${relative(lockFile.path)} is out of sync with package.json (${shown})`);
+    if (lockFile.name === recommended) {
+      recommendations.push(`Run \`${PACKAGE_MANAGERS[lockFile.name].installCmd}\` to refresh ${relative(lockFile.path)}`);
+    }
+  }
+
+  if (available && !available.includes(selected.name)) {
+    warnings.push(`${selected.name} is selected but not installed`);
+  }
+
+  if (checkBinaries && selected.version) {
+    const versionCheck = checkPackageManagerVersion({ projectDir });
+    if (versionCheck.message) warnings.push(versionCheck.message);
+  }
+
+  if (recommended && !spec && conflicts.length > 0) {
+    recommendations.push(`Pin the package manager: add "packageManager": "${recommended}@<version>" to package.json`);
+  }
+
+  return { selected, signals, conflicts, warnings, recommendations, recommended };
 }
 
 /**
@@ -327,7 +971,7 @@ function getSelectionPrompt() {
 }
 
 /**
- * Generate a regex pattern that matches commands for all package managers
+ * Generate a regex pattern that matches commands for all package managers and ecosystem tools
  * @param {string} action - Action pattern (e.g., "run dev", "install", "test")
  */
 function getCommandPattern(action) {
@@ -371,6 +1015,10 @@ function getCommandPattern(action) {
     );
   }
 
+  // Python, PHP, Go and Rust tools from the ecosystem registry (required here: it depends on this module)
+  const { getEcosystemCommandPatterns } = require('./ecosystems');
+  patterns.push(...getEcosystemCommandPatterns(action));
+
   return `(${patterns.join('|')})`;
 }
 
@@ -383,6 +1031,12 @@ module.exports = {
   getAvailablePackageManagers,
   detectFromLockFile,
   detectFromPackageJson,
+  detectPackageManagerSpec,
+  findWorkspaceRoot,
+  getInstalledVersion,
+  getCommandTemplates,
+  checkPackageManagerVersion,
+  diagnosePackageManager,
   getRunCommand,
   getExecCommand,
   getSelectionPrompt,
@@ -0,0 +1,232 @@
+/**
+ * Permission Allowlist Generator for Claude Code
+ * Builds `permissions.allow` rules for the project's real package manager
+ * and package.json scripts (plus any other detected toolchains), and merges
+ * them into .claude/settings.json without touching existing rules.
+ *
+ * Strict mode leaves out install and exec (npx, pnpm dlx, ...) commands,
+ * which can download and run arbitrary code.
+ */
+
+const path = require('path');
+const { readFile } = require('./utils');
+const { withFileLock, writeFileAtomic } = require('./file-lock');
+const {
+  DETECTION_PRIORITY,
+  getPackageManager,
+  getCommandTemplates,
+  getRunCommand,
+  getCommandPattern
+} = require('./package-manager');
+const { detectToolchains } = require('./ecosystems');
+
+// npm lifecycle scripts run by the package manager itself, not by hand
+const LIFECYCLE_SCRIPTS = new Set([
+  'preinstall', 'install', 'postinstall', 'preuninstall', 'postuninstall',
+  'prepublish', 'prepublishOnly', 'publish', 'postpublish',
+  'prepack', 'postpack', 'prepare', 'preversion', 'version', 'postversion',
+  'dependencies'
+]);
+
+/**
+ * Turn a command into a Bash prefix rule
+ * @param {string} command - Command prefix, e.g. "pnpm test"
+ * @returns {string} Rule, e.g. "Bash(pnpm test:*)"
+ */
+function toBashRule(command) {
+  return `Bash(${command}:*)`;
+}
+
+/**
+ * Read the scripts of the package a directory belongs to
+ * @param {string} packageDir - Directory containing package.json
+ * @returns {string[]} Script names, without npm lifecycle scripts
+ */
+function getPackageScripts(packageDir) {
+  const content = readFile(path.join(packageDir, 'package.json'));
+  if (!content) return [];
+
+  try {
+    const scripts = JSON.parse(content).scripts || {};
+    return Object.keys(scripts).filter(name => !LIFECYCLE_SCRIPTS.has(name) && /^[\w:.@/-]+$/.test(name));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Build the allow rules for a project
+ * @param {object} options - { projectDir, strict: omit install and exec commands }
+ * @returns {object} { rules, pm, scripts, toolchains }
+ */
+function buildAllowRules(options = {}) {
+  const { projectDir = process.cwd(), strict = false } = options;
+  const pm = getPackageManager({ projectDir });
+  const templates = getCommandTemplates(pm, projectDir);
+  const workspacePackage = pm.workspace && pm.workspace.package;
+  const packageDir = workspacePackage ? workspacePackage.dir : projectDir;
+  const toolchains = detectToolchains({ projectDir });
+  const isNodeProject = toolchains.some(t => t.ecosystem === 'node');
+  const scripts = isNodeProject ? getPackageScripts(packageDir) : [];
+  const rules = new Set();
+
+  for (const script of scripts) {
+    // The filtered command (from the workspace root) and the plain one (from the package)
+    rules.add(toBashRule(getRunCommand(script, { projectDir })));
+    rules.add(toBashRule(getRunCommand(script, { projectDir, filter: false })));
+  }
+
+  if (isNodeProject && !strict) {
+    rules.add(toBashRule(templates.installCmd));
+    for (const execCmd of new Set([templates.execCmd, templates.localExecCmd])) {
+      if (execCmd) rules.add(toBashRule(execCmd));
+    }
+  }
+
+  // Other ecosystems have no scripts: allow their test and build commands
+  for (const toolchain of toolchains.filter(t => t.ecosystem !== 'node')) {
+    const keys = strict ? ['testCmd', 'buildCmd'] : ['testCmd', 'buildCmd', 'installCmd'];
+    for (const key of keys) {
+      if (toolchain.config[key]) rules.add(toBashRule(toolchain.config[key]));
+    }
+  }
+
+  return { rules: [...rules], pm, scripts, toolchains };
+}
+
+/**
+ * Find existing Bash rules written for a different package manager than the one in use
+ * Uses getCommandPattern, so every spelling it knows (pnpm run x, yarn x, ...) is recognised.
+ * @param {string[]} allow - Existing allow rules
+ * @param {string} pmName - Package manager in use
+ * @param {string[]} scripts - Script names to check
+ * @returns {string[]} Rules that look stale
+ */
+function findForeignRules(allow, pmName, scripts) {
+  const actions = [...new Set(['install', 'test', 'build', 'dev', ...scripts])];
+  const others = DETECTION_PRIORITY.filter(name => name !== pmName);
+
+  return allow.filter(rule => {
+    const match = typeof rule === 'string' && rule.match(/^Bash\((.+?)(?::\*)?\)$/);
+    if (!match) return false;
+
+    const command = match[1];
+    const tool = command.split(/\s+/)[0];
+    return others.includes(tool) &&
+      actions.some(action => new RegExp(`^${getCommandPattern(action)}$`).test(command));
+  });
+}
+
+/**
+ * Merge allow rules into a settings object without removing or reordering anything
+ * @param {object} settings - Existing settings (not modified)
+ * @param {string[]} rules - Rules to add
+ * @returns {object} { settings: merged copy, added: rules that were new }
+ */
+function mergeAllowRules(settings, rules) {
+  const merged = { ...settings, permissions: { ...(settings.permissions || {}) } };
+  const allow = Array.isArray(merged.permissions.allow) ? [...merged.permissions.allow] : [];
+  const existing = new Set(allow);
+  const added = rules.filter(rule => !existing.has(rule));
+
+  merged.permissions.allow = [...allow, ...added];
+  return { settings: merged, added };
+}
+
+/**
+ * Read a settings file
+ * @param {string} settingsPath - Settings file path
+ * @returns {object} { success, settings, exists, error }
+ */
+function readSettings(settingsPath) {
+  const content = readFile(settingsPath);
+  if (content === null) {
+    return { success: true, settings: {}, exists: false };
+  }
+
+  try {
+    const settings = JSON.parse(content);
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { success: false, error: `${settingsPath} does not contain a JSON object` };
+    }
+    return { success: true, settings, exists: true };
+  } catch (err) {
+    return { success: false, error: `${settingsPath} is not valid JSON: ${err.message}` };
+  }
+}
+
+/**
+ * Generate allow rules and merge them into a settings file
+ * @param {object} options - {
+ *   projectDir, strict,
+ *   settingsPath (default <projectDir>/.claude/settings.json),
+ *   dryRun: only compute the result
+ * }
+ * @returns {object} { success, error, settingsPath, added, existing, foreign, written, pm, scripts, toolchains }
+ */
+function generatePermissions(options = {}) {
+  const { projectDir = process.cwd(), dryRun = false } = options;
+  const settingsPath = path.resolve(projectDir, options.settingsPath || path.join('.claude', 'settings.json'));
+  const { rules, pm, scripts, toolchains } = buildAllowRules(options);
+
+  const merge = () => {
+    const current = readSettings(settingsPath);
+    if (!current.success) {
+      return { success: false, error: current.error, settingsPath };
+    }
+
+    const allow = current.settings.permissions && current.settings.permissions.allow;
+    const existing = Array.isArray(allow) ? allow : [];
+    const { settings, added } = mergeAllowRules(current.settings, rules);
+    const written = !dryRun && added.length > 0;
+
+    if (written) {
+      writeFileAtomic(settingsPath, `${JSON.stringify(settings, null, 2)}\n`);
+    }
+
+    return {
+      success: true,
+      settingsPath,
+      added,
+      existing,
+      foreign: findForeignRules(existing, pm.name, scripts),
+      written,
+      pm,
+      scripts,
+      toolchains
+    };
+  };
+
+  // Lock across read and write so a concurrent edit isn't overwritten; a dry run writes nothing
+  return dryRun ? merge() : withFileLock(settingsPath, merge);
+}
+
+/**
+ * Render the change to permissions.allow as a diff
+ * @param {object} result - Output of generatePermissions()
+ * @returns {string} Diff-style preview
+ */
+function formatPermissionsDiff(result) {
+  const lines = [`--- ${result.settingsPath}`, `+++ ${result.settingsPath} (permissions.allow)`];
+
+  for (const rule of result.existing) {
+    lines.push(`  ${JSON.stringify(rule)}`);
+  }
+  for (const rule of result.added) {
+    lines.push(`+ ${JSON.stringify(rule)}`);
+  }
+
+  if (result.added.length === 0) {
+    lines.push('(no new rules)');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildAllowRules,
+  findForeignRules,
+  mergeAllowRules,
+  generatePermissions,
+  formatPermissionsDiff
+};
@@ -0,0 +1,198 @@
+/**
+ * Resume Brief Library for Claude Code
+ * Builds the short "where we left off" context the SessionStart hook hands
+ * to Claude: open in-progress items, notes, context files that still exist,
+ * aliases of the session and related learned skills.
+ *
+ * Items are ranked and added until the token budget is spent, so the brief
+ * stays small however large the session file grows.
+ *
+ * Configured in resume-brief.json (global or per project, see readLayeredConfig):
+ *   { "enabled": true, "maxTokens": 500 }
+ * CLAUDE_RESUME_BRIEF_TOKENS overrides maxTokens.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readLayeredConfig, truncateLine } = require('./utils');
+
+const DEFAULT_BRIEF_CONFIG = {
+  enabled: true,
+  maxTokens: 500
+};
+
+// Longest single item, in characters
+const MAX_ITEM_LENGTH = 300;
+
+// Related learned skills listed at most
+const MAX_SKILLS = 3;
+
+// Words too common to relate a skill to a session
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'when', 'use',
+  'session', 'file', 'files', 'still', 'failing', 'changes', 'uncommitted', 'task'
+]);
+
+// Section order in the brief
+const SECTIONS = ['In progress', 'Notes', 'Context files', 'Aliases', 'Learned skills'];
+
+/**
+ * Read the brief configuration
+ * @param {string} projectDir - Project directory, or any directory inside it
+ * @returns {object} { enabled, maxTokens }
+ */
+function getBriefConfig(projectDir = process.cwd()) {
+  const config = { ...DEFAULT_BRIEF_CONFIG };
+
+  for (const layer of readLayeredConfig('resume-brief.json', projectDir)) {
+    if (typeof layer.enabled === 'boolean') config.enabled = layer.enabled;
+    if (Number.isInteger(layer.maxTokens) && layer.maxTokens > 0) config.maxTokens = layer.maxTokens;
+  }
+
+  const envTokens = parseInt(process.env.CLAUDE_RESUME_BRIEF_TOKENS || '', 10);
+  if (envTokens > 0) config.maxTokens = envTokens;
+
+  return config;
+}
+
+/**
+ * Estimate the tokens in a text (about 4 characters per token)
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Split text into keywords
+ * @param {string} text - Text
+ * @returns {Set<string>} Lowercase words of 3+ characters, without stop words
+ */
+function keywords(text) {
+  return new Set(
+    (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Pick the learned skills that share the most keywords with a session
+ * @param {object[]} skills - Skills from session-learning listLearnedSkills()
+ * @param {string} sessionText - Text of the session's open work
+ * @returns {object[]} [{ skill, score }], most related first
+ */
+function findRelatedSkills(skills, sessionText) {
+  const sessionWords = keywords(sessionText);
+
+  return skills
+    .map(skill => {
+      const words = keywords(`${skill.name} ${skill.title || ''} ${skill.description || ''}`);
+      return { skill, score: [...words].filter(word => sessionWords.has(word)).length };
+    })
+    // One shared word is usually chance
+    .filter(match => match.score >= 2)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SKILLS);
+}
+
+/**
+ * Turn a session into ranked brief items
+ * @param {object} options - See buildResumeBrief
+ * @returns {object[]} [{ section, text, score }]
+ */
+function collectItems(options) {
+  const { session, aliases = [], skills = [], projectDir = process.cwd() } = options;
+  const items = [];
+
+  // Open work first, in the order it was written down
+  session.inProgress.forEach((text, i) => {
+    items.push({ section: 'In progress', text: truncateLine(text, MAX_ITEM_LENGTH), score: 100 - i });
+  });
+
+  session.notes.split('\n').map(line => line.replace(/^\s*[-*]\s+/, '').trim()).filter(Boolean).forEach((text, i) => {
+    items.push({ section: 'Notes', text: truncateLine(text, MAX_ITEM_LENGTH), score: 80 - i });
+  });
+
+  for (const alias of aliases) {
+    items.push({ section: 'Aliases', text: alias.title ? `${alias.name} (${alias.title})` : alias.name, score: 70 });
+  }
+
+  // Only files that still exist are worth loading
+  const root = (session.git && session.git.root) || projectDir;
+  session.context.split('\n').map(line => line.trim()).filter(Boolean)
+    .filter(file => fs.existsSync(path.resolve(root, file)))
+    .forEach((file, i) => {
+      items.push({ section: 'Context files', text: file, score: 60 - i });
+    });
+
+  const sessionText = [session.summary, ...session.inProgress, session.notes, session.context].join('\n');
+  for (const { skill, score } of findRelatedSkills(skills, sessionText)) {
+    const about = skill.description || skill.title;
+    items.push({ section: 'Learned skills', text: truncateLine(`${skill.name}${about ? ` - ${about}` : ''} (${skill.path})`, MAX_ITEM_LENGTH), score: 50 + score });
+  }
+
+  return items;
+}
+
+/**
+ * Build the resume brief for a session
+ * @param {object} options - {
+ *   session: session data (session-format), sessionPath,
+ *   aliases: aliases of the session, skills: learned skills,
+ *   projectDir, maxTokens
+ * }
+ * @returns {object|null} { text, tokens, included, omitted }, or null if the session has nothing to resume
+ */
+function buildResumeBrief(options) {
+  const { session, sessionPath, aliases = [], maxTokens = DEFAULT_BRIEF_CONFIG.maxTokens } = options;
+  const items = collectItems(options);
+
+  // Aliases alone are no reason to interrupt a new session
+  if (!items.some(item => item.section !== 'Aliases' && item.section !== 'Learned skills')) {
+    return null;
+  }
+
+  const when = [session.date, session.lastUpdated].filter(Boolean).join(' ');
+  const loadTarget = aliases.length > 0 ? aliases[0].name : path.basename(sessionPath || '', '.tmp');
+  const header = `Resuming from the previous session${when ? ` (${when})` : ''}: ${session.title || loadTarget}`;
+  const footer = `Full session: /sessions load ${loadTarget}`;
+
+  // Room for the header, the footer and a note about left-out items
+  let used = estimateTokens(`${header}\n\n${footer}\n\n(99 more item(s) left out to stay within ${maxTokens} tokens)`);
+  const included = [];
+  let omitted = 0;
+
+  for (const item of [...items].sort((a, b) => b.score - a.score)) {
+    const cost = estimateTokens(`- ${item.text}\n`) + (included.some(i => i.section === item.section) ? 0 : estimateTokens(`\n${item.section}:\n`));
+    if (used + cost > maxTokens) {
+      omitted++;
+      continue;
+    }
+    used += cost;
+    included.push(item);
+  }
+
+  const lines = [header];
+  for (const section of SECTIONS) {
+    const sectionItems = included.filter(item => item.section === section);
+    if (sectionItems.length === 0) continue;
+    // Keep each section in its original order
+    sectionItems.sort((a, b) => b.score - a.score);
+    lines.push('', `${section}:`, ...sectionItems.map(item => `- ${item.text}`));
+  }
+  if (omitted > 0) {
+    lines.push('', `(${omitted} more item(s) left out to stay within ${maxTokens} tokens)`);
+  }
+  lines.push('', footer);
+
+  const text = lines.join('\n');
+  return { text, tokens: estimateTokens(text), included: included.length, omitted };
+}
+
+module.exports = {
+  DEFAULT_BRIEF_CONFIG,
+  getBriefConfig,
+  estimateTokens,
+  findRelatedSkills,
+  buildResumeBrief
+};
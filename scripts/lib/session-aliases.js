@@ -1,6 +1,11 @@
 /**
  * Session Aliases Library for Claude Code
  * Manages session aliases stored in ~/.claude/session-aliases.json
+ *
+ * Alias names may be namespaced with slashes (e.g. "billing/migration") and
+ * carry tags. An alias points to one session, or - as a group - to several;
+ * a group's sessionPath is its most recently added member. Every alias keeps
+ * a history of the sessions it pointed to before.
  */
 
 const fs = require('fs');
@@ -8,10 +13,10 @@ const path = require('path');
 
 const {
   getClaudeDir,
-  ensureDir,
   readFile,
   log
 } = require('./utils');
+const { withFileLock, writeFileAtomic } = require('./file-lock');
 
 // Aliases file path
 function getAliasesPath() {
@@ -19,7 +24,16 @@ function getAliasesPath() {
 }
 
 // Current alias storage format version
-const ALIAS_VERSION = '1.0';
+const ALIAS_VERSION = '2.0';
+
+// Alias names: segments of letters, numbers, dashes and underscores, separated by "/"
+const ALIAS_NAME_REGEX = /^[a-zA-Z0-9_-]+(\/[a-zA-Z0-9_-]+)*$/;
+
+// Tags: lowercase letters, numbers, dashes and underscores
+const TAG_REGEX = /^[a-z0-9_-]+$/;
+
+// Names that collide with /sessions subcommands
+const RESERVED_ALIASES = ['list', 'help', 'remove', 'delete', 'create', 'set'];
 
 /**
  * Default aliases file structure
@@ -35,60 +49,179 @@ function getDefaultAliases() {
   };
 }
 
+/**
+ * Upgrade a version 1.0 aliases file (flat names, single targets) to 2.0
+ * @param {object} data - Aliases object at version 1.0
+ * @returns {object} Aliases object at version 2.0
+ */
+function upgradeAliasesV1(data) {
+  const aliases = {};
+
+  for (const [name, info] of Object.entries(data.aliases)) {
+    // Malformed entries are carried over untouched for verifyAliases() to report
+    aliases[name] = info && typeof info === 'object'
+      ? {
+        ...info,
+        title: info.title || null,
+        tags: [],
+        group: false,
+        history: Array.isArray(info.history) ? info.history : []
+      }
+      : info;
+  }
+
+  return { ...data, aliases };
+}
+
+/**
+ * Ordered aliases file migrations: each step turns version `from` into `to`
+ * Add a step (and bump ALIAS_VERSION) whenever the stored format changes.
+ */
+const ALIAS_MIGRATIONS = [
+  { from: '1.0', to: '2.0', migrate: upgradeAliasesV1 }
+];
+
+/**
+ * Compare two "major.minor" version strings
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const [aMajor = 0, aMinor = 0] = String(a).split('.').map(Number);
+  const [bMajor = 0, bMinor = 0] = String(b).split('.').map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
+/**
+ * Bring aliases data up to ALIAS_VERSION by applying migrations in order
+ * @param {object} data - Aliases object at any known version (no version means 1.0)
+ * @returns {object} { data, applied } where applied lists the steps, e.g. ["1.0 -> 2.0"]
+ * @throws {Error} If the data is newer than this code (never downgraded) or has no migration path
+ */
+function migrateAliasData(data) {
+  let version = data.version || '1.0';
+
+  if (compareVersions(version, ALIAS_VERSION) > 0) {
+    throw new Error(`Aliases file version ${version} is newer than supported (${ALIAS_VERSION}); refusing to downgrade`);
+  }
+
+  let migrated = { ...data, version };
+  const applied = [];
+
+  while (version !== ALIAS_VERSION) {
+    const step = ALIAS_MIGRATIONS.find(m => m.from === version);
+    if (!step) {
+      throw new Error(`No migration path from aliases file version ${version}`);
+    }
+
+    migrated = { ...step.migrate(migrated), version: step.to };
+    applied.push(`${step.from} -> ${step.to}`);
+    version = step.to;
+  }
+
+  return { data: migrated, applied };
+}
+
+/**
+ * Read and structurally check the aliases file without changing it
+ * @returns {object} { status, data, error } where status is 'missing', 'ok', 'invalid' or 'newer'
+ */
+function readAliasesFile() {
+  const content = readFile(getAliasesPath());
+
+  if (content === null || !content.trim()) {
+    return { status: 'missing', data: null };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    return { status: 'invalid', data: null, error: `Invalid JSON: ${err.message}` };
+  }
+
+  if (!data || typeof data !== 'object' || !data.aliases || typeof data.aliases !== 'object' || Array.isArray(data.aliases)) {
+    return { status: 'invalid', data, error: 'Missing "aliases" object' };
+  }
+
+  if (data.version && compareVersions(data.version, ALIAS_VERSION) > 0) {
+    return {
+      status: 'newer',
+      data,
+      error: `Aliases file version ${data.version} is newer than supported (${ALIAS_VERSION})`
+    };
+  }
+
+  return { status: 'ok', data };
+}
+
 /**
  * Load aliases from file
+ * Older file versions are migrated in memory and written back on the next save.
+ * A damaged file is never reset: an empty set is returned, and saving refuses
+ * to overwrite the file until it is repaired (see verifyAliases()).
  * @returns {object} Aliases object
  */
 function loadAliases() {
-  const aliasesPath = getAliasesPath();
+  const file = readAliasesFile();
 
-  if (!fs.existsSync(aliasesPath)) {
+  if (file.status === 'missing') {
     return getDefaultAliases();
   }
 
-  const content = readFile(aliasesPath);
-  if (!content) {
+  if (file.status === 'invalid') {
+    log(`[Aliases] ${file.error} in ${getAliasesPath()}; aliases are unavailable until it is fixed (run /sessions aliases verify)`);
     return getDefaultAliases();
   }
 
+  if (file.status === 'newer') {
+    // Readable as far as we understand it, but saving would downgrade it
+    log(`[Aliases] ${file.error}; aliases are read-only`);
+    return file.data;
+  }
+
+  let data;
   try {
-    const data = JSON.parse(content);
+    ({ data } = migrateAliasData(file.data));
+  } catch (err) {
+    log(`[Aliases] ${err.message}`);
+    return getDefaultAliases();
+  }
 
-    // Validate structure
-    if (!data.aliases || typeof data.aliases !== 'object') {
-      log('[Aliases] Invalid aliases file structure, resetting');
-      return getDefaultAliases();
-    }
+  // Ensure metadata
+  if (!data.metadata) {
+    data.metadata = {
+      totalCount: Object.keys(data.aliases).length,
+      lastUpdated: new Date().toISOString()
+    };
+  }
 
-    // Ensure version field
-    if (!data.version) {
-      data.version = ALIAS_VERSION;
-    }
+  return data;
+}
 
-    // Ensure metadata
-    if (!data.metadata) {
-      data.metadata = {
-        totalCount: Object.keys(data.aliases).length,
-        lastUpdated: new Date().toISOString()
-      };
-    }
+/**
+ * Copy the aliases file aside before a destructive change
+ * @param {string} version - Version of the file being replaced (used in the backup name)
+ * @returns {string} Backup file path
+ */
+function backupAliasesFile(version) {
+  const aliasesPath = getAliasesPath();
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = `${aliasesPath}.v${version}-${stamp}.bak`;
 
-    return data;
-  } catch (err) {
-    log(`[Aliases] Error parsing aliases file: ${err.message}`);
-    return getDefaultAliases();
-  }
+  fs.copyFileSync(aliasesPath, backupPath);
+  return backupPath;
 }
 
 /**
  * Save aliases to file with atomic write
+ * The new content replaces the file in a single rename, so readers never
+ * see a missing or partially written file. Refuses to overwrite a damaged
+ * or newer-version file, and backs up an older-version file first.
  * @param {object} aliases - Aliases object to save
  * @returns {boolean} Success status
  */
 function saveAliases(aliases) {
   const aliasesPath = getAliasesPath();
-  const tempPath = aliasesPath + '.tmp';
-  const backupPath = aliasesPath + '.bak';
 
   try {
     // Update metadata
@@ -97,144 +230,428 @@ function saveAliases(aliases) {
       lastUpdated: new Date().toISOString()
     };
 
-    const content = JSON.stringify(aliases, null, 2);
+    withFileLock(aliasesPath, () => {
+      const current = readAliasesFile();
+
+      if (current.status === 'invalid' || current.status === 'newer') {
+        throw new Error(`${current.error}; refusing to overwrite ${aliasesPath}`);
+      }
+
+      if (current.status === 'ok' && (current.data.version || '1.0') !== aliases.version) {
+        const backupPath = backupAliasesFile(current.data.version || '1.0');
+        log(`[Aliases] Migrated aliases file to version ${aliases.version} (backup: ${backupPath})`);
+      }
 
-    // Ensure directory exists
-    ensureDir(path.dirname(aliasesPath));
+      writeFileAtomic(aliasesPath, JSON.stringify(aliases, null, 2));
+    });
 
-    // Create backup if file exists
-    if (fs.existsSync(aliasesPath)) {
-      fs.copyFileSync(aliasesPath, backupPath);
+    return true;
+  } catch (err) {
+    log(`[Aliases] Error saving aliases: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Migrate the aliases file on disk to the current version
+ * @param {object} options - { dryRun: report the steps without writing }
+ * @returns {object} { success, changed, from, to, applied, backupPath } or { success: false, error }
+ */
+function migrateAliasesFile(options = {}) {
+  const { dryRun = false } = options;
+
+  return withAliasesLock(() => {
+    const file = readAliasesFile();
+
+    if (file.status === 'missing') {
+      return { success: true, changed: false, from: null, to: ALIAS_VERSION, applied: [] };
+    }
+    if (file.status !== 'ok') {
+      return { success: false, error: file.error };
     }
 
-    // Atomic write: write to temp file, then rename
-    fs.writeFileSync(tempPath, content, 'utf8');
+    const from = file.data.version || '1.0';
+    let migration;
+    try {
+      migration = migrateAliasData(file.data);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
 
-    // On Windows, we need to delete the target file before renaming
-    if (fs.existsSync(aliasesPath)) {
-      fs.unlinkSync(aliasesPath);
+    const result = { success: true, changed: migration.applied.length > 0, from, to: ALIAS_VERSION, applied: migration.applied };
+    if (!result.changed || dryRun) {
+      return result;
     }
-    fs.renameSync(tempPath, aliasesPath);
 
-    // Remove backup on success
-    if (fs.existsSync(backupPath)) {
-      fs.unlinkSync(backupPath);
+    try {
+      result.backupPath = backupAliasesFile(from);
+      writeFileAtomic(getAliasesPath(), JSON.stringify(migration.data, null, 2));
+    } catch (err) {
+      return { success: false, error: `Failed to write migrated aliases: ${err.message}` };
     }
 
-    return true;
+    return result;
+  });
+}
+
+/**
+ * Run a load-modify-save of the aliases file under its lock
+ * Without the lock, two sessions updating aliases at once would each save
+ * their own copy and one of the updates would be lost.
+ * @param {Function} fn - Function performing the update; its result is returned
+ * @returns {object} Result of fn, or { success: false, error } if the lock times out
+ */
+function withAliasesLock(fn) {
+  try {
+    return withFileLock(getAliasesPath(), fn);
   } catch (err) {
-    log(`[Aliases] Error saving aliases: ${err.message}`);
+    if (err.code !== 'ELOCKTIMEOUT') throw err;
+    log(`[Aliases] ${err.message}`);
+    return { success: false, error: 'Aliases file is locked by another session, try again' };
+  }
+}
 
-    // Restore from backup if exists
-    if (fs.existsSync(backupPath)) {
-      try {
-        fs.copyFileSync(backupPath, aliasesPath);
-        log('[Aliases] Restored from backup');
-      } catch (restoreErr) {
-        log(`[Aliases] Failed to restore backup: ${restoreErr.message}`);
-      }
-    }
+/**
+ * Validate an alias name
+ * @param {string} alias - Alias name
+ * @returns {string|null} Error message, or null if the name is valid
+ */
+function validateAliasName(alias) {
+  if (!alias || alias.length === 0) {
+    return 'Alias name cannot be empty';
+  }
 
-    // Clean up temp file
-    if (fs.existsSync(tempPath)) {
-      fs.unlinkSync(tempPath);
-    }
+  if (!ALIAS_NAME_REGEX.test(alias)) {
+    return 'Alias name must contain only letters, numbers, dashes, and underscores, optionally namespaced with "/" (e.g. billing/migration)';
+  }
 
-    return false;
+  if (RESERVED_ALIASES.includes(alias.toLowerCase())) {
+    return `'${alias}' is a reserved alias name`;
   }
+
+  return null;
+}
+
+/**
+ * Normalize a list of tags (trimmed, lowercase, de-duplicated)
+ * @param {string[]} tags - Tags
+ * @returns {object} { tags } or { error } if a tag is invalid
+ */
+function normalizeTags(tags) {
+  const normalized = [...new Set((tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  const invalid = normalized.find(tag => !TAG_REGEX.test(tag));
+
+  if (invalid) {
+    return { error: `Invalid tag '${invalid}': use letters, numbers, dashes, and underscores` };
+  }
+
+  return { tags: normalized };
+}
+
+/**
+ * Check that a stored alias entry is an object (malformed entries are skipped, not dropped)
+ * @param {*} info - Stored alias entry
+ * @returns {boolean} True if the entry can be used
+ */
+function isAliasEntry(info) {
+  return !!info && typeof info === 'object' && !Array.isArray(info);
+}
+
+/**
+ * Get every session an alias entry points to
+ * @param {object} info - Stored alias entry
+ * @returns {string[]} Session paths (a single-session alias has one)
+ */
+function getAliasTargets(info) {
+  if (info.group && Array.isArray(info.sessions)) {
+    return info.sessions.map(member => member.sessionPath);
+  }
+  return info.sessionPath ? [info.sessionPath] : [];
+}
+
+/**
+ * Get when a single-session alias started pointing at its current target
+ * @param {object} info - Stored alias entry
+ * @returns {string} ISO timestamp
+ */
+function getTargetSince(info) {
+  // Entries saved before targetSince was recorded only have updatedAt
+  return info.targetSince || info.updatedAt || info.createdAt;
+}
+
+/**
+ * Mark an alias as edited without changing when its target was set
+ * @param {object} info - Stored alias entry (modified in place)
+ */
+function touchAlias(info) {
+  if (!info.group) info.targetSince = getTargetSince(info);
+  info.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Shape a stored alias entry for callers
+ * @param {string} name - Alias name
+ * @param {object} info - Stored alias entry
+ * @returns {object} Public alias object
+ */
+function toAliasObject(name, info) {
+  return {
+    name,
+    sessionPath: info.sessionPath,
+    sessions: getAliasTargets(info),
+    group: !!info.group,
+    tags: info.tags || [],
+    createdAt: info.createdAt,
+    updatedAt: info.updatedAt,
+    title: info.title || null
+  };
 }
 
 /**
  * Resolve an alias to get session path
- * @param {string} alias - Alias name to resolve
- * @returns {object|null} Alias data or null if not found
+ * @param {string} alias - Alias name to resolve (may be namespaced)
+ * @returns {object|null} Alias data (sessions lists every target of a group) or null if not found
  */
 function resolveAlias(alias) {
-  // Validate alias name (alphanumeric, dash, underscore)
-  if (!/^[a-zA-Z0-9_-]+$/.test(alias)) {
+  // Validate alias name (alphanumeric, dash, underscore, "/" between namespaces)
+  if (!ALIAS_NAME_REGEX.test(alias || '')) {
     return null;
   }
 
   const data = loadAliases();
   const aliasData = data.aliases[alias];
 
-  if (!aliasData) {
+  if (!isAliasEntry(aliasData)) {
     return null;
   }
 
-  return {
-    alias,
-    sessionPath: aliasData.sessionPath,
-    createdAt: aliasData.createdAt,
-    title: aliasData.title || null
-  };
+  const { name: _name, ...resolved } = toAliasObject(alias, aliasData);
+  return { alias, ...resolved };
 }
 
 /**
  * Set or update an alias for a session
- * @param {string} alias - Alias name (alphanumeric, dash, underscore)
+ * @param {string} alias - Alias name (alphanumeric, dash, underscore; "/" separates namespaces)
  * @param {string} sessionPath - Session directory path
  * @param {string} title - Optional title for the alias
+ * @param {object} options - { tags: replace the alias's tags (kept when omitted) }
  * @returns {object} Result with success status and message
  */
-function setAlias(alias, sessionPath, title = null) {
-  // Validate alias name
-  if (!alias || alias.length === 0) {
-    return { success: false, error: 'Alias name cannot be empty' };
+function setAlias(alias, sessionPath, title = null, options = {}) {
+  const nameError = validateAliasName(alias);
+  if (nameError) {
+    return { success: false, error: nameError };
   }
 
-  if (!/^[a-zA-Z0-9_-]+$/.test(alias)) {
-    return { success: false, error: 'Alias name must contain only letters, numbers, dashes, and underscores' };
+  const tagResult = options.tags ? normalizeTags(options.tags) : null;
+  if (tagResult && tagResult.error) {
+    return { success: false, error: tagResult.error };
   }
 
-  // Reserved alias names
-  const reserved = ['list', 'help', 'remove', 'delete', 'create', 'set'];
-  if (reserved.includes(alias.toLowerCase())) {
-    return { success: false, error: `'${alias}' is a reserved alias name` };
-  }
+  return withAliasesLock(() => {
+    const data = loadAliases();
+    const existing = data.aliases[alias];
+    const isNew = !existing;
+    const now = new Date().toISOString();
 
-  const data = loadAliases();
-  const existing = data.aliases[alias];
-  const isNew = !existing;
-
-  data.aliases[alias] = {
-    sessionPath,
-    createdAt: existing ? existing.createdAt : new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    title: title || null
-  };
+    if (existing && existing.group) {
+      return { success: false, error: `'${alias}' is a group alias; add sessions to the group instead` };
+    }
 
-  if (saveAliases(data)) {
-    return {
-      success: true,
-      isNew,
-      alias,
+    // Remember earlier targets so the alias's timeline can be reconstructed
+    const history = existing && Array.isArray(existing.history) ? [...existing.history] : [];
+    if (existing && existing.sessionPath !== sessionPath) {
+      history.push({
+        sessionPath: existing.sessionPath,
+        from: getTargetSince(existing),
+        to: now
+      });
+    }
+
+    data.aliases[alias] = {
       sessionPath,
-      title: data.aliases[alias].title
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      // Only a new target restarts the current history entry, not title or tag edits
+      targetSince: existing && existing.sessionPath === sessionPath ? getTargetSince(existing) : now,
+      title: title || null,
+      tags: tagResult ? tagResult.tags : (existing && existing.tags) || [],
+      group: false,
+      history
     };
+
+    if (saveAliases(data)) {
+      return {
+        success: true,
+        isNew,
+        alias,
+        sessionPath,
+        title: data.aliases[alias].title
+      };
+    }
+
+    return { success: false, error: 'Failed to save alias' };
+  });
+}
+
+/**
+ * Add a session to a group alias, creating the group if needed
+ * A single-session alias is converted into a group holding its current target.
+ * @param {string} alias - Group alias name
+ * @param {string} sessionPath - Session to add
+ * @returns {object} Result with success status, added flag and member sessions
+ */
+function addToGroup(alias, sessionPath) {
+  const nameError = validateAliasName(alias);
+  if (nameError) {
+    return { success: false, error: nameError };
   }
 
-  return { success: false, error: 'Failed to save alias' };
+  return withAliasesLock(() => {
+    const data = loadAliases();
+    const existing = data.aliases[alias];
+    const now = new Date().toISOString();
+
+    let members = [];
+    if (existing && existing.group) {
+      members = [...existing.sessions];
+    } else if (existing) {
+      members = [{ sessionPath: existing.sessionPath, addedAt: getTargetSince(existing) }];
+    }
+
+    const added = !members.some(member => member.sessionPath === sessionPath);
+    if (added) {
+      members.push({ sessionPath, addedAt: now });
+    }
+
+    // Group members carry their own addedAt
+    const { targetSince: _targetSince, ...base } = existing || { createdAt: now, title: null, tags: [], history: [] };
+
+    data.aliases[alias] = {
+      ...base,
+      group: true,
+      sessions: members,
+      sessionPath: members[members.length - 1].sessionPath,
+      updatedAt: added ? now : existing.updatedAt
+    };
+
+    if (!added || saveAliases(data)) {
+      return { success: true, isNew: !existing, added, alias, sessions: members.map(m => m.sessionPath) };
+    }
+
+    return { success: false, error: 'Failed to save alias' };
+  });
+}
+
+/**
+ * Remove a session from a group alias
+ * The removed session is kept in the alias history; an emptied group is deleted.
+ * @param {string} alias - Group alias name
+ * @param {string} sessionPath - Session to remove
+ * @returns {object} Result with success status and remaining sessions
+ */
+function removeFromGroup(alias, sessionPath) {
+  return withAliasesLock(() => {
+    const data = loadAliases();
+    const existing = data.aliases[alias];
+
+    if (!existing) {
+      return { success: false, error: `Alias '${alias}' not found` };
+    }
+    if (!existing.group) {
+      return { success: false, error: `'${alias}' is not a group alias` };
+    }
+
+    const member = existing.sessions.find(m => m.sessionPath === sessionPath);
+    if (!member) {
+      return { success: false, error: `${sessionPath} is not in group '${alias}'` };
+    }
+
+    const now = new Date().toISOString();
+    const remaining = existing.sessions.filter(m => m !== member);
+
+    if (remaining.length === 0) {
+      delete data.aliases[alias];
+    } else {
+      data.aliases[alias] = {
+        ...existing,
+        sessions: remaining,
+        sessionPath: remaining[remaining.length - 1].sessionPath,
+        updatedAt: now,
+        history: [...(existing.history || []), { sessionPath, from: member.addedAt, to: now }]
+      };
+    }
+
+    if (saveAliases(data)) {
+      return { success: true, alias, deleted: remaining.length === 0, sessions: remaining.map(m => m.sessionPath) };
+    }
+
+    return { success: false, error: 'Failed to save alias' };
+  });
+}
+
+/**
+ * Add or remove tags on an alias
+ * @param {string} alias - Alias name
+ * @param {object} changes - { add: string[], remove: string[] }
+ * @returns {object} Result with success status and the alias's tags
+ */
+function updateAliasTags(alias, changes = {}) {
+  const toAdd = normalizeTags(changes.add);
+  const toRemove = normalizeTags(changes.remove);
+  if (toAdd.error || toRemove.error) {
+    return { success: false, error: toAdd.error || toRemove.error };
+  }
+
+  return withAliasesLock(() => {
+    const data = loadAliases();
+    const existing = data.aliases[alias];
+
+    if (!existing) {
+      return { success: false, error: `Alias '${alias}' not found` };
+    }
+
+    const tags = [...new Set([...(existing.tags || []), ...toAdd.tags])]
+      .filter(tag => !toRemove.tags.includes(tag))
+      .sort();
+
+    existing.tags = tags;
+    touchAlias(existing);
+
+    if (saveAliases(data)) {
+      return { success: true, alias, tags };
+    }
+
+    return { success: false, error: 'Failed to update alias tags' };
+  });
 }
 
 /**
  * List all aliases
  * @param {object} options - Options object
- * @param {string} options.search - Filter aliases by name (partial match)
+ * @param {string} options.search - Filter aliases by name, title or tag (partial match)
+ * @param {string} options.tag - Only aliases carrying this tag
+ * @param {string} options.namespace - Only aliases inside this namespace (e.g. "billing" matches "billing/migration")
  * @param {number} options.limit - Maximum number of aliases to return
  * @returns {Array} Array of alias objects
  */
 function listAliases(options = {}) {
-  const { search = null, limit = null } = options;
+  const { search = null, tag = null, namespace = null, limit = null } = options;
   const data = loadAliases();
 
-  let aliases = Object.entries(data.aliases).map(([name, info]) => ({
-    name,
-    sessionPath: info.sessionPath,
-    createdAt: info.createdAt,
-    updatedAt: info.updatedAt,
-    title: info.title
-  }));
+  let aliases = Object.entries(data.aliases)
+    .filter(([, info]) => isAliasEntry(info))
+    .map(([name, info]) => toAliasObject(name, info));
+
+  if (tag) {
+    const tagLower = tag.toLowerCase();
+    aliases = aliases.filter(a => a.tags.includes(tagLower));
+  }
+
+  if (namespace) {
+    const prefix = namespace.replace(/\/+$/, '') + '/';
+    aliases = aliases.filter(a => a.name.startsWith(prefix));
+  }
 
   // Sort by updated time (newest first)
   aliases.sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt));
@@ -244,7 +661,8 @@ function listAliases(options = {}) {
     const searchLower = search.toLowerCase();
     aliases = aliases.filter(a =>
       a.name.toLowerCase().includes(searchLower) ||
-      (a.title && a.title.toLowerCase().includes(searchLower))
+      (a.title && a.title.toLowerCase().includes(searchLower)) ||
+      a.tags.some(t => t.includes(searchLower))
     );
   }
 
@@ -262,24 +680,26 @@ function listAliases(options = {}) {
  * @returns {object} Result with success status
  */
 function deleteAlias(alias) {
-  const data = loadAliases();
+  return withAliasesLock(() => {
+    const data = loadAliases();
 
-  if (!data.aliases[alias]) {
-    return { success: false, error: `Alias '${alias}' not found` };
-  }
+    if (!data.aliases[alias]) {
+      return { success: false, error: `Alias '${alias}' not found` };
+    }
 
-  const deleted = data.aliases[alias];
-  delete data.aliases[alias];
+    const deleted = data.aliases[alias];
+    delete data.aliases[alias];
 
-  if (saveAliases(data)) {
-    return {
-      success: true,
-      alias,
-      deletedSessionPath: deleted.sessionPath
-    };
-  }
+    if (saveAliases(data)) {
+      return {
+        success: true,
+        alias,
+        deletedSessionPath: deleted.sessionPath
+      };
+    }
 
-  return { success: false, error: 'Failed to delete alias' };
+    return { success: false, error: 'Failed to delete alias' };
+  });
 }
 
 /**
@@ -289,39 +709,42 @@ function deleteAlias(alias) {
  * @returns {object} Result with success status
  */
 function renameAlias(oldAlias, newAlias) {
-  const data = loadAliases();
+  return withAliasesLock(() => {
+    const data = loadAliases();
 
-  if (!data.aliases[oldAlias]) {
-    return { success: false, error: `Alias '${oldAlias}' not found` };
-  }
+    if (!data.aliases[oldAlias]) {
+      return { success: false, error: `Alias '${oldAlias}' not found` };
+    }
 
-  if (data.aliases[newAlias]) {
-    return { success: false, error: `Alias '${newAlias}' already exists` };
-  }
+    if (data.aliases[newAlias]) {
+      return { success: false, error: `Alias '${newAlias}' already exists` };
+    }
 
-  // Validate new alias name
-  if (!/^[a-zA-Z0-9_-]+$/.test(newAlias)) {
-    return { success: false, error: 'New alias name must contain only letters, numbers, dashes, and underscores' };
-  }
+    // Validate new alias name
+    const nameError = validateAliasName(newAlias);
+    if (nameError) {
+      return { success: false, error: nameError };
+    }
 
-  const aliasData = data.aliases[oldAlias];
-  delete data.aliases[oldAlias];
+    const aliasData = data.aliases[oldAlias];
+    delete data.aliases[oldAlias];
 
-  aliasData.updatedAt = new Date().toISOString();
-  data.aliases[newAlias] = aliasData;
+    touchAlias(aliasData);
+    data.aliases[newAlias] = aliasData;
 
-  if (saveAliases(data)) {
-    return {
-      success: true,
-      oldAlias,
-      newAlias,
-      sessionPath: aliasData.sessionPath
-    };
-  }
+    if (saveAliases(data)) {
+      return {
+        success: true,
+        oldAlias,
+        newAlias,
+        sessionPath: aliasData.sessionPath
+      };
+    }
 
-  // Restore old alias on failure
-  data.aliases[oldAlias] = aliasData;
-  return { success: false, error: 'Failed to rename alias' };
+    // Restore old alias on failure
+    data.aliases[oldAlias] = aliasData;
+    return { success: false, error: 'Failed to rename alias' };
+  });
 }
 
 /**
@@ -347,24 +770,26 @@ function resolveSessionAlias(aliasOrId) {
  * @returns {object} Result with success status
  */
 function updateAliasTitle(alias, title) {
-  const data = loadAliases();
+  return withAliasesLock(() => {
+    const data = loadAliases();
 
-  if (!data.aliases[alias]) {
-    return { success: false, error: `Alias '${alias}' not found` };
-  }
+    if (!data.aliases[alias]) {
+      return { success: false, error: `Alias '${alias}' not found` };
+    }
 
-  data.aliases[alias].title = title;
-  data.aliases[alias].updatedAt = new Date().toISOString();
+    data.aliases[alias].title = title;
+    touchAlias(data.aliases[alias]);
 
-  if (saveAliases(data)) {
-    return {
-      success: true,
-      alias,
-      title
-    };
-  }
+    if (saveAliases(data)) {
+      return {
+        success: true,
+        alias,
+        title
+      };
+    }
 
-  return { success: false, error: 'Failed to update alias title' };
+    return { success: false, error: 'Failed to update alias title' };
+  });
 }
 
 /**
@@ -377,11 +802,13 @@ function getAliasesForSession(sessionPath) {
   const aliases = [];
 
   for (const [name, info] of Object.entries(data.aliases)) {
-    if (info.sessionPath === sessionPath) {
+    if (isAliasEntry(info) && getAliasTargets(info).includes(sessionPath)) {
       aliases.push({
         name,
         createdAt: info.createdAt,
-        title: info.title
+        title: info.title,
+        group: !!info.group,
+        tags: info.tags || []
       });
     }
   }
@@ -389,44 +816,254 @@ function getAliasesForSession(sessionPath) {
   return aliases;
 }
 
+/**
+ * Get every session an alias has pointed to, oldest first
+ * @param {string} alias - Alias name
+ * @returns {Array|null} Array of { sessionPath, from, to } (to is null for current targets), or null if not found
+ */
+function getAliasHistory(alias) {
+  const data = loadAliases();
+  const info = data.aliases[alias];
+
+  if (!isAliasEntry(info)) {
+    return null;
+  }
+
+  const history = Array.isArray(info.history) ? info.history : [];
+  const current = info.group
+    ? (Array.isArray(info.sessions) ? info.sessions : []).map(member => ({ sessionPath: member.sessionPath, from: member.addedAt, to: null }))
+    : [{ sessionPath: info.sessionPath, from: getTargetSince(info), to: null }];
+
+  return [...history, ...current].sort((a, b) => new Date(a.from) - new Date(b.from));
+}
+
 /**
  * Clean up aliases for non-existent sessions
  * @param {Function} sessionExists - Function to check if session exists
  * @returns {object} Cleanup result
  */
 function cleanupAliases(sessionExists) {
-  const data = loadAliases();
-  const removed = [];
+  return withFileLock(getAliasesPath(), () => {
+    const data = loadAliases();
+    const removed = [];
+
+    let changed = false;
+
+    for (const [name, info] of Object.entries(data.aliases)) {
+      if (!isAliasEntry(info)) continue;
+
+      if (info.group) {
+        // Malformed groups are left for verifyAliases() to report
+        if (!Array.isArray(info.sessions)) continue;
+
+        // Drop missing members; the group itself goes once it is empty
+        const members = info.sessions.filter(member => sessionExists(member.sessionPath));
+        if (members.length === info.sessions.length) continue;
+
+        changed = true;
+        if (members.length > 0) {
+          info.sessions = members;
+          info.sessionPath = members[members.length - 1].sessionPath;
+          continue;
+        }
+      } else if (sessionExists(info.sessionPath)) {
+        continue;
+      }
 
-  for (const [name, info] of Object.entries(data.aliases)) {
-    if (!sessionExists(info.sessionPath)) {
+      changed = true;
       removed.push({ name, sessionPath: info.sessionPath });
       delete data.aliases[name];
     }
+
+    if (changed) {
+      saveAliases(data);
+    }
+
+    return {
+      totalChecked: Object.keys(data.aliases).length + removed.length,
+      removed: removed.length,
+      removedAliases: removed
+    };
+  });
+}
+
+/**
+ * Find structural problems in one stored alias entry
+ * @param {string} name - Alias name
+ * @param {*} info - Stored alias entry
+ * @returns {string[]} Problems (empty if the entry is well-formed)
+ */
+function getEntryProblems(name, info) {
+  if (!isAliasEntry(info)) {
+    return ['entry is not an object'];
   }
 
-  if (removed.length > 0) {
-    saveAliases(data);
+  const problems = [];
+  const isPathString = value => typeof value === 'string' && value.length > 0;
+
+  if (!ALIAS_NAME_REGEX.test(name)) problems.push('invalid alias name');
+
+  if (info.group) {
+    if (!Array.isArray(info.sessions) || info.sessions.length === 0) {
+      problems.push('group has no sessions');
+    } else if (info.sessions.some(member => !member || !isPathString(member.sessionPath))) {
+      problems.push('group member without a sessionPath');
+    }
+  } else if (!isPathString(info.sessionPath)) {
+    problems.push('missing sessionPath');
   }
 
-  return {
-    totalChecked: Object.keys(data.aliases).length + removed.length,
-    removed: removed.length,
-    removedAliases: removed
+  if (info.tags !== undefined && (!Array.isArray(info.tags) || info.tags.some(tag => typeof tag !== 'string' || !TAG_REGEX.test(tag)))) {
+    problems.push('tags must be an array of lowercase tag names');
+  }
+  if (info.history !== undefined && !Array.isArray(info.history)) {
+    problems.push('history must be an array');
+  }
+  if (info.createdAt && isNaN(new Date(info.createdAt).getTime())) {
+    problems.push('createdAt is not a valid date');
+  }
+
+  return problems;
+}
+
+/**
+ * Check the aliases file for problems without modifying it
+ * Reports malformed entries, aliases pointing at sessions that no longer
+ * exist (live or archived), and distinct aliases sharing one target.
+ * @param {object} options - { sessionExists: (sessionPath) => boolean, defaults to a session lookup }
+ * @returns {object} { ok, status, version, error, total, pendingMigrations, malformed, dangling, duplicates }
+ */
+function verifyAliases(options = {}) {
+  // Required lazily: session-manager itself loads this module on demand
+  const sessionExists = options.sessionExists || (sessionPath => {
+    const { getSessionById } = require('./session-manager');
+    return !!getSessionById(path.basename(sessionPath));
+  });
+
+  const file = readAliasesFile();
+  const report = {
+    ok: false,
+    status: file.status,
+    version: file.data ? file.data.version || '1.0' : null,
+    error: file.error || null,
+    total: 0,
+    pendingMigrations: [],
+    malformed: [],
+    dangling: [],
+    duplicates: []
   };
+
+  if (file.status === 'missing') {
+    report.ok = true;
+    return report;
+  }
+  if (file.status === 'invalid') {
+    return report;
+  }
+
+  let data = file.data;
+  if (file.status === 'ok') {
+    try {
+      const migration = migrateAliasData(file.data);
+      data = migration.data;
+      report.pendingMigrations = migration.applied;
+    } catch (err) {
+      report.error = err.message;
+      return report;
+    }
+  }
+
+  const targets = {};
+  report.total = Object.keys(data.aliases).length;
+
+  for (const [name, info] of Object.entries(data.aliases)) {
+    const problems = getEntryProblems(name, info);
+    if (problems.length > 0) {
+      report.malformed.push({ name, problems });
+      continue;
+    }
+
+    for (const sessionPath of getAliasTargets(info)) {
+      if (!sessionExists(sessionPath)) {
+        report.dangling.push({ name, sessionPath });
+      }
+
+      // Groups overlap with other aliases by design
+      if (!info.group) {
+        const key = path.basename(sessionPath);
+        (targets[key] = targets[key] || []).push(name);
+      }
+    }
+  }
+
+  for (const [sessionPath, names] of Object.entries(targets)) {
+    if (names.length > 1) report.duplicates.push({ sessionPath, aliases: names });
+  }
+
+  report.ok = file.status === 'ok' && report.malformed.length === 0 && report.dangling.length === 0;
+  return report;
+}
+
+/**
+ * Render a verifyAliases() report as readable text
+ * @param {object} report - Output of verifyAliases()
+ * @returns {string} Report text
+ */
+function formatVerifyReport(report) {
+  const lines = [`Aliases file: ${getAliasesPath()}`];
+
+  if (report.status === 'missing') {
+    lines.push('No aliases file (nothing to check)');
+    return lines.join('\n');
+  }
+
+  if (report.status === 'invalid' || (report.error && report.status !== 'newer')) {
+    lines.push(`✗ ${report.error}`);
+    lines.push('  The file was left untouched; fix it by hand or restore a .bak copy next to it.');
+    return lines.join('\n');
+  }
+
+  lines.push(`Version: ${report.version}${report.status === 'newer' ? ` (newer than supported ${ALIAS_VERSION}, read-only)` : ''}`);
+  if (report.pendingMigrations.length > 0) {
+    lines.push(`Pending migrations: ${report.pendingMigrations.join(', ')} (applied on next save or /sessions aliases migrate)`);
+  }
+  lines.push(`Aliases: ${report.total}`, '');
+
+  const section = (heading, entries) => {
+    lines.push(`${heading}: ${entries.length === 0 ? 'none' : entries.length}`);
+    lines.push(...entries.map(entry => `  ${entry}`));
+  };
+
+  section('Malformed entries', report.malformed.map(m => `✗ ${m.name}: ${m.problems.join('; ')}`));
+  section('Dangling targets', report.dangling.map(d => `✗ ${d.name} → ${d.sessionPath}`));
+  section('Duplicate targets', report.duplicates.map(d => `! ${d.sessionPath} ← ${d.aliases.join(', ')}`));
+
+  lines.push('', report.ok ? '✓ Aliases file is healthy' : '✗ Problems found (nothing was changed)');
+  return lines.join('\n');
 }
 
 module.exports = {
+  ALIAS_VERSION,
+  ALIAS_MIGRATIONS,
   getAliasesPath,
   loadAliases,
   saveAliases,
+  migrateAliasData,
+  migrateAliasesFile,
+  verifyAliases,
+  formatVerifyReport,
+  validateAliasName,
   resolveAlias,
   setAlias,
+  addToGroup,
+  removeFromGroup,
+  updateAliasTags,
   listAliases,
   deleteAlias,
   renameAlias,
   resolveSessionAlias,
   updateAliasTitle,
   getAliasesForSession,
+  getAliasHistory,
   cleanupAliases
 };
@@ -0,0 +1,411 @@
+/**
+ * Session Archive Library for Claude Code
+ * Applies retention policies to ~/.claude/sessions/ and stores aged-out
+ * sessions in gzip bundles under ~/.claude/sessions/archive/
+ *
+ * Bundles are grouped by session month (archive/YYYY-MM.json.gz). An archived
+ * session keeps a virtual path of the form archive/YYYY-MM.json.gz/<filename>,
+ * which session-manager resolves transparently for loading and searching.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const {
+  getClaudeDir,
+  getSessionsDir,
+  ensureDir,
+  readFile,
+  log
+} = require('./utils');
+const {
+  parseSessionFilename,
+  getAllSessions,
+  deleteSession
+} = require('./session-manager');
+const { splitFrontMatter } = require('./session-format');
+const { withFileLock, writeFileAtomic } = require('./file-lock');
+const { listAliases } = require('./session-aliases');
+
+// Current bundle format version
+const BUNDLE_VERSION = 1;
+
+const BUNDLE_SUFFIX = '.json.gz';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default retention policy
+ * - keepDays: sessions modified within this many days are always kept
+ * - keepAliased: never prune sessions that an alias points to
+ * - action: 'archive' moves old sessions into bundles, 'delete' removes them
+ */
+const DEFAULT_RETENTION_POLICY = {
+  keepDays: 30,
+  keepAliased: true,
+  action: 'archive'
+};
+
+const RETENTION_ACTIONS = ['archive', 'delete'];
+
+/**
+ * Get the archive directory path
+ */
+function getArchiveDir() {
+  return path.join(getSessionsDir(), 'archive');
+}
+
+/**
+ * Get the retention policy file path
+ */
+function getRetentionConfigPath() {
+  return path.join(getClaudeDir(), 'session-retention.json');
+}
+
+/**
+ * Load the retention policy, merged over the defaults
+ * Invalid values are kept (and reported) so planRetention() refuses to prune.
+ * @returns {object} Retention policy
+ */
+function loadRetentionPolicy() {
+  const content = readFile(getRetentionConfigPath());
+  if (!content) {
+    return { ...DEFAULT_RETENTION_POLICY };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (err) {
+    log(`[Archive] Invalid retention config, using defaults: ${err.message}`);
+    return { ...DEFAULT_RETENTION_POLICY };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    log('[Archive] Retention config must be a JSON object, using defaults');
+    return { ...DEFAULT_RETENTION_POLICY };
+  }
+
+  const policy = { ...DEFAULT_RETENTION_POLICY, ...parsed };
+  const error = validateRetentionPolicy(policy);
+  if (error) {
+    log(`[Archive] Invalid retention config: ${error}`);
+  }
+  return policy;
+}
+
+/**
+ * Validate a retention policy
+ * A bad keepDays would otherwise put the cutoff at NaN and prune everything.
+ * @param {object} policy - Retention policy
+ * @returns {string|null} Error message, or null if the policy is valid
+ */
+function validateRetentionPolicy(policy) {
+  if (!Number.isInteger(policy.keepDays) || policy.keepDays < 0) {
+    return `keepDays must be a non-negative integer (got ${JSON.stringify(policy.keepDays)})`;
+  }
+
+  if (!RETENTION_ACTIONS.includes(policy.action)) {
+    return `action must be one of ${RETENTION_ACTIONS.join(', ')} (got ${JSON.stringify(policy.action)})`;
+  }
+
+  if (typeof policy.keepAliased !== 'boolean') {
+    return `keepAliased must be true or false (got ${JSON.stringify(policy.keepAliased)})`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the bundle path a session belongs in (grouped by session month)
+ * @param {string} filename - Session filename
+ * @returns {string} Full path to the bundle
+ */
+function getBundlePath(filename) {
+  const parsed = parseSessionFilename(filename);
+  const month = parsed ? parsed.date.slice(0, 7) : 'unknown';
+  return path.join(getArchiveDir(), `${month}${BUNDLE_SUFFIX}`);
+}
+
+/**
+ * Check if a path is a virtual archived session path
+ * @param {string} sessionPath - Session path to check
+ * @returns {boolean} True if the path points inside an archive bundle
+ */
+function isArchivedSessionPath(sessionPath) {
+  if (!sessionPath) return false;
+
+  const bundlePath = path.dirname(sessionPath);
+  return bundlePath.endsWith(BUNDLE_SUFFIX) &&
+    path.resolve(path.dirname(bundlePath)) === path.resolve(getArchiveDir());
+}
+
+/**
+ * Load a bundle from disk, throwing if it exists but cannot be read
+ * @param {string} bundlePath - Full path to the bundle
+ * @returns {object} Bundle object (empty bundle if the file is missing)
+ */
+function loadBundle(bundlePath) {
+  if (!fs.existsSync(bundlePath)) {
+    return { version: BUNDLE_VERSION, sessions: {} };
+  }
+
+  const data = JSON.parse(zlib.gunzipSync(fs.readFileSync(bundlePath)).toString('utf8'));
+  if (!data.sessions || typeof data.sessions !== 'object') {
+    throw new Error('Invalid bundle structure');
+  }
+  return data;
+}
+
+/**
+ * Read a bundle from disk for lookups
+ * @param {string} bundlePath - Full path to the bundle
+ * @returns {object} Bundle object (empty bundle if missing or unreadable)
+ */
+function readBundle(bundlePath) {
+  try {
+    return loadBundle(bundlePath);
+  } catch (err) {
+    log(`[Archive] Error reading bundle ${bundlePath}: ${err.message}`);
+    return { version: BUNDLE_VERSION, sessions: {} };
+  }
+}
+
+/**
+ * Write a bundle to disk with an atomic write
+ * @param {string} bundlePath - Full path to the bundle
+ * @param {object} bundle - Bundle object
+ */
+function writeBundle(bundlePath, bundle) {
+  ensureDir(path.dirname(bundlePath));
+  writeFileAtomic(bundlePath, zlib.gzipSync(JSON.stringify(bundle)));
+}
+
+/**
+ * Read the project tag from a session's front-matter without parsing the body
+ * @param {string} content - Session file content
+ * @returns {object|null} Project identity or null if untagged
+ */
+function getProjectTag(content) {
+  const { data } = splitFrontMatter(content);
+  return data && data.project ? data.project : null;
+}
+
+/**
+ * List every archived session across all bundles
+ * @returns {Array} Session objects shaped like getAllSessions() entries, plus archived: true
+ */
+function listArchivedSessions() {
+  const archiveDir = getArchiveDir();
+
+  if (!fs.existsSync(archiveDir)) {
+    return [];
+  }
+
+  const sessions = [];
+
+  for (const name of fs.readdirSync(archiveDir)) {
+    if (!name.endsWith(BUNDLE_SUFFIX)) continue;
+
+    const bundlePath = path.join(archiveDir, name);
+    const bundle = readBundle(bundlePath);
+
+    for (const [filename, entry] of Object.entries(bundle.sessions)) {
+      const metadata = parseSessionFilename(filename);
+      if (!metadata) continue;
+
+      sessions.push({
+        ...metadata,
+        sessionPath: path.join(bundlePath, filename),
+        bundlePath,
+        project: getProjectTag(entry.content),
+        archived: true,
+        archivedAt: entry.archivedAt,
+        hasContent: entry.content.length > 0,
+        size: Buffer.byteLength(entry.content, 'utf8'),
+        modifiedTime: new Date(entry.mtimeMs),
+        createdTime: new Date(entry.mtimeMs)
+      });
+    }
+  }
+
+  return sessions;
+}
+
+/**
+ * Read an archived session's content from its bundle
+ * @param {string} sessionPath - Virtual archived session path
+ * @returns {string|null} Session content or null if not found
+ */
+function getArchivedSessionContent(sessionPath) {
+  if (!isArchivedSessionPath(sessionPath)) {
+    return null;
+  }
+
+  const bundle = readBundle(path.dirname(sessionPath));
+  const entry = bundle.sessions[path.basename(sessionPath)];
+  return entry ? entry.content : null;
+}
+
+/**
+ * Decide which sessions a retention policy would keep, archive or delete
+ * @param {object} policy - Retention policy (defaults to loadRetentionPolicy())
+ * @param {Date} now - Reference time (for testing)
+ * @returns {object} { policy, keep, prune } where each prune entry has a reason,
+ *   or { policy, keep: [], prune: [], error } if the policy is invalid
+ */
+function planRetention(policy = loadRetentionPolicy(), now = new Date()) {
+  const error = validateRetentionPolicy(policy);
+  if (error) {
+    return { policy, keep: [], prune: [], error };
+  }
+
+  const cutoff = now.getTime() - policy.keepDays * DAY_MS;
+  const aliased = new Set(listAliases().flatMap(a => a.sessions.map(sessionPath => path.basename(sessionPath || ''))));
+  const { sessions } = getAllSessions({ limit: Infinity, project: 'all' });
+
+  const keep = [];
+  const prune = [];
+
+  for (const session of sessions) {
+    if (session.modifiedTime.getTime() >= cutoff) {
+      keep.push({ ...session, reason: `modified within ${policy.keepDays} days` });
+    } else if (policy.keepAliased && aliased.has(session.filename)) {
+      keep.push({ ...session, reason: 'aliased' });
+    } else {
+      const ageDays = Math.floor((now.getTime() - session.modifiedTime.getTime()) / DAY_MS);
+      prune.push({ ...session, reason: `last modified ${ageDays} days ago` });
+    }
+  }
+
+  return { policy, keep, prune };
+}
+
+/**
+ * Move a live session into its archive bundle
+ * @param {object} session - Session object from getAllSessions()
+ * @returns {boolean} Success status
+ */
+function archiveSession(session) {
+  const content = readFile(session.sessionPath);
+  if (content === null) return false;
+
+  const bundlePath = getBundlePath(session.filename);
+
+  try {
+    // Concurrent prunes must not drop each other's sessions from the bundle
+    withFileLock(bundlePath, () => {
+      // loadBundle throws on a damaged bundle so it is never overwritten
+      const bundle = loadBundle(bundlePath);
+      bundle.version = BUNDLE_VERSION;
+      bundle.sessions[session.filename] = {
+        content,
+        mtimeMs: session.modifiedTime.getTime(),
+        archivedAt: new Date().toISOString()
+      };
+      writeBundle(bundlePath, bundle);
+    });
+  } catch (err) {
+    log(`[Archive] Error archiving ${session.filename}: ${err.message}`);
+    return false;
+  }
+
+  // Only remove the original once the bundle is safely written
+  return deleteSession(session.sessionPath);
+}
+
+/**
+ * Apply the retention policy
+ * @param {object} options - Options object
+ * @param {boolean} options.dryRun - Report what would happen without changing anything
+ * @param {object} options.policy - Policy overrides (merged over the configured policy)
+ * @returns {object} { dryRun, policy, kept, archived, deleted, failed }, plus error if
+ *   the policy is invalid (nothing is pruned then)
+ */
+function applyRetention(options = {}) {
+  const { dryRun = false } = options;
+  const policy = { ...loadRetentionPolicy(), ...(options.policy || {}) };
+  const plan = planRetention(policy);
+
+  const result = {
+    dryRun,
+    policy,
+    kept: plan.keep,
+    archived: [],
+    deleted: [],
+    failed: []
+  };
+
+  if (plan.error) {
+    return { ...result, error: `Invalid retention policy: ${plan.error}` };
+  }
+
+  for (const session of plan.prune) {
+    const target = policy.action === 'delete' ? result.deleted : result.archived;
+
+    if (dryRun) {
+      target.push(session);
+      continue;
+    }
+
+    const ok = policy.action === 'delete'
+      ? deleteSession(session.sessionPath)
+      : archiveSession(session);
+
+    (ok ? target : result.failed).push(session);
+  }
+
+  return result;
+}
+
+/**
+ * Format a retention result as a human-readable report
+ * @param {object} result - Output of applyRetention()
+ * @returns {string} Report text
+ */
+function formatRetentionReport(result) {
+  const { policy } = result;
+  if (result.error) {
+    return `${result.error}\nNothing was pruned. Check ${getRetentionConfigPath()} and --days.`;
+  }
+
+  const lines = [
+    `Retention policy: keep ${policy.keepDays} days, ` +
+      `${policy.keepAliased ? 'keep' : 'prune'} aliased sessions, action: ${policy.action}`,
+    ''
+  ];
+
+  const sections = [
+    [result.dryRun ? 'Would archive' : 'Archived', result.archived],
+    [result.dryRun ? 'Would delete' : 'Deleted', result.deleted],
+    ['Failed', result.failed]
+  ];
+
+  for (const [label, sessions] of sections) {
+    if (sessions.length === 0) continue;
+    lines.push(`${label} (${sessions.length}):`);
+    for (const s of sessions) {
+      lines.push(`  ${s.filename}  (${s.reason})`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`Keeping ${result.kept.length} session(s)`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_RETENTION_POLICY,
+  getArchiveDir,
+  getRetentionConfigPath,
+  loadRetentionPolicy,
+  validateRetentionPolicy,
+  isArchivedSessionPath,
+  listArchivedSessions,
+  getArchivedSessionContent,
+  planRetention,
+  archiveSession,
+  applyRetention,
+  formatRetentionReport
+};
@@ -0,0 +1,226 @@
+/**
+ * Session Diff Library for Claude Code
+ * Compares parsed session metadata to show what changed between two
+ * sessions, and builds the timeline of sessions an alias pointed to
+ */
+
+const path = require('path');
+
+const { truncateLine } = require('./utils');
+const { getSessionById } = require('./session-manager');
+const { getAliasHistory } = require('./session-aliases');
+const { resolveSession, formatResolutionError } = require('./session-resolver');
+
+/**
+ * Load a session (by alias, short ID or filename) with parsed metadata
+ * @param {string} aliasOrId - Alias name or session ID
+ * @returns {object} { session } or { error } with suggestions if not found
+ */
+function loadSession(aliasOrId) {
+  const result = resolveSession(aliasOrId, { includeContent: true });
+  return result.status === 'found'
+    ? { session: result.session }
+    : { error: formatResolutionError(aliasOrId, result) };
+}
+
+/**
+ * Items present in `after` but not in `before` (compared case-insensitively)
+ * @param {string[]} before - Earlier list
+ * @param {string[]} after - Later list
+ * @returns {string[]} Added items
+ */
+function addedItems(before, after) {
+  const seen = new Set(before.map(itemKey));
+  return after.filter(item => !seen.has(itemKey(item)));
+}
+
+/**
+ * Normalize an item for comparison
+ * @param {string} item - Item text
+ * @returns {string} Comparison key
+ */
+function itemKey(item) {
+  return item.trim().toLowerCase();
+}
+
+/**
+ * Split a text block into trimmed, non-empty lines
+ * @param {string} text - Text block
+ * @returns {string[]} Lines
+ */
+function toLines(text) {
+  return (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Compare two sessions' parsed metadata
+ * @param {object} before - Metadata of the earlier session (parseSessionMetadata output)
+ * @param {object} after - Metadata of the later session
+ * @returns {object} Structured diff
+ */
+function diffSessionMetadata(before, after) {
+  const completedKeys = new Set(after.completed.map(itemKey));
+  const previousKeys = new Set(before.inProgress.map(itemKey));
+  const removedInProgress = addedItems(after.inProgress, before.inProgress);
+
+  const diff = {
+    titleChanged: before.title !== after.title,
+    newlyCompleted: addedItems(before.completed, after.completed),
+    newInProgress: addedItems(before.inProgress, after.inProgress),
+    // In progress before and no longer listed: either finished or dropped
+    finishedInProgress: removedInProgress.filter(item => completedKeys.has(itemKey(item))),
+    droppedInProgress: removedInProgress.filter(item => !completedKeys.has(itemKey(item))),
+    stillInProgress: after.inProgress.filter(item => previousKeys.has(itemKey(item))),
+    notes: {
+      added: addedItems(toLines(before.notes), toLines(after.notes)),
+      removed: addedItems(toLines(after.notes), toLines(before.notes))
+    },
+    context: {
+      added: addedItems(toLines(before.context), toLines(after.context)),
+      removed: addedItems(toLines(after.context), toLines(before.context))
+    }
+  };
+
+  diff.hasChanges = diff.titleChanged ||
+    [diff.newlyCompleted, diff.newInProgress, diff.droppedInProgress,
+      diff.notes.added, diff.notes.removed, diff.context.added, diff.context.removed]
+      .some(list => list.length > 0);
+
+  return diff;
+}
+
+/**
+ * Diff two sessions by alias or ID
+ * @param {string} a - Earlier session (alias or ID)
+ * @param {string} b - Later session (alias or ID)
+ * @returns {object} { success, before, after, diff } or { success: false, error }
+ */
+function diffSessions(a, b) {
+  const { session: before, error: beforeError } = loadSession(a);
+  if (!before) return { success: false, error: beforeError };
+
+  const { session: after, error: afterError } = loadSession(b);
+  if (!after) return { success: false, error: afterError };
+
+  return {
+    success: true,
+    before,
+    after,
+    diff: diffSessionMetadata(before.metadata, after.metadata)
+  };
+}
+
+/**
+ * Render a session diff as readable text
+ * @param {object} result - Output of diffSessions()
+ * @returns {string} Diff text
+ */
+function formatSessionDiff(result) {
+  const { before, after, diff } = result;
+  const lines = [
+    `--- ${before.filename}${before.metadata.title ? `  (${before.metadata.title})` : ''}`,
+    `+++ ${after.filename}${after.metadata.title ? `  (${after.metadata.title})` : ''}`,
+    ''
+  ];
+
+  if (!diff.hasChanges) {
+    lines.push('No changes');
+    return lines.join('\n');
+  }
+
+  const section = (heading, entries) => {
+    if (entries.length === 0) return;
+    lines.push(heading);
+    lines.push(...entries);
+    lines.push('');
+  };
+
+  section('Completed:', diff.newlyCompleted.map(item => `  + [x] ${truncateLine(item)}`));
+  section('In Progress:', [
+    ...diff.newInProgress.map(item => `  + [ ] ${truncateLine(item)}`),
+    ...diff.finishedInProgress.map(item => `  ✓ [ ] ${truncateLine(item)}  (now completed)`),
+    ...diff.droppedInProgress.map(item => `  - [ ] ${truncateLine(item)}`)
+  ]);
+  section('Notes:', [
+    ...diff.notes.removed.map(line => `  - ${line}`),
+    ...diff.notes.added.map(line => `  + ${line}`)
+  ]);
+  section('Context:', [
+    ...diff.context.removed.map(file => `  - ${file}`),
+    ...diff.context.added.map(file => `  + ${file}`)
+  ]);
+
+  if (diff.stillInProgress.length > 0) {
+    lines.push(`${diff.stillInProgress.length} item(s) still in progress`);
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Build the progression of sessions an alias has pointed to
+ * @param {string} alias - Alias name
+ * @returns {object} { success, alias, entries } where each entry has session, from, to and diff from the previous entry
+ */
+function getAliasTimeline(alias) {
+  const history = getAliasHistory(alias);
+  if (!history) return { success: false, error: `Alias '${alias}' not found` };
+
+  const entries = [];
+  let previous = null;
+
+  for (const point of history) {
+    const session = getSessionById(path.basename(point.sessionPath || ''), true);
+
+    entries.push({
+      sessionPath: point.sessionPath,
+      from: point.from,
+      to: point.to,
+      session,
+      diff: session && previous ? diffSessionMetadata(previous.metadata, session.metadata) : null
+    });
+
+    if (session) previous = session;
+  }
+
+  return { success: true, alias, entries };
+}
+
+/**
+ * Render an alias timeline as readable text
+ * @param {object} timeline - Output of getAliasTimeline()
+ * @returns {string} Timeline text
+ */
+function formatAliasTimeline(timeline) {
+  const lines = [`Timeline for '${timeline.alias}' (${timeline.entries.length} session(s))`, ''];
+
+  for (const entry of timeline.entries) {
+    // ● marks the session the alias points to now
+    const marker = entry.to === null ? '●' : '○';
+
+    if (!entry.session) {
+      lines.push(`${marker} ${path.basename(entry.sessionPath || '')}  (missing)`);
+      continue;
+    }
+
+    const { metadata, stats } = entry.session;
+    lines.push(`${marker} ${entry.session.date}  ${entry.session.filename}  ${metadata.title || 'Untitled Session'}`);
+    lines.push(`    ${stats.completedItems} completed, ${stats.inProgressItems} in progress`);
+
+    if (entry.diff) {
+      for (const item of entry.diff.newlyCompleted) lines.push(`    + [x] ${truncateLine(item)}`);
+      for (const item of entry.diff.newInProgress) lines.push(`    + [ ] ${truncateLine(item)}`);
+      for (const item of entry.diff.droppedInProgress) lines.push(`    - [ ] ${truncateLine(item)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffSessionMetadata,
+  diffSessions,
+  formatSessionDiff,
+  getAliasTimeline,
+  formatAliasTimeline
+};
@@ -0,0 +1,443 @@
+/**
+ * Session Format Library for Claude Code
+ * Structured, versioned session documents with a markdown view
+ *
+ * A structured session file starts with a front-matter block holding the
+ * session data as JSON (a subset of YAML, so front-matter aware tools can
+ * read it), followed by the human-readable markdown body:
+ *
+ *   ---
+ *   { "schemaVersion": 1, "title": "Session: 2026-02-01", ... }
+ *   ---
+ *   # Session: 2026-02-01
+ *   ...
+ *
+ * The front-matter is the source of truth. It records a hash of the body it
+ * was written with; if the body has been edited by hand since, the edited
+ * sections are parsed and merged back over the front-matter values.
+ *
+ * Files without front-matter (legacy sessions) are parsed from the markdown
+ * body alone and can be upgraded in place with migrateSessionContent().
+ */
+
+const crypto = require('crypto');
+
+// Current session schema version
+const SESSION_SCHEMA_VERSION = 1;
+
+/**
+ * Session schema: field name -> type
+ * Fields not listed here are preserved as-is so newer writers can extend the format.
+ */
+const SESSION_SCHEMA = {
+  schemaVersion: 'number',
+  title: 'string?',
+  date: 'string?',
+  started: 'string?',
+  lastUpdated: 'string?',
+  summary: 'string',
+  completed: 'string[]',
+  inProgress: 'string[]',
+  notes: 'string',
+  context: 'string',
+  sections: 'section[]',
+  git: 'object?',
+  project: 'object?',
+  stats: 'object?',
+  generated: 'object?',
+  snapshot: 'object?',
+  bodyHash: 'string?'
+};
+
+// Markdown section headings mapped to schema fields
+const SECTION_FIELDS = {
+  'current state': 'summary',
+  'completed': 'completed',
+  'in progress': 'inProgress',
+  'notes for next session': 'notes',
+  'context to load': 'context'
+};
+
+// Fields owned by the markdown body (re-parsed when the body was hand-edited)
+const BODY_FIELDS = ['title', 'date', 'started', 'lastUpdated', ...new Set(Object.values(SECTION_FIELDS)), 'sections'];
+
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * Ordered schema upgrades: upgrades[n] turns a version n document into n + 1
+ * Version 0 is a document parsed from a legacy markdown-only file.
+ */
+const SCHEMA_UPGRADES = {
+  0: data => ({ ...data, schemaVersion: 1 })
+};
+
+/**
+ * Create an empty session document
+ * @param {object} fields - Initial field values
+ * @returns {object} Session data conforming to SESSION_SCHEMA
+ */
+function createSessionData(fields = {}) {
+  return {
+    schemaVersion: SESSION_SCHEMA_VERSION,
+    title: null,
+    date: null,
+    started: null,
+    lastUpdated: null,
+    summary: '',
+    completed: [],
+    inProgress: [],
+    notes: '',
+    context: '',
+    sections: [],
+    git: null,
+    project: null,
+    ...fields
+  };
+}
+
+/**
+ * Validate session data against SESSION_SCHEMA
+ * @param {object} data - Session data
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+function validateSessionData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Session data must be an object'];
+  }
+
+  const errors = [];
+
+  for (const [field, type] of Object.entries(SESSION_SCHEMA)) {
+    const value = data[field];
+    const optional = type.endsWith('?');
+    const baseType = optional ? type.slice(0, -1) : type;
+
+    if (value === undefined || value === null) {
+      if (!optional) errors.push(`Missing required field: ${field}`);
+      continue;
+    }
+
+    if (baseType === 'string[]') {
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+        errors.push(`Field ${field} must be an array of strings`);
+      }
+    } else if (baseType === 'section[]') {
+      if (!Array.isArray(value) || value.some(v => !v || typeof v.heading !== 'string' || typeof v.content !== 'string')) {
+        errors.push(`Field ${field} must be an array of { heading, content } objects`);
+      }
+    } else if (baseType === 'object' && (typeof value !== 'object' || Array.isArray(value))) {
+      errors.push(`Field ${field} must be an object`);
+    } else if (baseType !== 'object' && typeof value !== baseType) {
+      errors.push(`Field ${field} must be a ${baseType}`);
+    }
+  }
+
+  if (typeof data.schemaVersion === 'number' && data.schemaVersion > SESSION_SCHEMA_VERSION) {
+    errors.push(`Unsupported schema version ${data.schemaVersion} (max ${SESSION_SCHEMA_VERSION})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Upgrade session data to the current schema version
+ * @param {object} data - Session data at any known version
+ * @returns {object} Session data at SESSION_SCHEMA_VERSION
+ */
+function upgradeSessionData(data) {
+  let upgraded = { ...data };
+  let version = typeof upgraded.schemaVersion === 'number' ? upgraded.schemaVersion : 0;
+
+  while (version < SESSION_SCHEMA_VERSION) {
+    const upgrade = SCHEMA_UPGRADES[version];
+    if (!upgrade) {
+      throw new Error(`No upgrade path from session schema version ${version}`);
+    }
+    upgraded = upgrade(upgraded);
+    version = upgraded.schemaVersion;
+  }
+
+  return createSessionData(upgraded);
+}
+
+/**
+ * Hash a markdown body to detect hand edits
+ * @param {string} body - Markdown body
+ * @returns {string} Short hex digest
+ */
+function hashBody(body) {
+  return crypto.createHash('sha1').update(body.replace(/\r\n/g, '\n').trim()).digest('hex').slice(0, 16);
+}
+
+/**
+ * Split a session file into front-matter data and markdown body
+ * @param {string} content - Full file content
+ * @returns {object} { data, body } where data is null for legacy files
+ */
+function splitFrontMatter(content) {
+  const match = content.match(FRONT_MATTER_REGEX);
+  if (!match) {
+    return { data: null, body: content };
+  }
+
+  try {
+    return { data: JSON.parse(match[1]), body: content.slice(match[0].length) };
+  } catch {
+    // Not our front-matter (or damaged) - treat the whole file as markdown
+    return { data: null, body: content };
+  }
+}
+
+/**
+ * Parse checklist items from a section, keeping indented continuation lines
+ * @param {string[]} lines - Section lines
+ * @param {boolean} checked - Collect checked ([x]) or unchecked ([ ]) items
+ * @returns {string[]} Item texts
+ */
+function parseChecklist(lines, checked) {
+  const items = [];
+  let current = null;
+
+  for (const line of lines) {
+    const item = line.match(/^\s*[-*]\s+\[([ xX])\]\s*(.*)$/);
+
+    if (item) {
+      current = null;
+      const isChecked = item[1] !== ' ';
+      const text = item[2].trim();
+      if (isChecked === checked && text) {
+        current = items.length;
+        items.push(text);
+      }
+    } else if (current !== null && /^\s+\S/.test(line)) {
+      items[current] += '\n' + line.trim();
+    } else if (line.trim()) {
+      current = null;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Parse session data from a markdown body
+ * Sections run until the next heading, so multi-paragraph notes are kept whole.
+ * @param {string} body - Markdown body
+ * @returns {object} Session data (schemaVersion 0)
+ */
+function parseMarkdownBody(body) {
+  const data = createSessionData({ schemaVersion: 0 });
+  if (!body) return data;
+
+  const lines = body.replace(/\r\n/g, '\n').split('\n');
+  const sections = [];
+  let current = null;
+  let inFence = false;
+
+  for (const line of lines) {
+    if (/^\s*```/.test(line)) {
+      inFence = !inFence;
+    }
+
+    const heading = !inFence && line.match(/^(#{1,3})\s+(.+?)\s*$/);
+
+    if (heading && heading[1].length === 1 && data.title === null) {
+      data.title = heading[2];
+      current = null;
+      continue;
+    }
+
+    if (heading && heading[1].length > 1) {
+      current = { level: heading[1].length, heading: heading[2], lines: [] };
+      sections.push(current);
+      continue;
+    }
+
+    // A thematic break ends the current section; whatever follows
+    // (e.g. compaction markers) is kept as its own block
+    if (!inFence && /^---\s*$/.test(line) && sections.length > 0) {
+      current = { level: 0, heading: '', lines: [] };
+      sections.push(current);
+      continue;
+    }
+
+    if (current) {
+      current.lines.push(line);
+      continue;
+    }
+
+    const field = line.match(/^\*\*(Date|Started|Last Updated):\*\*\s*(.*)$/);
+    if (field) {
+      const value = field[2].trim() || null;
+      if (field[1] === 'Date') data.date = value;
+      if (field[1] === 'Started') data.started = value;
+      if (field[1] === 'Last Updated') data.lastUpdated = value;
+    }
+  }
+
+  for (const section of sections) {
+    const field = SECTION_FIELDS[section.heading.toLowerCase()];
+    const text = section.lines.join('\n').trim();
+
+    if (field === 'completed') {
+      data.completed = parseChecklist(section.lines, true);
+    } else if (field === 'inProgress') {
+      data.inProgress = parseChecklist(section.lines, false);
+    } else if (field === 'context') {
+      // Context is a fenced block of file paths
+      const fenced = text.match(/```[^\n]*\n([\s\S]*?)```/);
+      data.context = (fenced ? fenced[1] : text).trim();
+    } else if (field) {
+      data[field] = text;
+    } else if (section.level > 0 || text) {
+      data.sections.push({ level: section.level, heading: section.heading, content: text });
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Describe recorded git state on one line, e.g. "feature/x @ abc1234 (2 uncommitted, 1 ahead)"
+ * @param {object} git - Git state (see utils.getGitState)
+ * @returns {string} Description
+ */
+function describeGitState(git) {
+  const details = [];
+  if (git.dirtyFiles && git.dirtyFiles.length > 0) details.push(`${git.dirtyFiles.length} uncommitted`);
+  if (git.ahead) details.push(`${git.ahead} ahead`);
+  if (git.behind) details.push(`${git.behind} behind`);
+
+  const ref = `${git.branch || 'detached'} @ ${(git.head || 'unknown').slice(0, 7)}`;
+  return details.length > 0 ? `${ref} (${details.join(', ')})` : ref;
+}
+
+/**
+ * Render session data as a markdown body
+ * @param {object} data - Session data
+ * @returns {string} Markdown body
+ */
+function renderSessionMarkdown(data) {
+  const item = (mark, text) => `- [${mark}] ${text.split('\n').join('\n  ')}`;
+  const lines = [`# ${data.title || `Session: ${data.date || ''}`.trim()}`];
+
+  if (data.date) lines.push(`**Date:** ${data.date}`);
+  if (data.started) lines.push(`**Started:** ${data.started}`);
+  if (data.lastUpdated) lines.push(`**Last Updated:** ${data.lastUpdated}`);
+  // Informational only: git state lives in the front-matter, not the body
+  if (data.git) lines.push(`**Git:** ${describeGitState(data.git)}`);
+
+  lines.push('', '---', '', '## Current State', '');
+  if (data.summary) lines.push(data.summary, '');
+
+  lines.push('### Completed');
+  lines.push(...data.completed.map(text => item('x', text)));
+  lines.push('', '### In Progress');
+  lines.push(...data.inProgress.map(text => item(' ', text)));
+  lines.push('', '### Notes for Next Session');
+  if (data.notes) lines.push(data.notes);
+  lines.push('', '### Context to Load', '```');
+  if (data.context) lines.push(data.context);
+  lines.push('```');
+
+  for (const section of data.sections) {
+    lines.push('', section.level > 0 ? `${'#'.repeat(section.level)} ${section.heading}` : '---');
+    if (section.content) lines.push(section.content);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize session data as a front-matter block
+ * @param {object} data - Session data (bodyHash must already be set)
+ * @returns {string} Front-matter block including fences
+ */
+function renderFrontMatter(data) {
+  return `---\n${JSON.stringify(data, null, 2)}\n---\n`;
+}
+
+/**
+ * Render a complete structured session file
+ * @param {object} data - Session data
+ * @returns {string} File content (front-matter + markdown body)
+ */
+function renderSessionDocument(data) {
+  const { bodyHash: _previousHash, ...fields } = createSessionData(data);
+  const body = renderSessionMarkdown(fields);
+  return renderFrontMatter({ ...fields, bodyHash: hashBody(body) }) + body;
+}
+
+/**
+ * Parse a session file into session data
+ * Structured files return their front-matter (with hand edits to the body
+ * merged in); legacy files are parsed from the markdown body.
+ * @param {string} content - Full file content
+ * @returns {object} Session data at the current schema version
+ */
+function parseSessionDocument(content) {
+  if (!content) {
+    return createSessionData();
+  }
+
+  const { data, body } = splitFrontMatter(content);
+
+  if (!data) {
+    return upgradeSessionData(parseMarkdownBody(body));
+  }
+
+  const document = upgradeSessionData(data);
+
+  if (document.bodyHash !== hashBody(body)) {
+    // Body was edited by hand since it was rendered: the edit wins for body-owned fields
+    const edited = parseMarkdownBody(body);
+    for (const field of BODY_FIELDS) {
+      document[field] = edited[field];
+    }
+  }
+
+  return document;
+}
+
+/**
+ * Upgrade a session file to the structured format without touching its body
+ * The original markdown is kept verbatim below the new front-matter.
+ * @param {string} content - Full file content (legacy or structured)
+ * @param {object} fields - Extra front-matter fields to set (e.g. a backfilled project)
+ * @returns {object} { changed, content, data, errors }
+ */
+function migrateSessionContent(content, fields = {}) {
+  const { data: existing, body } = splitFrontMatter(content || '');
+  const bodyHash = hashBody(body);
+  const upToDate = existing && existing.schemaVersion === SESSION_SCHEMA_VERSION && existing.bodyHash === bodyHash;
+
+  if (upToDate && Object.keys(fields).length === 0) {
+    return { changed: false, content, data: existing, errors: [] };
+  }
+
+  const { bodyHash: _previousHash, ...parsed } = parseSessionDocument(content || '');
+  const data = { ...parsed, ...fields, bodyHash };
+  const errors = validateSessionData(data);
+
+  return {
+    changed: errors.length === 0,
+    content: errors.length === 0 ? renderFrontMatter(data) + body : content,
+    data,
+    errors
+  };
+}
+
+module.exports = {
+  SESSION_SCHEMA_VERSION,
+  SESSION_SCHEMA,
+  createSessionData,
+  validateSessionData,
+  upgradeSessionData,
+  splitFrontMatter,
+  parseMarkdownBody,
+  describeGitState,
+  renderSessionMarkdown,
+  renderSessionDocument,
+  parseSessionDocument,
+  migrateSessionContent
+};
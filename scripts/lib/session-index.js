@@ -0,0 +1,245 @@
+/**
+ * Session Index Cache for Claude Code
+ * Persists parsed session metadata and stats in ~/.claude/sessions/.index.json
+ * so listing, searching and stats don't re-read every session file.
+ *
+ * Entries are keyed by filename and considered fresh while the file's
+ * mtime and size are unchanged. Callers supply the entry builder, so this
+ * module knows nothing about the session markdown format.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  getSessionsDir,
+  ensureDir,
+  readFile,
+  log
+} = require('./utils');
+const { withFileLock, writeFileAtomic } = require('./file-lock');
+
+// Bump when the shape of cached entries changes to force a full rebuild
+const INDEX_VERSION = 3;
+
+// In-process copy of the index, so repeated lookups don't re-read the file
+let cachedIndex = null;
+
+/**
+ * Get the session index file path
+ * @returns {string} Full path to .index.json
+ */
+function getIndexPath() {
+  return path.join(getSessionsDir(), '.index.json');
+}
+
+/**
+ * Empty index structure
+ */
+function getDefaultIndex() {
+  return {
+    version: INDEX_VERSION,
+    updatedAt: null,
+    entries: {}
+  };
+}
+
+/**
+ * Read the index file, bypassing the in-process cache
+ * @param {string} indexPath - Index file path
+ * @returns {object} Index object (empty if missing, stale or corrupt)
+ */
+function readIndexFile(indexPath) {
+  const content = readFile(indexPath);
+
+  if (content) {
+    try {
+      const data = JSON.parse(content);
+      // Stale or foreign index versions are discarded and rebuilt lazily
+      if (data.version === INDEX_VERSION && data.entries && typeof data.entries === 'object') {
+        return data;
+      }
+    } catch {
+      // Corrupt index - start over, it is only a cache
+    }
+  }
+
+  return getDefaultIndex();
+}
+
+/**
+ * Load the index from disk (or the in-process cache)
+ * @returns {object} Index object with entries keyed by filename
+ */
+function loadIndex() {
+  const indexPath = getIndexPath();
+
+  if (cachedIndex && cachedIndex.path === indexPath) {
+    return cachedIndex.index;
+  }
+
+  const index = readIndexFile(indexPath);
+  cachedIndex = { path: indexPath, index };
+  return index;
+}
+
+/**
+ * Save the index to disk with an atomic write
+ * With changes, the write is merged into the index on disk under the index
+ * lock, so entries another process saved meanwhile are kept; without, the
+ * index replaces the file (full rebuild).
+ * @param {object} index - Index object to save (updated with the merged entries)
+ * @param {object|null} changes - { updated: filenames, removed: filenames }
+ * @returns {boolean} Success status
+ */
+function saveIndex(index, changes = null) {
+  const indexPath = getIndexPath();
+
+  try {
+    ensureDir(path.dirname(indexPath));
+    withFileLock(indexPath, () => {
+      if (changes) {
+        const touched = new Set([...(changes.updated || []), ...(changes.removed || [])]);
+        for (const [filename, entry] of Object.entries(readIndexFile(indexPath).entries)) {
+          if (!touched.has(filename)) index.entries[filename] = entry;
+        }
+      }
+
+      index.updatedAt = new Date().toISOString();
+      writeFileAtomic(indexPath, JSON.stringify(index));
+    });
+    cachedIndex = { path: indexPath, index };
+    return true;
+  } catch (err) {
+    log(`[SessionIndex] Error saving index: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Check whether a cached entry still matches the file on disk
+ * @param {object} entry - Cached index entry
+ * @param {fs.Stats} stats - Current file stats
+ * @returns {boolean} True if the entry can be reused
+ */
+function isEntryFresh(entry, stats) {
+  return !!entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size;
+}
+
+/**
+ * Get a fresh index entry for one session file, rebuilding it if stale
+ * @param {string} filename - Session filename (within the sessions directory)
+ * @param {fs.Stats} stats - Current file stats
+ * @param {Function} buildEntry - (filename, stats) => cached fields
+ * @returns {object} Index entry
+ */
+function getIndexEntry(filename, stats, buildEntry) {
+  const index = loadIndex();
+  const existing = index.entries[filename];
+
+  if (isEntryFresh(existing, stats)) {
+    return existing;
+  }
+
+  const entry = {
+    ...buildEntry(filename, stats),
+    mtimeMs: stats.mtimeMs,
+    size: stats.size,
+    birthtimeMs: stats.birthtimeMs
+  };
+
+  index.entries[filename] = entry;
+  saveIndex(index, { updated: [filename] });
+  return entry;
+}
+
+/**
+ * Incrementally sync the index with the current set of session files
+ * Rebuilds stale entries, adds new ones and drops entries for removed files.
+ * @param {Array} files - Array of { filename, stats } for every session file
+ * @param {Function} buildEntry - (filename, stats) => cached fields
+ * @param {object} options - { force: rebuild every entry }
+ * @returns {object} { index, added, updated, removed }
+ */
+function refreshIndex(files, buildEntry, options = {}) {
+  const { force = false } = options;
+  const index = force ? getDefaultIndex() : loadIndex();
+  const seen = new Set();
+  const changes = { updated: [], removed: [] };
+  let added = 0;
+  let updated = 0;
+  let removed = 0;
+
+  for (const { filename, stats } of files) {
+    seen.add(filename);
+    const existing = index.entries[filename];
+
+    if (isEntryFresh(existing, stats)) continue;
+
+    if (existing) updated++;
+    else added++;
+    changes.updated.push(filename);
+
+    index.entries[filename] = {
+      ...buildEntry(filename, stats),
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+      birthtimeMs: stats.birthtimeMs
+    };
+  }
+
+  for (const filename of Object.keys(index.entries)) {
+    if (!seen.has(filename)) {
+      delete index.entries[filename];
+      changes.removed.push(filename);
+      removed++;
+    }
+  }
+
+  if (force || added > 0 || updated > 0 || removed > 0) {
+    // A forced rebuild is authoritative; otherwise keep what others saved meanwhile
+    saveIndex(index, force ? null : changes);
+  }
+
+  return { index, added, updated, removed };
+}
+
+/**
+ * Drop a single entry from the index (e.g. after a write or delete)
+ * @param {string} filename - Session filename
+ */
+function invalidateIndexEntry(filename) {
+  const index = loadIndex();
+
+  if (index.entries[filename]) {
+    delete index.entries[filename];
+    saveIndex(index, { removed: [filename] });
+  }
+}
+
+/**
+ * Delete the index file entirely
+ * @returns {boolean} True if an index file was removed
+ */
+function clearIndex() {
+  const indexPath = getIndexPath();
+  cachedIndex = null;
+
+  if (fs.existsSync(indexPath)) {
+    fs.unlinkSync(indexPath);
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  INDEX_VERSION,
+  getIndexPath,
+  loadIndex,
+  saveIndex,
+  isEntryFresh,
+  getIndexEntry,
+  refreshIndex,
+  invalidateIndexEntry,
+  clearIndex
+};
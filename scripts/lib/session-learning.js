@@ -0,0 +1,469 @@
+/**
+ * Session Learning Library for Claude Code
+ * Finds reusable patterns in session transcript events (see transcript.js)
+ * and drafts learned skills:
+ * - repeated tool sequences (workflows the agent keeps performing)
+ * - mistakes the user corrected
+ * - commands that failed and were then fixed
+ * - files that were edited over and over
+ *
+ * Drafts are written as <learned skills dir>/<name>/SKILL.md with skill
+ * front-matter. Each draft records a fingerprint of its pattern, so the same
+ * pattern is never drafted twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ensureDir, readFile, getDateString, truncateLine } = require('./utils');
+const { FILE_EDIT_TOOLS, getToolFilePath, getCommandKey } = require('./transcript');
+
+const DEFAULT_LEARNING_OPTIONS = {
+  // Tool sequences of this many calls are compared
+  minSequenceLength: 3,
+  maxSequenceLength: 4,
+  // A sequence must repeat this often to count as a workflow
+  minSequenceOccurrences: 3,
+  // A file must be edited this often to count as a hotspot
+  minFileEdits: 5,
+  // A fix must follow the failure within this many tool calls
+  maxFixDistance: 20,
+  // A correction must be acted on (redone or reverted) within this many tool calls
+  maxCorrectionDistance: 5,
+  // Correction drafts per session at most
+  maxCorrections: 1,
+  // Drafts written per session at most
+  maxDrafts: 3
+};
+
+// Commands whose failures teach nothing (probing, not doing)
+const TRIVIAL_COMMANDS = new Set(['ls', 'cat', 'cd', 'echo', 'pwd', 'grep', 'rg', 'find', 'which', 'head', 'tail', 'test', 'true', 'false']);
+
+// A user message starting like this may be correcting what the agent just did
+const CORRECTION_REGEX = /^(no\b|nope\b|wrong\b|that'?s (not|wrong)|this is (not|wrong)|actually\b|instead\b|don'?t\b|do not\b|stop\b|wait\b|not what i|you (should|shouldn'?t|forgot|missed|broke))/i;
+
+// Commands that undo changes to files
+const REVERT_COMMAND_REGEX = /^git\s+(checkout|restore|revert|reset|stash)\b/;
+
+// Marker recording which pattern a draft was generated from
+const FINGERPRINT_REGEX = /<!-- learned-pattern: (.+?) -->/g;
+
+/**
+ * Make a skill name from words
+ * @param {string} text - Source text
+ * @returns {string} kebab-case name (at most 50 characters)
+ */
+function toSkillName(text) {
+  return text
+    .toLowerCase()
+    .replace(/claude|anthropic/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+    .replace(/-+$/, '') || 'pattern';
+}
+
+/**
+ * Describe a tool call briefly
+ * @param {object} event - tool_use event
+ * @returns {string} e.g. "Bash: npm test" or "Edit: src/app.js"
+ */
+function describeToolUse(event) {
+  const { input } = event;
+  const detail = input.command || getToolFilePath(event) || input.pattern || input.url || '';
+  return detail ? `${event.name}: ${truncateLine(detail, 80, { firstLine: true })}` : event.name;
+}
+
+/**
+ * Get what a tool call acts on
+ * @param {object} event - tool_use event
+ * @returns {string|null} File path, or the command key for Bash
+ */
+function getToolTarget(event) {
+  if (event.name === 'Bash') {
+    return typeof event.input.command === 'string' ? getCommandKey(event.input.command) || null : null;
+  }
+  return getToolFilePath(event);
+}
+
+/**
+ * Check whether a tool call redoes or reverts an earlier one
+ * @param {object} call - Later tool_use event
+ * @param {object} earlier - Earlier tool_use event
+ * @param {string} target - Target of the earlier call (getToolTarget)
+ * @returns {boolean} True if the call acts on the same target again
+ */
+function redoesToolUse(call, earlier, target) {
+  if (earlier.name === 'Bash') {
+    return call.name === 'Bash' && getToolTarget(call) === target;
+  }
+
+  if (FILE_EDIT_TOOLS.has(call.name)) {
+    return getToolFilePath(call) === target;
+  }
+
+  const command = call.name === 'Bash' && typeof call.input.command === 'string' ? call.input.command.trim() : '';
+  return REVERT_COMMAND_REGEX.test(command) && (command.includes(target) || command.includes(path.basename(target)));
+}
+
+/**
+ * Find tool sequences that repeat (the same few tools in the same order)
+ * @param {object[]} events - Events
+ * @param {object} options - Learning options
+ * @returns {object[]} Candidates
+ */
+function findRepeatedToolSequences(events, options) {
+  const tools = events.filter(e => e.type === 'tool_use');
+  const names = tools.map(t => t.name);
+  const counts = new Map();
+
+  for (let length = options.maxSequenceLength; length >= options.minSequenceLength; length--) {
+    for (let i = 0; i + length <= names.length; i++) {
+      const sequence = names.slice(i, i + length);
+      // One tool over and over is repetition, not a workflow
+      if (new Set(sequence).size < 2) continue;
+
+      const key = sequence.join(' > ');
+      const entry = counts.get(key) || { sequence, occurrences: 0, examples: [], lastEnd: -1 };
+      // Count non-overlapping occurrences only
+      if (i >= entry.lastEnd) {
+        entry.occurrences++;
+        entry.lastEnd = i + length;
+        if (entry.examples.length < 2) {
+          entry.examples.push(tools.slice(i, i + length).map(describeToolUse));
+        }
+      }
+      counts.set(key, entry);
+    }
+  }
+
+  const frequent = [...counts.values()]
+    .filter(c => c.occurrences >= options.minSequenceOccurrences)
+    .sort((a, b) => b.occurrences * b.sequence.length - a.occurrences * a.sequence.length);
+
+  // Drop sequences contained in a longer one that repeats just as often
+  const kept = frequent.filter(c => !frequent.some(other =>
+    other !== c &&
+    other.sequence.length > c.sequence.length &&
+    other.occurrences >= c.occurrences &&
+    other.sequence.join(' > ').includes(c.sequence.join(' > '))
+  ));
+
+  return kept.map(c => ({
+    kind: 'workflow',
+    fingerprint: `workflow:${c.sequence.join('>')}`,
+    name: toSkillName(`workflow ${c.sequence.join(' ')}`),
+    score: c.occurrences,
+    title: `Workflow: ${c.sequence.join(' → ')}`,
+    description: `Repeated ${c.sequence.join(', then ')} workflow (seen ${c.occurrences} times in one session). Use when doing the same kind of task again.`,
+    problem: `The same ${c.sequence.length}-step tool sequence was performed ${c.occurrences} times in one session.`,
+    solution: c.examples.map((example, i) => `Occurrence ${i + 1}:\n\n${example.map(step => `- ${step}`).join('\n')}`).join('\n\n'),
+    whenToUse: 'When the task calls for the same steps; consider scripting or batching them.'
+  }));
+}
+
+/**
+ * Find user messages correcting the agent's previous action
+ * A message only counts when the agent then redid or reverted that action.
+ * @param {object[]} events - Events
+ * @param {object} options - Learning options
+ * @returns {object[]} Candidates
+ */
+function findCorrections(events, options) {
+  const candidates = [];
+  const seen = new Set();
+  let lastTool = null;
+
+  events.forEach((event, i) => {
+    if (event.type === 'tool_use') {
+      lastTool = event;
+      return;
+    }
+    if (event.type !== 'user') return;
+
+    const corrected = lastTool;
+    lastTool = null;
+    if (!corrected || !CORRECTION_REGEX.test(event.text)) return;
+
+    // Reads and searches change nothing worth correcting
+    const target = corrected.name === 'Bash' || FILE_EDIT_TOOLS.has(corrected.name) ? getToolTarget(corrected) : null;
+    if (!target) return;
+
+    // The tool calls the agent made in response
+    const followUps = [];
+    for (let j = i + 1; j < events.length && events[j].type !== 'user' && followUps.length < options.maxCorrectionDistance; j++) {
+      if (events[j].type === 'tool_use') followUps.push(events[j]);
+    }
+    const redo = followUps.find(call => redoesToolUse(call, corrected, target));
+    if (!redo) return;
+
+    // The same action corrected twice is one lesson
+    const fingerprint = `correction:${corrected.name}:${target}`;
+    if (seen.has(fingerprint)) return;
+    seen.add(fingerprint);
+
+    const summary = truncateLine(event.text, 100, { firstLine: true });
+    candidates.push({
+      kind: 'correction',
+      fingerprint,
+      name: toSkillName(`correction ${corrected.name} ${path.basename(target)}`),
+      score: 2,
+      title: `Correction: ${describeToolUse(corrected)}`,
+      description: `The user corrected ${describeToolUse(corrected)} - ${summary}. Use when about to take a similar action.`,
+      problem: `The user objected to \`${describeToolUse(corrected)}\`: "${summary}"`,
+      solution: `The agent then ${FILE_EDIT_TOOLS.has(redo.name) || redo.name === corrected.name ? 'redid' : 'reverted'} it with \`${describeToolUse(redo)}\`.`,
+      whenToUse: `Before repeating \`${describeToolUse(corrected)}\` in this project.`
+    });
+  });
+
+  return candidates.slice(0, options.maxCorrections);
+}
+
+/**
+ * Find commands that failed and later succeeded, with what changed in between
+ * @param {object[]} events - Events
+ * @param {object} options - Learning options
+ * @returns {object[]} Candidates
+ */
+function findFixedCommands(events, options) {
+  const calls = [];
+  const resultsById = new Map(events.filter(e => e.type === 'tool_result').map(e => [e.id, e]));
+
+  for (const event of events) {
+    if (event.type === 'tool_use') {
+      calls.push({ ...event, result: resultsById.get(event.id) || null });
+    }
+  }
+
+  const candidates = [];
+  const seen = new Set();
+
+  calls.forEach((call, i) => {
+    if (call.name !== 'Bash' || !call.result || !call.result.isError || typeof call.input.command !== 'string') return;
+
+    const key = getCommandKey(call.input.command);
+    if (!key || TRIVIAL_COMMANDS.has(key.split(' ')[0]) || seen.has(key)) return;
+
+    const later = calls.slice(i + 1, i + 1 + options.maxFixDistance);
+    const fixIndex = later.findIndex(c =>
+      c.name === 'Bash' && c.result && !c.result.isError &&
+      typeof c.input.command === 'string' && getCommandKey(c.input.command) === key
+    );
+    if (fixIndex === -1) return;
+
+    seen.add(key);
+    const fix = later[fixIndex];
+    const between = later.slice(0, fixIndex);
+    const edited = [...new Set(between.filter(c => FILE_EDIT_TOOLS.has(c.name)).map(c => getToolFilePath(c)).filter(Boolean))];
+    const otherCommands = between.filter(c => c.name === 'Bash' && c.input.command).map(c => truncateLine(c.input.command, 100, { firstLine: true }));
+
+    const steps = [
+      ...edited.map(file => `- Edited \`${file}\``),
+      ...otherCommands.map(command => `- Ran \`${command}\``)
+    ];
+
+    candidates.push({
+      kind: 'fixed-command',
+      fingerprint: `fixed-command:${key}:${truncateLine(call.result.text, 60, { firstLine: true })}`,
+      name: toSkillName(`fix ${key} failure`),
+      score: 3,
+      title: `Fixing a failing \`${key}\``,
+      description: `How a failing ${key} was fixed after ${truncateLine(call.result.text, 100, { firstLine: true })}. Use when ${key} fails with a similar error.`,
+      problem: `\`${truncateLine(call.input.command, 150, { firstLine: true })}\` failed with:\n\n\`\`\`text\n${call.result.text.split('\n').slice(0, 15).join('\n')}\n\`\`\``,
+      solution: `${steps.length > 0 ? `Steps taken before it passed:\n\n${steps.join('\n')}\n\n` : ''}Passing command:\n\n\`\`\`bash\n${fix.input.command}\n\`\`\``,
+      whenToUse: `When \`${key}\` fails with the error above.`
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Find files edited many times in one session
+ * @param {object[]} events - Events
+ * @param {object} options - Learning options
+ * @returns {object[]} Candidates
+ */
+function findFrequentlyEditedFiles(events, options) {
+  const edits = new Map();
+
+  for (const event of events) {
+    if (event.type !== 'tool_use' || !FILE_EDIT_TOOLS.has(event.name)) continue;
+    const file = getToolFilePath(event);
+    if (file) edits.set(file, (edits.get(file) || 0) + 1);
+  }
+
+  return [...edits.entries()]
+    .filter(([, count]) => count >= options.minFileEdits)
+    .sort((a, b) => b[1] - a[1])
+    .map(([file, count]) => ({
+      kind: 'hotspot',
+      fingerprint: `hotspot:${file}`,
+      name: toSkillName(`hotspot ${path.basename(file)}`),
+      score: 1,
+      title: `Hotspot: ${path.basename(file)}`,
+      description: `${path.basename(file)} needed ${count} edits in one session. Use when changing ${path.basename(file)} to get it right in fewer passes.`,
+      problem: `\`${file}\` was edited ${count} times in one session, which usually means its structure or conventions were not clear up front.`,
+      solution: 'Before editing, read the whole file and note the conventions that caused rework (fill in after review).',
+      whenToUse: `When editing \`${file}\`.`
+    }));
+}
+
+/**
+ * Find candidate patterns in a session
+ * @param {object[]} events - Transcript events (see transcript.js)
+ * @param {object} options - Overrides for DEFAULT_LEARNING_OPTIONS
+ * @returns {object[]} Candidates, best first
+ */
+function findPatterns(events, options = {}) {
+  const opts = { ...DEFAULT_LEARNING_OPTIONS, ...options };
+
+  return [
+    ...findFixedCommands(events, opts),
+    ...findCorrections(events, opts),
+    ...findRepeatedToolSequences(events, opts),
+    ...findFrequentlyEditedFiles(events, opts)
+  ].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Render a candidate as a draft SKILL.md
+ * @param {object} candidate - Candidate pattern
+ * @param {object} context - { project, transcriptPath }
+ * @returns {string} Markdown with skill front-matter
+ */
+function renderSkillDraft(candidate, context = {}) {
+  // A plain YAML scalar on one line, without angle brackets (skill validation rules)
+  const description = candidate.description
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/[<>]/g, '')
+    .replace(/:\s/g, ' - ')
+    .replace(/\s#/g, ' ')
+    .slice(0, 1000);
+
+  return `---
+name: ${candidate.name}
+description: ${description}
+---
+
+<!-- learned-pattern: ${candidate.fingerprint} -->
+
+# ${candidate.title}
+
+> Draft extracted automatically${context.project ? ` from a ${context.project} session` : ''} on ${getDateString()}. Review and edit before relying on it.
+
+## Problem
+
+${candidate.problem}
+
+## Solution
+
+${candidate.solution}
+
+## When to Use
+
+${candidate.whenToUse}
+`;
+}
+
+/**
+ * List the learned skills in a directory
+ * Covers both layouts: <name>/SKILL.md drafts and flat <name>.md files from /learn.
+ * @param {string} learnedDir - Learned skills directory
+ * @returns {object[]} [{ name, path, title, description, content }]
+ */
+function listLearnedSkills(learnedDir) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(learnedDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const skills = [];
+  for (const entry of entries) {
+    const file = entry.isDirectory()
+      ? path.join(learnedDir, entry.name, 'SKILL.md')
+      : entry.name.endsWith('.md') ? path.join(learnedDir, entry.name) : null;
+    const content = file && readFile(file);
+    if (!content) continue;
+
+    const description = content.match(/^---\r?\n[\s\S]*?^description:\s*(.+)$/m);
+    const title = content.match(/^#\s+(.+)$/m);
+    skills.push({
+      name: entry.name.replace(/\.md$/, ''),
+      path: file,
+      title: title ? title[1].trim() : null,
+      description: description ? description[1].trim() : null,
+      content
+    });
+  }
+
+  return skills;
+}
+
+/**
+ * Collect the pattern fingerprints and names of existing learned skills
+ * @param {string} learnedDir - Learned skills directory
+ * @returns {object} { fingerprints: Set, names: Set }
+ */
+function loadLearnedSkills(learnedDir) {
+  const fingerprints = new Set();
+  const names = new Set();
+
+  for (const skill of listLearnedSkills(learnedDir)) {
+    names.add(skill.name);
+    for (const match of skill.content.matchAll(FINGERPRINT_REGEX)) {
+      fingerprints.add(match[1]);
+    }
+  }
+
+  return { fingerprints, names };
+}
+
+/**
+ * Write draft skills for new patterns, skipping ones already learned
+ * @param {object[]} candidates - Candidates from findPatterns(), best first
+ * @param {string} learnedDir - Learned skills directory
+ * @param {object} options - { maxDrafts, project, transcriptPath }
+ * @returns {object} { written: [paths], duplicates: number }
+ */
+function writeSkillDrafts(candidates, learnedDir, options = {}) {
+  const { maxDrafts = DEFAULT_LEARNING_OPTIONS.maxDrafts } = options;
+  const { fingerprints, names } = loadLearnedSkills(learnedDir);
+  const written = [];
+  let duplicates = 0;
+
+  for (const candidate of candidates) {
+    if (written.length >= maxDrafts) break;
+
+    if (fingerprints.has(candidate.fingerprint)) {
+      duplicates++;
+      continue;
+    }
+
+    // Different pattern, same name: number it
+    let name = candidate.name;
+    for (let n = 2; names.has(name); n++) {
+      name = `${candidate.name}-${n}`;
+    }
+
+    const skillDir = path.join(learnedDir, name);
+    ensureDir(skillDir);
+    fs.writeFileSync(path.join(skillDir, 'SKILL.md'), renderSkillDraft({ ...candidate, name }, options), 'utf8');
+
+    names.add(name);
+    fingerprints.add(candidate.fingerprint);
+    written.push(path.join(skillDir, 'SKILL.md'));
+  }
+
+  return { written, duplicates };
+}
+
+module.exports = {
+  DEFAULT_LEARNING_OPTIONS,
+  findPatterns,
+  renderSkillDraft,
+  listLearnedSkills,
+  loadLearnedSkills,
+  writeSkillDrafts
+};
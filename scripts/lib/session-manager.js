@@ -5,6 +5,15 @@
  * Sessions are stored as markdown files in ~/.claude/sessions/ with format:
  * - YYYY-MM-DD-session.tmp (old format)
  * - YYYY-MM-DD-<short-id>-session.tmp (new format)
+ *
+ * Session files carry a structured JSON front-matter block (see session-format.js);
+ * older markdown-only files are still parsed and can be upgraded with migrateSessions().
+ *
+ * Sessions aged out by the retention policy live in gzip bundles under
+ * ~/.claude/sessions/archive/ (see session-archive.js) and are read transparently.
+ *
+ * Sessions from every repository share one directory; each is tagged with the
+ * project it was recorded in, and listings default to the current project.
  */
 
 const fs = require('fs');
@@ -12,9 +21,24 @@ const path = require('path');
 
 const {
   getSessionsDir,
+  getDateString,
+  getSessionIdShort,
   readFile,
+  getProjectIdentity,
+  isSameProject,
   log
 } = require('./utils');
+const {
+  parseSessionDocument,
+  renderSessionDocument,
+  migrateSessionContent
+} = require('./session-format');
+const {
+  getIndexEntry,
+  refreshIndex,
+  invalidateIndexEntry
+} = require('./session-index');
+const { withFileLock, writeFileAtomic } = require('./file-lock');
 
 // Session filename pattern: YYYY-MM-DD-[short-id]-session.tmp
 // The short-id is optional (old format) and can be 8+ alphanumeric characters
@@ -52,6 +76,35 @@ function getSessionPath(filename) {
   return path.join(getSessionsDir(), filename);
 }
 
+/**
+ * Get the session file of the running Claude session
+ * Files are keyed by the short session ID, so a session that runs past
+ * midnight keeps the file it started with.
+ * @param {string} sessionId - Full session ID (default: CLAUDE_SESSION_ID)
+ * @returns {object} { sessionPath, exists } - today's path if the session has no file yet
+ */
+function getCurrentSessionPath(sessionId = process.env.CLAUDE_SESSION_ID) {
+  const shortId = sessionId ? sessionId.slice(-8) : getSessionIdShort();
+  const sessionsDir = getSessionsDir();
+  const suffix = `-${shortId}-session.tmp`;
+
+  let existing = [];
+  try {
+    existing = fs.readdirSync(sessionsDir)
+      .filter(name => name.endsWith(suffix) && parseSessionFilename(name))
+      .sort()
+      .reverse();
+  } catch {
+    // No sessions directory yet
+  }
+
+  if (existing.length > 0) {
+    return { sessionPath: path.join(sessionsDir, existing[0]), exists: true };
+  }
+  const sessionPath = path.join(sessionsDir, `${getDateString()}${suffix}`);
+  return { sessionPath, exists: fs.existsSync(sessionPath) };
+}
+
 /**
  * Read and parse session markdown content
  * @param {string} sessionPath - Full path to session file
@@ -59,86 +112,119 @@ function getSessionPath(filename) {
  */
 function getSessionContent(sessionPath) {
   if (!fs.existsSync(sessionPath)) {
-    return null;
+    // Archived sessions use virtual paths inside their bundle
+    const { getArchivedSessionContent } = require('./session-archive');
+    return getArchivedSessionContent(sessionPath);
   }
 
   return readFile(sessionPath);
 }
 
 /**
- * Parse session metadata from markdown content
- * @param {string} content - Session markdown content
+ * Parse session metadata from session file content
+ * Structured sessions are read from their front-matter; legacy markdown-only
+ * sessions are parsed section by section (see session-format.js).
+ * @param {string} content - Session file content
  * @returns {object} Parsed metadata
  */
 function parseSessionMetadata(content) {
-  const metadata = {
-    title: null,
-    date: null,
-    started: null,
-    lastUpdated: null,
-    completed: [],
-    inProgress: [],
-    notes: '',
-    context: ''
+  const { bodyHash: _bodyHash, ...metadata } = parseSessionDocument(content);
+  return metadata;
+}
+
+/**
+ * Calculate statistics from session content
+ * @param {string|null} content - Session markdown content
+ * @param {object} metadata - Parsed metadata for the same content
+ * @returns {object} Statistics object
+ */
+function computeSessionStats(content, metadata) {
+  return {
+    totalItems: metadata.completed.length + metadata.inProgress.length,
+    completedItems: metadata.completed.length,
+    inProgressItems: metadata.inProgress.length,
+    lineCount: content ? content.split('\n').length : 0,
+    hasNotes: !!metadata.notes,
+    hasContext: !!metadata.context
   };
+}
 
-  if (!content) return metadata;
+/**
+ * Build the cached index fields for a session file
+ * @param {string} filename - Session filename
+ * @returns {object} { metadata, stats }
+ */
+function buildSessionIndexEntry(filename) {
+  const content = getSessionContent(getSessionPath(filename));
+  const metadata = parseSessionMetadata(content);
 
-  // Extract title from first heading
-  const titleMatch = content.match(/^#\s+(.+)$/m);
-  if (titleMatch) {
-    metadata.title = titleMatch[1].trim();
-  }
+  return {
+    metadata,
+    stats: computeSessionStats(content, metadata)
+  };
+}
 
-  // Extract date
-  const dateMatch = content.match(/\*\*Date:\*\*\s*(\d{4}-\d{2}-\d{2})/);
-  if (dateMatch) {
-    metadata.date = dateMatch[1];
-  }
+/**
+ * List session files in the sessions directory with their file stats
+ * @returns {Array} Array of { filename, stats }
+ */
+function listSessionFiles() {
+  const sessionsDir = getSessionsDir();
 
-  // Extract started time
-  const startedMatch = content.match(/\*\*Started:\*\*\s*([\d:]+)/);
-  if (startedMatch) {
-    metadata.started = startedMatch[1];
+  if (!fs.existsSync(sessionsDir)) {
+    return [];
   }
 
-  // Extract last updated
-  const updatedMatch = content.match(/\*\*Last Updated:\*\*\s*([\d:]+)/);
-  if (updatedMatch) {
-    metadata.lastUpdated = updatedMatch[1];
-  }
+  const files = [];
 
-  // Extract completed items
-  const completedSection = content.match(/### Completed\s*\n([\s\S]*?)(?=###|\n\n|$)/);
-  if (completedSection) {
-    const items = completedSection[1].match(/- \[x\]\s*(.+)/g);
-    if (items) {
-      metadata.completed = items.map(item => item.replace(/- \[x\]\s*/, '').trim());
-    }
-  }
+  for (const entry of fs.readdirSync(sessionsDir, { withFileTypes: true })) {
+    // Skip non-files (only process .tmp files)
+    if (!entry.isFile() || !entry.name.endsWith('.tmp')) continue;
+    if (!parseSessionFilename(entry.name)) continue;
 
-  // Extract in-progress items
-  const progressSection = content.match(/### In Progress\s*\n([\s\S]*?)(?=###|\n\n|$)/);
-  if (progressSection) {
-    const items = progressSection[1].match(/- \[ \]\s*(.+)/g);
-    if (items) {
-      metadata.inProgress = items.map(item => item.replace(/- \[ \]\s*/, '').trim());
+    try {
+      files.push({ filename: entry.name, stats: fs.statSync(path.join(sessionsDir, entry.name)) });
+    } catch {
+      // Removed between readdir and stat
     }
   }
 
-  // Extract notes
-  const notesSection = content.match(/### Notes for Next Session\s*\n([\s\S]*?)(?=###|\n\n|$)/);
-  if (notesSection) {
-    metadata.notes = notesSection[1].trim();
+  return files;
+}
+
+/**
+ * Get cached metadata and stats for a session, reading through the index
+ * Files outside the sessions directory are parsed directly and not cached.
+ * @param {string} sessionPath - Full path to session file
+ * @returns {object|null} { metadata, stats, size } or null if not found
+ */
+function getSessionInfo(sessionPath) {
+  let fileStats;
+  try {
+    fileStats = fs.statSync(sessionPath);
+  } catch {
+    // Archived sessions are not indexed; parse them straight from the bundle
+    const content = getSessionContent(sessionPath);
+    if (content === null) return null;
+
+    const metadata = parseSessionMetadata(content);
+    return {
+      metadata,
+      stats: computeSessionStats(content, metadata),
+      size: Buffer.byteLength(content, 'utf8')
+    };
   }
 
-  // Extract context to load
-  const contextSection = content.match(/### Context to Load\s*\n```\n([\s\S]*?)```/);
-  if (contextSection) {
-    metadata.context = contextSection[1].trim();
+  const filename = path.basename(sessionPath);
+  const inSessionsDir = path.resolve(path.dirname(sessionPath)) === path.resolve(getSessionsDir());
+
+  if (inSessionsDir && parseSessionFilename(filename)) {
+    return getIndexEntry(filename, fileStats, buildSessionIndexEntry);
   }
 
-  return metadata;
+  const content = getSessionContent(sessionPath);
+  const metadata = parseSessionMetadata(content);
+  return { metadata, stats: computeSessionStats(content, metadata), size: fileStats.size };
 }
 
 /**
@@ -147,19 +233,50 @@ function parseSessionMetadata(content) {
  * @returns {object} Statistics object
  */
 function getSessionStats(sessionPath) {
-  const content = getSessionContent(sessionPath);
-  const metadata = parseSessionMetadata(content);
+  const info = getSessionInfo(sessionPath);
+
+  if (!info) {
+    return computeSessionStats(null, parseSessionMetadata(null));
+  }
+
+  return info.stats;
+}
+
+/**
+ * Rebuild the session index from scratch
+ * @returns {object} { total, added, updated, removed }
+ */
+function rebuildSessionIndex() {
+  const files = listSessionFiles();
+  const result = refreshIndex(files, buildSessionIndexEntry, { force: true });
 
   return {
-    totalItems: metadata.completed.length + metadata.inProgress.length,
-    completedItems: metadata.completed.length,
-    inProgressItems: metadata.inProgress.length,
-    lineCount: content ? content.split('\n').length : 0,
-    hasNotes: !!metadata.notes,
-    hasContext: !!metadata.context
+    total: files.length,
+    added: result.added,
+    updated: result.updated,
+    removed: result.removed
   };
 }
 
+/**
+ * Turn a project option into a predicate over a session's project tag
+ * Untagged sessions (recorded before project tagging) match every project.
+ * @param {string|object|null} project - 'current' (default), 'all' or null for every
+ *   project, a project name, or a { root, remote } identity
+ * @returns {Function|null} (sessionProject) => boolean, or null when not filtering
+ */
+function getProjectFilter(project = 'current') {
+  if (project === null || project === 'all') return null;
+
+  if (typeof project === 'string' && project !== 'current') {
+    const name = project.toLowerCase();
+    return tag => !tag || (tag.name || '').toLowerCase() === name;
+  }
+
+  const identity = project === 'current' ? getProjectIdentity() : project;
+  return tag => !tag || isSameProject(tag, identity);
+}
+
 /**
  * Get all sessions with optional filtering and pagination
  * @param {object} options - Options object
@@ -167,6 +284,8 @@ function getSessionStats(sessionPath) {
  * @param {number} options.offset - Number of sessions to skip
  * @param {string} options.date - Filter by date (YYYY-MM-DD format)
  * @param {string} options.search - Search in short ID
+ * @param {string|object} options.project - Project scope: 'current' (default), 'all', a name or an identity
+ * @param {boolean} options.includeArchived - Also include sessions from archive bundles
  * @returns {object} Object with sessions array and pagination info
  */
 function getAllSessions(options = {}) {
@@ -174,27 +293,22 @@ function getAllSessions(options = {}) {
     limit = 50,
     offset = 0,
     date = null,
-    search = null
+    search = null,
+    project = 'current',
+    includeArchived = false
   } = options;
 
   const sessionsDir = getSessionsDir();
+  const files = listSessionFiles();
+  const inProject = getProjectFilter(project);
 
-  if (!fs.existsSync(sessionsDir)) {
-    return { sessions: [], total: 0, offset, limit, hasMore: false };
-  }
-
-  const entries = fs.readdirSync(sessionsDir, { withFileTypes: true });
+  // Bring the index up to date in one pass so per-session lookups are cache hits
+  const { index } = refreshIndex(files, buildSessionIndexEntry);
   const sessions = [];
 
-  for (const entry of entries) {
-    // Skip non-files (only process .tmp files)
-    if (!entry.isFile() || !entry.name.endsWith('.tmp')) continue;
-
-    const filename = entry.name;
+  for (const { filename, stats } of files) {
     const metadata = parseSessionFilename(filename);
 
-    if (!metadata) continue;
-
     // Apply date filter
     if (date && metadata.date !== date) {
       continue;
@@ -205,14 +319,18 @@ function getAllSessions(options = {}) {
       continue;
     }
 
-    const sessionPath = path.join(sessionsDir, filename);
+    const entry = index.entries[filename];
+    const projectTag = entry ? entry.metadata.project : null;
 
-    // Get file stats
-    const stats = fs.statSync(sessionPath);
+    if (inProject && !inProject(projectTag)) {
+      continue;
+    }
 
     sessions.push({
       ...metadata,
-      sessionPath,
+      sessionPath: path.join(sessionsDir, filename),
+      title: entry ? entry.metadata.title : null,
+      project: projectTag,
       hasContent: stats.size > 0,
       size: stats.size,
       modifiedTime: stats.mtime,
@@ -220,6 +338,19 @@ function getAllSessions(options = {}) {
     });
   }
 
+  if (includeArchived) {
+    const { listArchivedSessions } = require('./session-archive');
+    const live = new Set(sessions.map(s => s.filename));
+
+    for (const archived of listArchivedSessions()) {
+      if (live.has(archived.filename)) continue;
+      if (date && archived.date !== date) continue;
+      if (search && !archived.shortId.includes(search)) continue;
+      if (inProject && !inProject(archived.project)) continue;
+      sessions.push(archived);
+    }
+  }
+
   // Sort by modified time (newest first)
   sessions.sort((a, b) => b.modifiedTime - a.modifiedTime);
 
@@ -235,6 +366,220 @@ function getAllSessions(options = {}) {
   };
 }
 
+// Relative weight of each parsed section when ranking search results
+const SEARCH_FIELD_WEIGHTS = {
+  title: 5,
+  inProgress: 3,
+  completed: 3,
+  notes: 2,
+  context: 1
+};
+
+/**
+ * Split a search query into lowercase terms
+ * @param {string} query - Free-text query
+ * @returns {string[]} Unique search terms
+ */
+function tokenizeQuery(query) {
+  if (!query) return [];
+
+  const terms = String(query)
+    .toLowerCase()
+    .split(/[^a-z0-9_./-]+/)
+    .filter(Boolean);
+
+  return [...new Set(terms)];
+}
+
+/**
+ * Count non-overlapping occurrences of a term in text
+ * @param {string} text - Lowercased text to search
+ * @param {string} term - Lowercased term
+ * @returns {number} Occurrence count
+ */
+function countOccurrences(text, term) {
+  let count = 0;
+  let index = text.indexOf(term);
+
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+
+  return count;
+}
+
+/**
+ * Score parsed session metadata against search terms
+ * @param {object} metadata - Output of parseSessionMetadata
+ * @param {string[]} terms - Lowercased search terms
+ * @param {string} phrase - Lowercased full query (for phrase bonus)
+ * @returns {object|null} { score, matchedFields } or null if any term is missing
+ */
+function scoreSessionMetadata(metadata, terms, phrase) {
+  const fields = {
+    title: metadata.title || '',
+    inProgress: metadata.inProgress.join('\n'),
+    completed: metadata.completed.join('\n'),
+    notes: metadata.notes || '',
+    context: metadata.context || ''
+  };
+
+  let score = 0;
+  const matchedFields = new Set();
+
+  for (const term of terms) {
+    let termScore = 0;
+
+    for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+      const occurrences = countOccurrences(fields[field].toLowerCase(), term);
+      if (occurrences > 0) {
+        // Diminishing returns so one noisy section can't dominate the ranking
+        termScore += weight * (1 + Math.log2(occurrences));
+        matchedFields.add(field);
+      }
+    }
+
+    // Every term must appear somewhere in the session
+    if (termScore === 0) return null;
+    score += termScore;
+  }
+
+  // Bonus when the whole query appears verbatim in a section
+  if (terms.length > 1) {
+    for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+      if (fields[field].toLowerCase().includes(phrase)) {
+        score += weight * 2;
+      }
+    }
+  }
+
+  return { score, matchedFields: [...matchedFields] };
+}
+
+/**
+ * Build a map of session filename -> alias names
+ * @returns {object} Map of filename to array of alias names
+ */
+function getAliasMap() {
+  // Required lazily: session-aliases is optional for most session operations
+  const { listAliases } = require('./session-aliases');
+  const aliasMap = {};
+
+  for (const alias of listAliases()) {
+    // Group aliases map to each of their sessions
+    for (const sessionPath of alias.sessions) {
+      const filename = path.basename(sessionPath || '');
+      if (!aliasMap[filename]) aliasMap[filename] = [];
+      aliasMap[filename].push(alias.name);
+    }
+  }
+
+  return aliasMap;
+}
+
+/**
+ * Search sessions by content with structured filters
+ *
+ * Ranks sessions by how well the query matches the title, Completed and
+ * In Progress items, Notes and Context sections (see parseSessionMetadata).
+ * All query terms must match; sessions without a query are ranked by recency.
+ *
+ * @param {object} options - Options object
+ * @param {string} options.query - Free-text query (all terms must match)
+ * @param {string} options.dateFrom - Earliest session date, inclusive (YYYY-MM-DD)
+ * @param {string} options.dateTo - Latest session date, inclusive (YYYY-MM-DD)
+ * @param {boolean} options.hasOpenItems - Only sessions with (true) or without (false) in-progress items
+ * @param {string|boolean} options.alias - Alias name substring, or true for any aliased session
+ * @param {string|object} options.project - Project scope, as for getAllSessions() (default: 'current')
+ * @param {boolean} options.includeArchived - Also search archived sessions (default: true)
+ * @param {number} options.limit - Maximum number of results to return
+ * @param {number} options.offset - Number of results to skip
+ * @returns {object} Object with sessions array (each with score, matchedFields, aliases) and pagination info
+ */
+function searchSessions(options = {}) {
+  const {
+    query = null,
+    dateFrom = null,
+    dateTo = null,
+    hasOpenItems = null,
+    alias = null,
+    project = 'current',
+    includeArchived = true,
+    limit = 50,
+    offset = 0
+  } = options;
+
+  const terms = tokenizeQuery(query);
+  const phrase = terms.join(' ');
+  const aliasMap = alias !== null ? getAliasMap() : null;
+  const aliasSearch = typeof alias === 'string' ? alias.toLowerCase() : null;
+
+  const { sessions: candidates } = getAllSessions({ limit: Infinity, project, includeArchived });
+  const results = [];
+
+  for (const session of candidates) {
+    // Dates are zero-padded, so string comparison is chronological
+    if (dateFrom && session.date < dateFrom) continue;
+    if (dateTo && session.date > dateTo) continue;
+
+    const aliases = aliasMap ? aliasMap[session.filename] || [] : [];
+    if (alias === true && aliases.length === 0) continue;
+    if (aliasSearch && !aliases.some(name => name.toLowerCase().includes(aliasSearch))) continue;
+
+    const info = getSessionInfo(session.sessionPath);
+    if (!info) continue;
+    const { metadata } = info;
+
+    if (hasOpenItems !== null && (metadata.inProgress.length > 0) !== hasOpenItems) continue;
+
+    let score = 0;
+    let matchedFields = [];
+
+    if (terms.length > 0) {
+      const match = scoreSessionMetadata(metadata, terms, phrase);
+      if (!match) continue;
+      ({ score, matchedFields } = match);
+    }
+
+    results.push({
+      ...session,
+      title: metadata.title,
+      aliases,
+      score,
+      matchedFields
+    });
+  }
+
+  // Best match first, newest first among equal scores
+  results.sort((a, b) => b.score - a.score || b.modifiedTime - a.modifiedTime);
+
+  return {
+    sessions: results.slice(offset, offset + limit),
+    total: results.length,
+    offset,
+    limit,
+    hasMore: offset + limit < results.length
+  };
+}
+
+/**
+ * Check if a parsed session filename matches a session ID
+ * @param {object} metadata - Output of parseSessionFilename
+ * @param {string} sessionId - Short ID prefix, filename, or date (for no-id sessions)
+ * @returns {boolean} True if the session matches
+ */
+function matchesSessionId(metadata, sessionId) {
+  const { filename, shortId } = metadata;
+
+  // Check if session ID matches (short ID or full filename without .tmp)
+  const shortIdMatch = shortId !== 'no-id' && shortId.startsWith(sessionId);
+  const filenameMatch = filename === sessionId || filename === `${sessionId}.tmp`;
+  const noIdMatch = shortId === 'no-id' && filename === `${sessionId}-session.tmp`;
+
+  return shortIdMatch || filenameMatch || noIdMatch;
+}
+
 /**
  * Get a single session by ID (short ID or full path)
  * @param {string} sessionId - Short ID or session filename
@@ -249,6 +594,7 @@ function getSessionById(sessionId, includeContent = false) {
   }
 
   const entries = fs.readdirSync(sessionsDir, { withFileTypes: true });
+  let session = null;
 
   for (const entry of entries) {
     if (!entry.isFile() || !entry.name.endsWith('.tmp')) continue;
@@ -256,38 +602,34 @@ function getSessionById(sessionId, includeContent = false) {
     const filename = entry.name;
     const metadata = parseSessionFilename(filename);
 
-    if (!metadata) continue;
-
-    // Check if session ID matches (short ID or full filename without .tmp)
-    const shortIdMatch = metadata.shortId !== 'no-id' && metadata.shortId.startsWith(sessionId);
-    const filenameMatch = filename === sessionId || filename === `${sessionId}.tmp`;
-    const noIdMatch = metadata.shortId === 'no-id' && filename === `${sessionId}-session.tmp`;
-
-    if (!shortIdMatch && !filenameMatch && !noIdMatch) {
-      continue;
-    }
+    if (!metadata || !matchesSessionId(metadata, sessionId)) continue;
 
     const sessionPath = path.join(sessionsDir, filename);
     const stats = fs.statSync(sessionPath);
 
-    const session = {
+    session = {
       ...metadata,
       sessionPath,
       size: stats.size,
       modifiedTime: stats.mtime,
       createdTime: stats.birthtime
     };
+    break;
+  }
 
-    if (includeContent) {
-      session.content = getSessionContent(sessionPath);
-      session.metadata = parseSessionMetadata(session.content);
-      session.stats = getSessionStats(sessionPath);
-    }
+  if (!session) {
+    // Fall back to sessions moved into archive bundles by the retention policy
+    const { listArchivedSessions } = require('./session-archive');
+    session = listArchivedSessions().find(s => matchesSessionId(s, sessionId)) || null;
+  }
 
-    return session;
+  if (session && includeContent) {
+    session.content = getSessionContent(session.sessionPath);
+    session.metadata = parseSessionMetadata(session.content);
+    session.stats = getSessionStats(session.sessionPath);
   }
 
-  return null;
+  return session;
 }
 
 /**
@@ -296,10 +638,9 @@ function getSessionById(sessionId, includeContent = false) {
  * @returns {string} Title or default text
  */
 function getSessionTitle(sessionPath) {
-  const content = getSessionContent(sessionPath);
-  const metadata = parseSessionMetadata(content);
+  const info = getSessionInfo(sessionPath);
 
-  return metadata.title || 'Untitled Session';
+  return (info && info.metadata.title) || 'Untitled Session';
 }
 
 /**
@@ -308,12 +649,12 @@ function getSessionTitle(sessionPath) {
  * @returns {string} Formatted size (e.g., "1.2 KB")
  */
 function getSessionSize(sessionPath) {
-  if (!fs.existsSync(sessionPath)) {
+  const info = getSessionInfo(sessionPath);
+  if (!info) {
     return '0 B';
   }
 
-  const stats = fs.statSync(sessionPath);
-  const size = stats.size;
+  const size = info.size;
 
   if (size < 1024) return `${size} B`;
   if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
@@ -328,7 +669,8 @@ function getSessionSize(sessionPath) {
  */
 function writeSessionContent(sessionPath, content) {
   try {
-    fs.writeFileSync(sessionPath, content, 'utf8');
+    withFileLock(sessionPath, () => writeFileAtomic(sessionPath, content));
+    invalidateIndexEntry(path.basename(sessionPath));
     return true;
   } catch (err) {
     log(`[SessionManager] Error writing session: ${err.message}`);
@@ -336,6 +678,114 @@ function writeSessionContent(sessionPath, content) {
   }
 }
 
+/**
+ * Read structured session data
+ * @param {string} sessionPath - Full path to session file
+ * @returns {object|null} Session data or null if not found
+ */
+function readSessionData(sessionPath) {
+  const content = getSessionContent(sessionPath);
+  return content === null ? null : parseSessionDocument(content);
+}
+
+/**
+ * Write structured session data (front-matter plus rendered markdown)
+ * @param {string} sessionPath - Full path to session file
+ * @param {object} data - Session data
+ * @returns {boolean} Success status
+ */
+function writeSessionData(sessionPath, data) {
+  return writeSessionContent(sessionPath, renderSessionDocument(data));
+}
+
+/**
+ * Read, modify and write structured session data
+ * Hand edits to the markdown body are merged into the data before the update.
+ * @param {string} sessionPath - Full path to session file
+ * @param {Function} updater - (data) => updated data
+ * @returns {object|null} Updated data or null on failure
+ */
+function updateSessionData(sessionPath, updater) {
+  try {
+    // Hold the lock across read and write so concurrent updates aren't lost
+    return withFileLock(sessionPath, () => {
+      const data = readSessionData(sessionPath);
+      if (!data) return null;
+
+      const updated = updater(data) || data;
+      return writeSessionData(sessionPath, updated) ? updated : null;
+    });
+  } catch (err) {
+    log(`[SessionManager] Error updating session: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Infer the project a session was recorded in
+ * Uses the repository root from its recorded git state, then falls back to
+ * a project name used as the short ID (sessions without CLAUDE_SESSION_ID).
+ * @param {object} data - Session data
+ * @param {string} shortId - Short ID from the session filename
+ * @param {Array} knownProjects - Project identities already tagged on other sessions
+ * @returns {object|null} Project identity or null if it can't be inferred
+ */
+function inferSessionProject(data, shortId, knownProjects) {
+  if (data.git && data.git.root) {
+    const { root } = data.git;
+    return fs.existsSync(root)
+      ? getProjectIdentity(root)
+      : { name: path.basename(root), root, remote: null };
+  }
+
+  const byName = knownProjects.filter(p => p.name && p.name.toLowerCase() === shortId.toLowerCase());
+  // Only trust the name when it identifies a single project
+  return byName.length === 1 ? byName[0] : null;
+}
+
+/**
+ * Upgrade every session file to the current structured format
+ * Markdown bodies are kept verbatim; only the front-matter is added or refreshed.
+ * Untagged sessions get a project tag when it can be inferred.
+ * @param {object} options - { dryRun: report without writing }
+ * @returns {object} { migrated, unchanged, tagged, failed } arrays of filenames (failed has errors)
+ */
+function migrateSessions(options = {}) {
+  const { dryRun = false } = options;
+  const result = { migrated: [], unchanged: [], tagged: [], failed: [] };
+
+  const files = listSessionFiles().map(({ filename }) => {
+    const sessionPath = getSessionPath(filename);
+    const content = getSessionContent(sessionPath);
+    return { filename, sessionPath, content, data: parseSessionDocument(content) };
+  });
+
+  const knownProjects = [];
+  for (const { data } of files) {
+    if (data.project && !knownProjects.some(p => isSameProject(p, data.project))) {
+      knownProjects.push(data.project);
+    }
+  }
+
+  for (const { filename, sessionPath, content, data } of files) {
+    const project = data.project ? null : inferSessionProject(data, parseSessionFilename(filename).shortId, knownProjects);
+    const migration = migrateSessionContent(content, project ? { project } : {});
+
+    if (migration.errors.length > 0) {
+      result.failed.push({ filename, errors: migration.errors });
+    } else if (!migration.changed) {
+      result.unchanged.push(filename);
+    } else if (dryRun || writeSessionContent(sessionPath, migration.content)) {
+      result.migrated.push(filename);
+      if (project) result.tagged.push(filename);
+    } else {
+      result.failed.push({ filename, errors: ['Write failed'] });
+    }
+  }
+
+  return result;
+}
+
 /**
  * Append content to a session
  * @param {string} sessionPath - Full path to session file
@@ -344,7 +794,8 @@ function writeSessionContent(sessionPath, content) {
  */
 function appendSessionContent(sessionPath, content) {
   try {
-    fs.appendFileSync(sessionPath, content, 'utf8');
+    withFileLock(sessionPath, () => fs.appendFileSync(sessionPath, content, 'utf8'));
+    invalidateIndexEntry(path.basename(sessionPath));
     return true;
   } catch (err) {
     log(`[SessionManager] Error appending to session: ${err.message}`);
@@ -359,11 +810,13 @@ function appendSessionContent(sessionPath, content) {
  */
 function deleteSession(sessionPath) {
   try {
-    if (fs.existsSync(sessionPath)) {
+    return withFileLock(sessionPath, () => {
+      if (!fs.existsSync(sessionPath)) return false;
+
       fs.unlinkSync(sessionPath);
+      invalidateIndexEntry(path.basename(sessionPath));
       return true;
-    }
-    return false;
+    });
   } catch (err) {
     log(`[SessionManager] Error deleting session: ${err.message}`);
     return false;
@@ -382,14 +835,22 @@ function sessionExists(sessionPath) {
 module.exports = {
   parseSessionFilename,
   getSessionPath,
+  getCurrentSessionPath,
   getSessionContent,
   parseSessionMetadata,
   getSessionStats,
+  getSessionInfo,
+  rebuildSessionIndex,
   getSessionTitle,
   getSessionSize,
   getAllSessions,
+  searchSessions,
   getSessionById,
   writeSessionContent,
+  readSessionData,
+  writeSessionData,
+  updateSessionData,
+  migrateSessions,
   appendSessionContent,
   deleteSession,
   sessionExists
@@ -0,0 +1,268 @@
+/**
+ * Session Resolver Library for Claude Code
+ * Resolves what a user typed (alias, short ID or prefix, date, filename or
+ * part of a title) to a single session, or explains why it can't:
+ * - an exact alias, filename, short ID, unique ID prefix or unique date resolves
+ * - an ID prefix or date shared by several sessions is ambiguous
+ * - anything else returns ranked "did you mean" candidates (prefix, substring
+ *   and edit-distance matches against aliases, IDs, dates and titles)
+ */
+
+const path = require('path');
+
+const { getAllSessions, getSessionById } = require('./session-manager');
+const { resolveAlias, listAliases } = require('./session-aliases');
+
+// Candidates scoring below this are not worth suggesting
+const MIN_SUGGESTION_SCORE = 0.6;
+
+const DEFAULT_SUGGESTION_LIMIT = 5;
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Score how well a query matches a target string
+ * @param {string} query - What the user typed (lowercase)
+ * @param {string} target - Candidate key
+ * @returns {number} Score from 0 (unrelated) to 1 (identical)
+ */
+function similarity(query, target) {
+  const t = String(target || '').toLowerCase();
+  if (!query || !t) return 0;
+  if (t === query) return 1;
+  if (t.startsWith(query)) return 0.9;
+  if (t.includes(query)) return 0.75;
+
+  // Typos: compare against the whole target and against its same-length prefix
+  const whole = 1 - levenshtein(query, t) / Math.max(query.length, t.length);
+  const prefix = 0.85 * (1 - levenshtein(query, t.slice(0, query.length)) / query.length);
+  return Math.max(whole, prefix, 0);
+}
+
+/**
+ * Score a query against a title, word by word
+ * @param {string} query - What the user typed (lowercase)
+ * @param {string} title - Session or alias title
+ * @returns {number} Score from 0 to 1
+ */
+function titleSimilarity(query, title) {
+  if (!title) return 0;
+
+  const words = title.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const terms = query.split(/[\s/_-]+/).filter(Boolean);
+  if (words.length === 0 || terms.length === 0) return 0;
+
+  // Every query term has to match some title word reasonably well
+  const scores = terms.map(term => Math.max(...words.map(word => similarity(term, word))));
+  return Math.min(...scores) * 0.9;
+}
+
+/**
+ * Describe a session for candidate lists
+ * @param {object} session - Session object
+ * @returns {string} Label such as "a1b2c3d4  2026-02-01  Title"
+ */
+function describeSession(session) {
+  const id = session.shortId === 'no-id' ? '(no id)' : session.shortId;
+  const title = session.title || (session.metadata && session.metadata.title) || '';
+  return `${id.padEnd(8)}  ${session.date}  ${title}${session.archived ? '  (archived)' : ''}`.trimEnd();
+}
+
+/**
+ * Build a session candidate
+ * @param {object} session - Session object
+ * @param {number} score - Match score
+ * @param {string} reason - What matched ('id', 'id-prefix', 'date', 'title')
+ * @returns {object} Candidate
+ */
+function sessionCandidate(session, score, reason) {
+  return { type: 'session', id: session.shortId === 'no-id' ? session.filename : session.shortId, session, score, reason };
+}
+
+/**
+ * Rank aliases and sessions against a query
+ * @param {string} query - What the user typed
+ * @param {Array} sessions - Sessions from getAllSessions()
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Array} Candidates { type, id, score, reason, session?, alias? }, best first
+ */
+function rankCandidates(query, sessions, limit) {
+  const q = query.toLowerCase();
+  const byFilename = new Map(sessions.map(s => [s.filename, s]));
+  const candidates = [];
+
+  for (const alias of listAliases()) {
+    const lastSegment = alias.name.split('/').pop();
+    const score = Math.max(
+      similarity(q, alias.name),
+      similarity(q, lastSegment) * 0.95,
+      titleSimilarity(q, alias.name),
+      titleSimilarity(q, alias.title),
+      ...alias.tags.map(tag => similarity(q, tag) * 0.8)
+    );
+
+    if (score >= MIN_SUGGESTION_SCORE) {
+      candidates.push({
+        type: 'alias',
+        id: alias.name,
+        alias,
+        session: byFilename.get(path.basename(alias.sessionPath || '')) || null,
+        score,
+        reason: 'alias'
+      });
+    }
+  }
+
+  for (const session of sessions) {
+    const idScore = session.shortId === 'no-id' ? 0 : similarity(q, session.shortId);
+    const dateScore = similarity(q, session.date) * 0.9;
+    const titleScore = titleSimilarity(q, session.title);
+    const score = Math.max(idScore, dateScore, titleScore);
+
+    if (score >= MIN_SUGGESTION_SCORE) {
+      const reason = score === titleScore ? 'title' : score === idScore ? 'id' : 'date';
+      candidates.push(sessionCandidate(session, score, reason));
+    }
+  }
+
+  // Best match first, newest first among equal scores
+  candidates.sort((a, b) =>
+    b.score - a.score ||
+    ((b.session && b.session.modifiedTime) || 0) - ((a.session && a.session.modifiedTime) || 0)
+  );
+
+  return candidates.slice(0, limit);
+}
+
+/**
+ * Resolve user input to a single session
+ * @param {string} query - Alias, short ID or prefix, date, filename, or part of a title
+ * @param {object} options - { includeContent, includeArchived (default true), limit: max suggestions }
+ * @returns {object} One of:
+ *   { status: 'found', session, via, alias? }
+ *   { status: 'ambiguous', candidates } - several sessions share the ID prefix or date
+ *   { status: 'not-found', candidates } - ranked "did you mean" suggestions (may be empty)
+ */
+function resolveSession(query, options = {}) {
+  const {
+    includeContent = false,
+    includeArchived = true,
+    limit = DEFAULT_SUGGESTION_LIMIT
+  } = options;
+
+  const input = String(query || '').trim();
+  if (!input) {
+    return { status: 'not-found', candidates: [] };
+  }
+
+  const load = session => (includeContent ? getSessionById(session.filename, true) : session);
+
+  // Exact alias
+  const alias = resolveAlias(input);
+  if (alias) {
+    const session = getSessionById(path.basename(alias.sessionPath || ''), includeContent);
+    if (session) {
+      return { status: 'found', session, via: 'alias', alias };
+    }
+  }
+
+  // IDs are global: search every project, not just the current one
+  const { sessions } = getAllSessions({ limit: Infinity, project: 'all', includeArchived });
+
+  const byFilename = sessions.find(s => s.filename === input || s.filename === `${input}.tmp`);
+  if (byFilename) {
+    return { status: 'found', session: load(byFilename), via: 'filename' };
+  }
+
+  const lower = input.toLowerCase();
+  const exactId = sessions.find(s => s.shortId === lower);
+  if (exactId) {
+    return { status: 'found', session: load(exactId), via: 'id' };
+  }
+
+  const groups = [
+    { via: 'id-prefix', matches: sessions.filter(s => s.shortId !== 'no-id' && s.shortId.startsWith(lower)) },
+    { via: 'date', matches: /^\d{4}-\d{2}-\d{2}$/.test(input) ? sessions.filter(s => s.date === input) : [] }
+  ];
+
+  for (const { via, matches } of groups) {
+    if (matches.length === 1) {
+      return { status: 'found', session: load(matches[0]), via };
+    }
+    if (matches.length > 1) {
+      return {
+        status: 'ambiguous',
+        via,
+        candidates: matches.map(s => sessionCandidate(s, 1, via))
+      };
+    }
+  }
+
+  return { status: 'not-found', candidates: rankCandidates(input, sessions, limit) };
+}
+
+/**
+ * Render candidates as a numbered list
+ * @param {Array} candidates - Candidates from resolveSession()
+ * @returns {string} One line per candidate
+ */
+function formatCandidates(candidates) {
+  return candidates.map((candidate, i) => {
+    const number = `${i + 1}.`.padEnd(3);
+
+    if (candidate.type === 'alias') {
+      const target = candidate.alias.group
+        ? `group of ${candidate.alias.sessions.length}`
+        : candidate.session ? describeSession(candidate.session) : path.basename(candidate.alias.sessionPath || '');
+      return `  ${number} ${candidate.alias.name}  →  ${target}`;
+    }
+
+    return `  ${number} ${describeSession(candidate.session)}`;
+  }).join('\n');
+}
+
+/**
+ * Explain a failed resolution for the user
+ * @param {string} query - What the user typed
+ * @param {object} result - Output of resolveSession() with status 'ambiguous' or 'not-found'
+ * @returns {string} Message with candidates
+ */
+function formatResolutionError(query, result) {
+  if (result.status === 'ambiguous') {
+    const what = result.via === 'date' ? `${result.candidates.length} sessions on ${query}` : `'${query}' matches ${result.candidates.length} sessions`;
+    return `Ambiguous: ${what}. Use a longer ID:\n${formatCandidates(result.candidates)}`;
+  }
+
+  if (result.candidates.length === 0) {
+    return `Session not found: ${query}`;
+  }
+
+  return `Session not found: ${query}. Did you mean:\n${formatCandidates(result.candidates)}`;
+}
+
+module.exports = {
+  levenshtein,
+  similarity,
+  resolveSession,
+  formatCandidates,
+  formatResolutionError
+};
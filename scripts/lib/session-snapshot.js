@@ -0,0 +1,185 @@
+/**
+ * Session Snapshot Library for Claude Code
+ * Captures the working state that a compaction summary tends to lose
+ * (active todos, recently edited files, open errors, the current plan file
+ * and key decisions) so the pre-compact hook can store it in the session
+ * file and session start can hand it back to Claude after compaction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClaudeDir, truncateLine } = require('./utils');
+const { FILE_EDIT_TOOLS, getToolFilePath } = require('./transcript');
+const { getLatestTodos, getFailingCommands } = require('./session-summary');
+
+// Heading of the snapshot section in the session file
+const SNAPSHOT_HEADING = 'Pre-compact Snapshot';
+
+// Items kept per list
+const MAX_RECENT_FILES = 10;
+const MAX_ERRORS = 5;
+const MAX_DECISIONS = 5;
+
+// Length of a decision or error line
+const MAX_LINE_LENGTH = 200;
+
+// A sentence recording a choice
+const DECISION_REGEX = /\b(decided|decision|let'?s go with|going with|we'?ll use|we will use|agreed|opted|chose|instead of|rather than)\b/i;
+
+// A markdown file that holds a plan
+const PLAN_FILE_REGEX = /plan[^/\\]*\.md$/i;
+
+/**
+ * List the files edited most recently, newest first
+ * @param {object[]} events - Transcript events
+ * @returns {string[]} File paths
+ */
+function getRecentFiles(events) {
+  const files = [];
+  for (let i = events.length - 1; i >= 0 && files.length < MAX_RECENT_FILES; i--) {
+    const event = events[i];
+    const file = event.type === 'tool_use' && FILE_EDIT_TOOLS.has(event.name) && getToolFilePath(event);
+    if (file && !files.includes(file)) files.push(file);
+  }
+  return files;
+}
+
+/**
+ * Find the plan being followed
+ * The newest plan-like markdown file edited in the session, otherwise a plan
+ * saved by plan mode (~/.claude/plans) since the session started.
+ * @param {object[]} events - Transcript events
+ * @param {string|null} startedAt - Session start (ISO timestamp)
+ * @returns {string|null} Plan file path
+ */
+function findPlanFile(events, startedAt) {
+  for (let i = events.length - 1; i >= 0; i--) {
+    const event = events[i];
+    const file = event.type === 'tool_use' && getToolFilePath(event);
+    if (file && FILE_EDIT_TOOLS.has(event.name) && PLAN_FILE_REGEX.test(file)) return file;
+  }
+
+  const plansDir = path.join(getClaudeDir(), 'plans');
+  const since = startedAt ? Date.parse(startedAt) : Date.now() - 24 * 60 * 60 * 1000;
+  let newest = null;
+
+  try {
+    for (const name of fs.readdirSync(plansDir)) {
+      if (!name.endsWith('.md')) continue;
+      const file = path.join(plansDir, name);
+      const mtime = fs.statSync(file).mtimeMs;
+      if (mtime >= since && (!newest || mtime > newest.mtime)) newest = { file, mtime };
+    }
+  } catch {
+    // No plans directory
+  }
+
+  return newest ? newest.file : null;
+}
+
+/**
+ * Collect sentences that record decisions, from the user and the assistant
+ * @param {object[]} events - Transcript events
+ * @returns {string[]} Decisions, oldest first (the latest MAX_DECISIONS)
+ */
+function getDecisions(events) {
+  const decisions = [];
+
+  for (const event of events) {
+    if ((event.type !== 'user' && event.type !== 'assistant') || !event.text) continue;
+
+    for (const sentence of event.text.split(/(?<=[.!?])\s+|\n+/)) {
+      // Skip code and quoted output
+      if (!DECISION_REGEX.test(sentence) || /^\s*(```|>|\$ )/.test(sentence)) continue;
+      const text = `${event.type === 'user' ? 'User' : 'Assistant'}: ${truncateLine(sentence, MAX_LINE_LENGTH)}`;
+      if (!decisions.includes(text)) decisions.push(text);
+    }
+  }
+
+  return decisions.slice(-MAX_DECISIONS);
+}
+
+/**
+ * Build a snapshot of the working state
+ * @param {object} options - { events, stats (transcript.js), trigger }
+ * @returns {object} { capturedAt, trigger, todos, recentFiles, openErrors, planFile, decisions }
+ */
+function buildSnapshot(options) {
+  const { events, stats, trigger = null } = options;
+
+  // Errors since the last compaction; earlier ones were summarised already
+  const lastCompaction = events.map(e => e.type).lastIndexOf('compaction');
+  const recentErrors = events.slice(lastCompaction + 1)
+    .filter(e => e.type === 'error')
+    .map(e => truncateLine(e.message, MAX_LINE_LENGTH));
+
+  return {
+    capturedAt: new Date().toISOString(),
+    trigger,
+    todos: getLatestTodos(events)
+      .filter(todo => todo.status !== 'completed')
+      .map(todo => ({ content: todo.content.trim(), status: todo.status || 'pending' })),
+    recentFiles: getRecentFiles(events),
+    openErrors: [
+      ...getFailingCommands(events).map(f => `\`${f.command}\` is failing${f.error ? `: ${f.error}` : ''}`),
+      ...recentErrors
+    ].slice(0, MAX_ERRORS),
+    planFile: findPlanFile(events, stats && stats.startedAt),
+    decisions: getDecisions(events)
+  };
+}
+
+/**
+ * Check whether a snapshot holds anything
+ * @param {object} snapshot - Snapshot from buildSnapshot()
+ * @returns {boolean} True if any part is filled
+ */
+function hasSnapshotContent(snapshot) {
+  return snapshot.todos.length > 0 || snapshot.recentFiles.length > 0 ||
+    snapshot.openErrors.length > 0 || !!snapshot.planFile || snapshot.decisions.length > 0;
+}
+
+/**
+ * Render a snapshot as markdown
+ * @param {object} snapshot - Snapshot from buildSnapshot()
+ * @returns {string} Markdown (without a heading)
+ */
+function renderSnapshot(snapshot) {
+  const lines = [`_Captured ${snapshot.capturedAt}${snapshot.trigger ? ` before ${snapshot.trigger} compaction` : ''}_`];
+  const list = (title, items) => {
+    if (items.length > 0) lines.push('', `**${title}:**`, ...items.map(item => `- ${item}`));
+  };
+
+  list('Active todos', snapshot.todos.map(todo => `[${todo.status.replace('_', ' ')}] ${todo.content}`));
+  list('Recently edited files', snapshot.recentFiles);
+  list('Open errors', snapshot.openErrors);
+  if (snapshot.planFile) lines.push('', `**Plan file:** ${snapshot.planFile}`);
+  list('Key decisions', snapshot.decisions);
+
+  return lines.join('\n');
+}
+
+/**
+ * Store a snapshot in session data, replacing the previous one
+ * @param {object} session - Session data
+ * @param {object} snapshot - Snapshot from buildSnapshot()
+ * @returns {object} Updated session data
+ */
+function applySnapshot(session, snapshot) {
+  return {
+    ...session,
+    snapshot,
+    sections: [
+      ...session.sections.filter(section => section.heading !== SNAPSHOT_HEADING),
+      { level: 2, heading: SNAPSHOT_HEADING, content: renderSnapshot(snapshot) }
+    ]
+  };
+}
+
+module.exports = {
+  SNAPSHOT_HEADING,
+  buildSnapshot,
+  hasSnapshotContent,
+  renderSnapshot,
+  applySnapshot
+};
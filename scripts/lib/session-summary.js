@@ -0,0 +1,192 @@
+/**
+ * Session Summary Library for Claude Code
+ * Fills a session file's Current State, Completed, In Progress, Notes for
+ * Next Session and Context to Load sections from evidence: the transcript's
+ * todo list, the files edited, commands still failing and the git diff.
+ *
+ * Generated content never overwrites hand-written content. The values
+ * generated last time are kept in the front-matter (`generated`), so on the
+ * next run anything the user added is kept, anything they removed stays
+ * removed, and only generated items are refreshed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runCommand, truncateLine } = require('./utils');
+const { getCommandKey } = require('./transcript');
+
+// Values written by earlier versions of session-end, replaced like generated content
+const PLACEHOLDERS = {
+  summary: '[Session context goes here]',
+  context: '[relevant files]'
+};
+
+// Fields filled from evidence: checklists and line-per-item text
+const LIST_FIELDS = ['completed', 'inProgress'];
+const LINE_FIELDS = ['notes', 'context'];
+
+// Most files listed under Context to Load
+const MAX_CONTEXT_FILES = 20;
+
+/**
+ * Get the latest todo list written with TodoWrite
+ * @param {object[]} events - Transcript events
+ * @returns {object[]} Todos [{ content, status }] (empty if the session kept none)
+ */
+function getLatestTodos(events) {
+  for (let i = events.length - 1; i >= 0; i--) {
+    const event = events[i];
+    if (event.type === 'tool_use' && event.name === 'TodoWrite' && Array.isArray(event.input.todos)) {
+      return event.input.todos.filter(todo => todo && typeof todo.content === 'string' && todo.content.trim());
+    }
+  }
+  return [];
+}
+
+/**
+ * Find shell commands whose latest run failed
+ * @param {object[]} events - Transcript events
+ * @returns {object[]} [{ command, error }] in the order they first failed
+ */
+function getFailingCommands(events) {
+  const calls = new Map(events.filter(e => e.type === 'tool_use' && e.name === 'Bash').map(e => [e.id, e]));
+  const latest = new Map();
+
+  for (const event of events) {
+    const call = event.type === 'tool_result' && calls.get(event.id);
+    if (!call || typeof call.input.command !== 'string') continue;
+
+    // A later run of the same command (even with other flags) decides its state
+    const key = getCommandKey(call.input.command);
+    if (event.isError) {
+      latest.set(key, { command: truncateLine(call.input.command, 100, { firstLine: true }), error: truncateLine(event.text, 120, { firstLine: true }) });
+    } else {
+      latest.delete(key);
+    }
+  }
+
+  return [...latest.values()];
+}
+
+/**
+ * Summarise uncommitted changes, e.g. "3 files changed, 40 insertions(+), 2 deletions(-)"
+ * @param {string} cwd - Directory inside the repository
+ * @returns {string|null} Diff summary, or null if clean or not a repository
+ */
+function getDiffSummary(cwd = process.cwd()) {
+  const result = runCommand('git diff --shortstat HEAD', { cwd });
+  return result.success && result.output ? result.output : null;
+}
+
+/**
+ * Build session content from evidence
+ * @param {object} evidence - { events, stats (see transcript.js), git (utils.getGitState), diffSummary }
+ * @returns {object} { summary, completed, inProgress, notes: lines, context: lines }
+ */
+function buildSessionSummary(evidence) {
+  const { events = [], stats = null, git = null, diffSummary = null } = evidence;
+  const todos = getLatestTodos(events);
+  const failing = getFailingCommands(events);
+  const task = events.find(e => e.type === 'user');
+
+  const summaryLines = [];
+  if (task) summaryLines.push(`Task: ${truncateLine(task.text, 200, { firstLine: true })}`);
+  if (stats) summaryLines.push(`${stats.userMessages} messages, ${stats.toolCalls} tool calls, ${stats.filesModified.length} file(s) modified`);
+
+  const notes = failing.map(f => `- \`${f.command}\` is still failing${f.error ? `: ${f.error}` : ''}`);
+  if (diffSummary) notes.push(`- Uncommitted changes: ${diffSummary}`);
+
+  // Edited files that still exist, relative to the repository root when inside it
+  const root = git ? git.root : process.cwd();
+  const context = (stats ? stats.filesModified : [])
+    .filter(file => fs.existsSync(file))
+    .map(file => {
+      const relative = path.relative(root, file);
+      return relative.startsWith('..') || path.isAbsolute(relative) ? file : relative;
+    })
+    .slice(0, MAX_CONTEXT_FILES);
+
+  return {
+    summary: summaryLines.join('\n'),
+    completed: todos.filter(t => t.status === 'completed').map(t => t.content.trim()),
+    // In-progress todos first, then the ones not started
+    inProgress: [
+      ...todos.filter(t => t.status === 'in_progress'),
+      ...todos.filter(t => t.status !== 'in_progress' && t.status !== 'completed')
+    ].map(t => t.content.trim()),
+    notes,
+    context
+  };
+}
+
+/**
+ * Merge fresh generated items with the current ones
+ * @param {string[]} current - Items in the file now (may include hand edits)
+ * @param {string[]} previous - Items generated last time
+ * @param {string[]} fresh - Items generated now
+ * @param {string[]} dismissed - Generated items the user removed before
+ * @returns {object} { items, dismissed }
+ */
+function mergeItems(current, previous, fresh, dismissed) {
+  const currentSet = new Set(current);
+  const previousSet = new Set(previous);
+  // Generated last time but gone now: the user removed it
+  const removed = new Set([...dismissed, ...previous.filter(item => !currentSet.has(item))]);
+  const manual = current.filter(item => !previousSet.has(item));
+  const manualSet = new Set(manual);
+
+  return {
+    items: [...manual, ...fresh.filter(item => !removed.has(item) && !manualSet.has(item))],
+    // Forget dismissals once the evidence no longer produces them
+    dismissed: [...removed].filter(item => fresh.includes(item))
+  };
+}
+
+/**
+ * Split a text field into lines, dropping blanks and the old placeholder
+ * @param {string} text - Field value
+ * @param {string} field - Field name
+ * @returns {string[]} Lines
+ */
+function toLines(text, field) {
+  return (text || '').split('\n').map(line => line.trimEnd()).filter(line => line.trim() && line !== PLACEHOLDERS[field]);
+}
+
+/**
+ * Apply generated content to session data without overwriting hand edits
+ * @param {object} session - Session data (hand edits to the body already merged in)
+ * @param {object} fresh - Output of buildSessionSummary()
+ * @returns {object} Updated session data, with `generated` recording what was generated
+ */
+function applySessionSummary(session, fresh) {
+  const previous = session.generated || {};
+  const dismissedBefore = previous.dismissed || {};
+  const updated = { ...session };
+  const dismissed = {};
+
+  for (const field of [...LIST_FIELDS, ...LINE_FIELDS]) {
+    const isLines = LINE_FIELDS.includes(field);
+    const current = isLines ? toLines(session[field], field) : session[field] || [];
+    const merged = mergeItems(current, previous[field] || [], fresh[field], dismissedBefore[field] || []);
+
+    updated[field] = isLines ? merged.items.join('\n') : merged.items;
+    if (merged.dismissed.length > 0) dismissed[field] = merged.dismissed;
+  }
+
+  // The summary is one block: refreshed until the user rewrites it
+  const summary = (session.summary || '').trim();
+  if (!summary || summary === PLACEHOLDERS.summary || summary === previous.summary) {
+    updated.summary = fresh.summary;
+  }
+
+  updated.generated = { ...fresh, dismissed };
+  return updated;
+}
+
+module.exports = {
+  getLatestTodos,
+  getFailingCommands,
+  getDiffSummary,
+  buildSessionSummary,
+  applySessionSummary
+};
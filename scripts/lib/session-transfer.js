@@ -0,0 +1,461 @@
+/**
+ * Session Transfer Library for Claude Code
+ * Exports sessions and their aliases to a portable JSON bundle and imports
+ * them on another machine, resolving ID and alias collisions
+ *
+ * Bundle format (optionally gzipped when the file name ends in .gz):
+ * {
+ *   "format": "claude-session-export",
+ *   "version": 1,
+ *   "exportedAt": "...",
+ *   "sessions": [{ "filename", "content", "mtimeMs" }],
+ *   "aliases": { "<name>": { "sessionPath", "title", "tags", "group", "sessions", ... } }
+ * }
+ *
+ * Alias session paths are stored as bare filenames; group aliases list only
+ * the members that are part of the bundle.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const {
+  getSessionsDir,
+  ensureDir,
+  log
+} = require('./utils');
+const {
+  parseSessionFilename,
+  getSessionPath,
+  getSessionContent,
+  getSessionById,
+  getAllSessions,
+  writeSessionContent
+} = require('./session-manager');
+const {
+  loadAliases,
+  resolveAlias,
+  setAlias,
+  addToGroup,
+  updateAliasTags,
+  deleteAlias
+} = require('./session-aliases');
+
+const EXPORT_FORMAT = 'claude-session-export';
+const EXPORT_VERSION = 1;
+
+// Valid conflict strategies for sessions and aliases
+const CONFLICT_STRATEGIES = ['rename', 'skip', 'overwrite'];
+
+/**
+ * Resolve an alias or session ID to a session object
+ * @param {string} aliasOrId - Alias name or session ID
+ * @returns {object|null} Session object or null if not found
+ */
+function findSession(aliasOrId) {
+  const resolved = resolveAlias(aliasOrId);
+  // getSessionById matches IDs and filenames, not full paths
+  return getSessionById(resolved ? path.basename(resolved.sessionPath) : aliasOrId);
+}
+
+/**
+ * Build an export bundle for one or more sessions
+ * @param {string[]} ids - Session IDs or aliases (empty with options.all to export everything)
+ * @param {object} options - { all: export every session, includeAliases: default true }
+ * @returns {object} { success, bundle, missing } or { success: false, error }
+ */
+function createExportBundle(ids = [], options = {}) {
+  const { all = false, includeAliases = true } = options;
+
+  const sessions = all
+    ? getAllSessions({ limit: Infinity, project: 'all', includeArchived: true }).sessions
+    : [];
+  const missing = [];
+
+  if (!all) {
+    for (const id of ids) {
+      const session = findSession(id);
+      if (session) sessions.push(session);
+      else missing.push(id);
+    }
+  }
+
+  if (sessions.length === 0) {
+    return { success: false, error: 'No sessions to export' };
+  }
+
+  const bundle = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: os.hostname(),
+    sessions: [],
+    aliases: {}
+  };
+
+  const seen = new Set();
+  for (const session of sessions) {
+    if (seen.has(session.filename)) continue;
+    seen.add(session.filename);
+
+    bundle.sessions.push({
+      filename: session.filename,
+      content: getSessionContent(session.sessionPath) || '',
+      mtimeMs: session.modifiedTime.getTime()
+    });
+  }
+
+  if (includeAliases) {
+    for (const [name, info] of Object.entries(loadAliases().aliases)) {
+      if (!info || typeof info !== 'object') continue;
+
+      if (info.group) {
+        const members = info.sessions
+          .map(member => ({ ...member, sessionPath: path.basename(member.sessionPath || '') }))
+          .filter(member => seen.has(member.sessionPath));
+
+        if (members.length > 0) {
+          bundle.aliases[name] = { ...info, sessions: members, sessionPath: members[members.length - 1].sessionPath };
+        }
+        continue;
+      }
+
+      const filename = path.basename(info.sessionPath || '');
+      if (seen.has(filename)) {
+        bundle.aliases[name] = { ...info, sessionPath: filename };
+      }
+    }
+  }
+
+  return { success: true, bundle, missing };
+}
+
+/**
+ * Export sessions to a bundle file
+ * @param {string[]} ids - Session IDs or aliases
+ * @param {string} outputPath - Destination file (.json or .json.gz)
+ * @param {object} options - Same as createExportBundle()
+ * @returns {object} { success, outputPath, sessionCount, aliasCount, missing } or { success: false, error }
+ */
+function exportSessions(ids, outputPath, options = {}) {
+  const result = createExportBundle(ids, options);
+  if (!result.success) return result;
+
+  try {
+    const json = JSON.stringify(result.bundle, null, 2);
+    ensureDir(path.dirname(path.resolve(outputPath)));
+    fs.writeFileSync(outputPath, outputPath.endsWith('.gz') ? zlib.gzipSync(json) : json);
+  } catch (err) {
+    return { success: false, error: `Failed to write bundle: ${err.message}` };
+  }
+
+  return {
+    success: true,
+    outputPath,
+    sessionCount: result.bundle.sessions.length,
+    aliasCount: Object.keys(result.bundle.aliases).length,
+    missing: result.missing
+  };
+}
+
+/**
+ * Validate a bundled alias entry
+ * @param {*} info - Alias entry
+ * @returns {boolean} True if importAlias() can use it
+ */
+function isValidBundledAlias(info) {
+  if (!info || typeof info !== 'object' || Array.isArray(info)) return false;
+  if (info.tags && (!Array.isArray(info.tags) || info.tags.some(tag => typeof tag !== 'string'))) return false;
+
+  if (info.group) {
+    return Array.isArray(info.sessions) &&
+      info.sessions.every(member => member && typeof member === 'object' && typeof member.sessionPath === 'string');
+  }
+  return typeof info.sessionPath === 'string';
+}
+
+/**
+ * Validate a parsed bundle, so a bad entry is caught before anything is written
+ * @param {object} bundle - Parsed bundle
+ * @returns {string|null} Error message, or null if the bundle is valid
+ */
+function validateExportBundle(bundle) {
+  if (!bundle || bundle.format !== EXPORT_FORMAT) {
+    return 'Not a session export bundle';
+  }
+
+  if (bundle.version > EXPORT_VERSION) {
+    return `Bundle version ${bundle.version} is newer than supported (${EXPORT_VERSION})`;
+  }
+
+  if (!Array.isArray(bundle.sessions)) {
+    return 'Bundle has no sessions array';
+  }
+
+  const invalid = bundle.sessions.find(s => !s || !parseSessionFilename(String(s.filename)) || typeof s.content !== 'string');
+  if (invalid) {
+    return `Invalid session entry in bundle: ${invalid && invalid.filename}`;
+  }
+
+  if (bundle.aliases !== undefined && (!bundle.aliases || typeof bundle.aliases !== 'object' || Array.isArray(bundle.aliases))) {
+    return 'Bundle aliases must be an object';
+  }
+
+  const invalidAlias = Object.keys(bundle.aliases || {}).find(name => !isValidBundledAlias(bundle.aliases[name]));
+  if (invalidAlias) {
+    return `Invalid alias entry in bundle: ${invalidAlias}`;
+  }
+
+  return null;
+}
+
+/**
+ * Read and validate a bundle file
+ * @param {string} bundlePath - Path to the bundle (.json or .json.gz)
+ * @returns {object} { success, bundle } or { success: false, error }
+ */
+function readExportBundle(bundlePath) {
+  let bundle;
+
+  try {
+    let raw = fs.readFileSync(bundlePath);
+    // Detect gzip by magic bytes rather than trusting the extension
+    if (raw[0] === 0x1f && raw[1] === 0x8b) {
+      raw = zlib.gunzipSync(raw);
+    }
+    bundle = JSON.parse(raw.toString('utf8'));
+  } catch (err) {
+    return { success: false, error: `Failed to read bundle: ${err.message}` };
+  }
+
+  const error = validateExportBundle(bundle);
+  if (error) {
+    return { success: false, error };
+  }
+
+  bundle.aliases = bundle.aliases || {};
+  return { success: true, bundle };
+}
+
+/**
+ * Generate a session filename with a fresh short ID that does not exist yet
+ * @param {string} filename - Original session filename
+ * @returns {string} Unused filename for the same date
+ */
+function getRenamedFilename(filename) {
+  const { date } = parseSessionFilename(filename);
+  let candidate;
+
+  do {
+    candidate = `${date}-${crypto.randomBytes(4).toString('hex')}-session.tmp`;
+  } while (fs.existsSync(getSessionPath(candidate)));
+
+  return candidate;
+}
+
+/**
+ * Find a local session from the same day with exactly the bundled content
+ * @param {object} entry - Bundle session entry
+ * @returns {string|null} Matching local filename or null
+ */
+function findIdenticalSession(entry) {
+  const { date } = parseSessionFilename(entry.filename);
+  const { sessions } = getAllSessions({ limit: Infinity, date, project: 'all' });
+
+  const match = sessions.find(s => getSessionContent(s.sessionPath) === entry.content);
+  return match ? match.filename : null;
+}
+
+/**
+ * Generate an alias name that is not in use yet
+ * @param {string} name - Original alias name
+ * @param {object} aliases - Current aliases map
+ * @returns {string} Unused alias name
+ */
+function getRenamedAlias(name, aliases) {
+  let candidate = `${name}-imported`;
+  let n = 2;
+
+  while (aliases[candidate]) {
+    candidate = `${name}-imported-${n++}`;
+  }
+
+  return candidate;
+}
+
+/**
+ * Create or replace a local alias from a bundled alias entry
+ * @param {string} name - Local alias name
+ * @param {object} info - Bundled alias entry
+ * @param {string[]} targets - Local filenames of the alias's imported sessions
+ * @returns {object} Result with success status
+ */
+function importAlias(name, info, targets) {
+  if (!info.group) {
+    return setAlias(name, targets[0], info.title || null, { tags: info.tags || [] });
+  }
+
+  for (const target of targets) {
+    const result = addToGroup(name, target);
+    if (!result.success) return result;
+  }
+
+  return info.tags && info.tags.length > 0 ? updateAliasTags(name, { add: info.tags }) : { success: true };
+}
+
+/**
+ * Import sessions and aliases from a bundle
+ *
+ * Sessions whose filename already exists with identical content are skipped.
+ * Differing sessions and aliases are handled by the conflict strategy:
+ * - rename: import under a new short ID / "<alias>-imported" name (default)
+ * - skip: keep the local copy
+ * - overwrite: replace the local copy
+ *
+ * @param {string|object} source - Bundle file path or bundle object
+ * @param {object} options - { onConflict, aliasConflict, dryRun }
+ * @returns {object} { success, sessions, aliases } reports, or { success: false, error }
+ */
+function importSessions(source, options = {}) {
+  const {
+    onConflict = 'rename',
+    aliasConflict = onConflict,
+    dryRun = false
+  } = options;
+
+  if (!CONFLICT_STRATEGIES.includes(onConflict) || !CONFLICT_STRATEGIES.includes(aliasConflict)) {
+    return { success: false, error: `Conflict strategy must be one of: ${CONFLICT_STRATEGIES.join(', ')}` };
+  }
+
+  let bundle = source;
+  if (typeof source === 'string') {
+    const read = readExportBundle(source);
+    if (!read.success) return read;
+    bundle = read.bundle;
+  } else {
+    const error = validateExportBundle(source);
+    if (error) return { success: false, error };
+    bundle = { ...source, aliases: source.aliases || {} };
+  }
+
+  if (!dryRun) {
+    ensureDir(getSessionsDir());
+  }
+
+  const sessionReports = [];
+  // Original filename -> filename it was imported as (null if skipped)
+  const filenameMap = {};
+
+  for (const entry of bundle.sessions) {
+    const targetPath = getSessionPath(entry.filename);
+    const existing = fs.existsSync(targetPath) ? getSessionContent(targetPath) : null;
+    let action = 'imported';
+    let target = entry.filename;
+
+    // A previous import may already have renamed this session
+    const previousImport = existing !== null && existing !== entry.content
+      ? findIdenticalSession(entry)
+      : null;
+
+    if (existing === entry.content) {
+      action = 'identical';
+    } else if (previousImport) {
+      action = 'identical';
+      target = previousImport;
+    } else if (existing !== null) {
+      action = { rename: 'renamed', skip: 'skipped', overwrite: 'overwritten' }[onConflict];
+      if (onConflict === 'rename') target = getRenamedFilename(entry.filename);
+    }
+
+    filenameMap[entry.filename] = action === 'skipped' ? null : target;
+    sessionReports.push({ filename: entry.filename, target, action });
+
+    if (dryRun || action === 'identical' || action === 'skipped') continue;
+
+    const sessionPath = getSessionPath(target);
+    if (!writeSessionContent(sessionPath, entry.content)) {
+      sessionReports[sessionReports.length - 1].action = 'failed';
+      filenameMap[entry.filename] = null;
+      continue;
+    }
+
+    if (entry.mtimeMs) {
+      // Keep the original modification time so retention and sorting behave
+      const mtime = new Date(entry.mtimeMs);
+      fs.utimesSync(sessionPath, mtime, mtime);
+    }
+  }
+
+  const aliasReports = [];
+  const localAliases = { ...loadAliases().aliases };
+
+  for (const [name, info] of Object.entries(bundle.aliases)) {
+    const bundledTargets = info.group && Array.isArray(info.sessions)
+      ? info.sessions.map(member => member.sessionPath)
+      : [info.sessionPath];
+    const targets = bundledTargets.map(p => filenameMap[path.basename(p || '')]).filter(Boolean);
+
+    if (targets.length === 0) {
+      aliasReports.push({ name, target: name, action: 'skipped', reason: 'session not imported' });
+      continue;
+    }
+
+    const existing = localAliases[name];
+    let action = 'imported';
+    let targetName = name;
+
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const renamedPattern = new RegExp(`^${escaped}(-imported(-\\d+)?)?$`);
+    const targetKey = [...targets].sort().join('\n');
+    const sameTarget = Object.keys(localAliases).find(local => {
+      const localInfo = localAliases[local];
+      if (!localInfo || typeof localInfo !== 'object') return false;
+
+      const localTargets = localInfo.group && Array.isArray(localInfo.sessions)
+        ? localInfo.sessions.map(member => path.basename(member.sessionPath || ''))
+        : [path.basename(localInfo.sessionPath || '')];
+      return renamedPattern.test(local) && [...localTargets].sort().join('\n') === targetKey;
+    });
+
+    if (sameTarget) {
+      aliasReports.push({ name, target: sameTarget, action: 'identical' });
+      continue;
+    }
+
+    if (existing) {
+      action = { rename: 'renamed', skip: 'skipped', overwrite: 'overwritten' }[aliasConflict];
+      if (aliasConflict === 'rename') targetName = getRenamedAlias(name, localAliases);
+    }
+
+    aliasReports.push({ name, target: targetName, action });
+    if (action === 'skipped') continue;
+
+    localAliases[targetName] = { sessionPath: targets[targets.length - 1] };
+    if (dryRun) continue;
+
+    // Replace rather than merge, so an overwritten group doesn't keep its old members
+    if (action === 'overwritten') deleteAlias(targetName);
+
+    const result = importAlias(targetName, info, targets);
+    if (!result.success) {
+      log(`[SessionTransfer] Failed to import alias ${name}: ${result.error}`);
+      aliasReports[aliasReports.length - 1].action = 'failed';
+    }
+  }
+
+  return { success: true, dryRun, sessions: sessionReports, aliases: aliasReports };
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  CONFLICT_STRATEGIES,
+  createExportBundle,
+  exportSessions,
+  validateExportBundle,
+  readExportBundle,
+  importSessions
+};
@@ -0,0 +1,402 @@
+/**
+ * Transcript Library for Claude Code
+ * Streams the JSONL session transcript (CLAUDE_TRANSCRIPT_PATH) as typed
+ * events and aggregates them into session statistics.
+ *
+ * Event types (every event has `type` and `timestamp`, an ISO string or null):
+ *   user        { text }                            - a message the user typed
+ *   assistant   { text, model, messageId, usage }   - an assistant turn (text is
+ *                                                     empty for tool-only turns)
+ *   tool_use    { id, name, input }
+ *   tool_result { id, name, isError, text, durationMs }
+ *   error       { message, source }                 - API or system errors
+ *   compaction  { trigger, preTokens }              - the context was compacted
+ *
+ * Transcripts are read line by line, so large sessions are never held in
+ * memory unless the caller collects the events.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+// Tools that read or change files, and the input field holding the path
+const FILE_READ_TOOLS = new Set(['Read', 'NotebookRead']);
+const FILE_EDIT_TOOLS = new Set(['Edit', 'MultiEdit', 'Write', 'NotebookEdit']);
+
+/**
+ * Flatten message content to text
+ * @param {string|Array} content - Message content
+ * @returns {string} Text blocks joined by newlines
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  return content
+    .map(block => (typeof block === 'string' ? block : block && block.type === 'text' ? block.text : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Get the file a tool call reads or edits
+ * @param {object} event - tool_use event
+ * @returns {string|null} File path
+ */
+function getToolFilePath(event) {
+  const { input } = event;
+  return (input && (input.file_path || input.notebook_path)) || null;
+}
+
+/**
+ * Reduce a shell command to what identifies it ("npm run build", "pytest", "git push")
+ * Used to match a failed command with a later run of the same command.
+ * @param {string} command - Shell command
+ * @returns {string} Command key
+ */
+function getCommandKey(command) {
+  const tokens = command.trim().replace(/^(sudo|env\s+\S+=\S+)\s+/, '').split(/\s+/);
+  const takes = ['run', 'exec', 'dlx', 'x'].includes(tokens[1]) ? 3 : 2;
+  return tokens.slice(0, takes).filter(t => !t.startsWith('-')).join(' ');
+}
+
+/**
+ * Create a parser turning transcript entries into events
+ * The parser remembers pending tool calls so results get their tool name and duration.
+ * @returns {object} { parseEntry(entry) -> events[] }
+ */
+function createParser() {
+  const pendingTools = new Map();
+
+  function parseEntry(entry) {
+    if (!entry || typeof entry !== 'object' || entry.isSidechain) return [];
+
+    const timestamp = entry.timestamp || null;
+    const message = entry.message;
+    const events = [];
+
+    if (entry.type === 'system') {
+      if (entry.subtype === 'compact_boundary') {
+        const metadata = entry.compactMetadata || {};
+        events.push({ type: 'compaction', timestamp, trigger: metadata.trigger || null, preTokens: metadata.preTokens || null });
+      } else if (entry.level === 'error') {
+        events.push({ type: 'error', timestamp, message: contentText(entry.content), source: 'system' });
+      }
+      return events;
+    }
+
+    if (!message) return events;
+
+    if (entry.type === 'assistant') {
+      if (entry.isApiErrorMessage) {
+        events.push({ type: 'error', timestamp, message: contentText(message.content), source: 'api' });
+        return events;
+      }
+
+      const blocks = Array.isArray(message.content) ? message.content : [];
+      const text = contentText(message.content).trim();
+      // Tool-only messages still carry token usage
+      if (text || message.usage) {
+        events.push({ type: 'assistant', timestamp, text, model: message.model || null, messageId: message.id || null, usage: message.usage || null });
+      }
+
+      for (const block of blocks) {
+        if (block && block.type === 'tool_use') {
+          const event = { type: 'tool_use', timestamp, id: block.id, name: block.name, input: block.input || {} };
+          pendingTools.set(block.id, event);
+          events.push(event);
+        }
+      }
+      return events;
+    }
+
+    if (entry.type === 'user') {
+      const blocks = Array.isArray(message.content) ? message.content : [];
+      const results = blocks.filter(block => block && block.type === 'tool_result');
+
+      for (const block of results) {
+        const call = pendingTools.get(block.tool_use_id);
+        pendingTools.delete(block.tool_use_id);
+
+        const started = call && call.timestamp ? Date.parse(call.timestamp) : NaN;
+        const finished = timestamp ? Date.parse(timestamp) : NaN;
+
+        events.push({
+          type: 'tool_result',
+          timestamp,
+          id: block.tool_use_id,
+          name: call ? call.name : null,
+          isError: block.is_error === true,
+          text: contentText(block.content),
+          durationMs: Number.isNaN(started) || Number.isNaN(finished) ? null : Math.max(0, finished - started)
+        });
+      }
+
+      const text = contentText(message.content).trim();
+      // Skip tool results, compaction summaries, injected command output and interruption notices
+      if (results.length === 0 && text && !entry.isMeta && !entry.isCompactSummary &&
+        !text.startsWith('<') && !text.startsWith('[Request interrupted')) {
+        events.push({ type: 'user', timestamp, text });
+      }
+    }
+
+    return events;
+  }
+
+  return { parseEntry };
+}
+
+/**
+ * Parse one transcript line
+ * @param {object} parser - Parser from createParser()
+ * @param {string} line - JSONL line
+ * @returns {object[]} Events (none for blank or malformed lines)
+ */
+function parseLine(parser, line) {
+  if (!line.trim()) return [];
+
+  try {
+    return parser.parseEntry(JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Stream the events of a transcript
+ * Malformed lines (e.g. a partially written last line) are skipped.
+ * @param {string} transcriptPath - Path to the JSONL transcript
+ * @yields {object} Events in transcript order
+ */
+async function* streamTranscript(transcriptPath) {
+  if (!transcriptPath || !fs.existsSync(transcriptPath)) return;
+
+  const parser = createParser();
+  const rl = readline.createInterface({
+    input: fs.createReadStream(transcriptPath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of rl) {
+    yield* parseLine(parser, line);
+  }
+}
+
+/**
+ * Read the events appended to a transcript since an earlier read
+ * Only complete lines are read; a partially written last line is left for the
+ * next call. Results of calls read by an earlier call have no name or duration.
+ * @param {string} transcriptPath - Path to the JSONL transcript
+ * @param {number} offset - Byte offset returned by the previous call (0 to read it all)
+ * @returns {Promise<object>} { events, offset, reset: true if the transcript shrank and was read from the start }
+ */
+async function readTranscriptFrom(transcriptPath, offset = 0) {
+  let size = 0;
+  try {
+    size = fs.statSync(transcriptPath).size;
+  } catch {
+    // Missing transcript: nothing to read
+  }
+
+  const reset = size < offset;
+  let position = reset ? 0 : offset;
+  const events = [];
+  if (position >= size) return { events, offset: position, reset };
+
+  const parser = createParser();
+  let partial = Buffer.alloc(0);
+
+  // Split on raw bytes so offsets stay exact whatever the encoding of the content
+  for await (const chunk of fs.createReadStream(transcriptPath, { start: position, end: size - 1 })) {
+    let data = partial.length > 0 ? Buffer.concat([partial, chunk]) : chunk;
+    let newline;
+    while ((newline = data.indexOf(0x0a)) !== -1) {
+      events.push(...parseLine(parser, data.toString('utf8', 0, newline)));
+      position += newline + 1;
+      data = data.subarray(newline + 1);
+    }
+    partial = data;
+  }
+
+  return { events, offset: position, reset };
+}
+
+/**
+ * Create an empty statistics object
+ * @returns {object} Stats (see addEventToStats)
+ */
+function createStats() {
+  return {
+    userMessages: 0,
+    assistantMessages: 0,
+    toolCalls: 0,
+    toolErrors: 0,
+    errors: 0,
+    compactions: 0,
+    tools: {},
+    toolDurationMs: 0,
+    usage: { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0 },
+    // Tokens sent with the latest request, i.e. the current context size
+    contextTokens: 0,
+    model: null,
+    filesRead: [],
+    filesModified: [],
+    fileEdits: {},
+    startedAt: null,
+    endedAt: null,
+    // Usage per message ID: a message split over several entries repeats its usage
+    _usageByMessage: new Map(),
+    _filesRead: new Set()
+  };
+}
+
+/**
+ * Get the tokens sent with a request, i.e. the context size at that point
+ * @param {object} usage - Usage of an assistant event
+ * @returns {number} Input plus cache tokens
+ */
+function getContextTokens(usage) {
+  return (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
+}
+
+/**
+ * Add one event to the statistics
+ * @param {object} stats - Stats from createStats()
+ * @param {object} event - Transcript event
+ * @returns {object} The same stats object
+ */
+function addEventToStats(stats, event) {
+  if (event.timestamp) {
+    if (!stats.startedAt) stats.startedAt = event.timestamp;
+    stats.endedAt = event.timestamp;
+  }
+
+  switch (event.type) {
+    case 'user':
+      stats.userMessages++;
+      break;
+    case 'assistant': {
+      if (event.text) stats.assistantMessages++;
+      if (event.model) stats.model = event.model;
+      if (event.usage) {
+        stats._usageByMessage.set(event.messageId || `#${stats._usageByMessage.size}`, event.usage);
+        stats.contextTokens = getContextTokens(event.usage);
+      }
+      break;
+    }
+    case 'tool_use': {
+      stats.toolCalls++;
+      stats.tools[event.name] = (stats.tools[event.name] || 0) + 1;
+
+      const file = getToolFilePath(event);
+      if (file && FILE_EDIT_TOOLS.has(event.name)) {
+        if (!stats.fileEdits[file]) stats.filesModified.push(file);
+        stats.fileEdits[file] = (stats.fileEdits[file] || 0) + 1;
+      } else if (file && FILE_READ_TOOLS.has(event.name) && !stats._filesRead.has(file)) {
+        stats._filesRead.add(file);
+        stats.filesRead.push(file);
+      }
+      break;
+    }
+    case 'tool_result':
+      if (event.isError) stats.toolErrors++;
+      if (event.durationMs) stats.toolDurationMs += event.durationMs;
+      break;
+    case 'error':
+      stats.errors++;
+      break;
+    case 'compaction':
+      stats.compactions++;
+      // Usage after a compaction starts from the summary
+      stats.contextTokens = 0;
+      break;
+  }
+
+  return stats;
+}
+
+/**
+ * Finish statistics: total the token usage and drop internal bookkeeping
+ * @param {object} stats - Stats from createStats()
+ * @returns {object} Final stats
+ */
+function finalizeStats(stats) {
+  const { _usageByMessage, _filesRead, ...result } = stats;
+  const usage = { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0 };
+
+  for (const u of _usageByMessage.values()) {
+    usage.inputTokens += u.input_tokens || 0;
+    usage.outputTokens += u.output_tokens || 0;
+    usage.cacheCreationTokens += u.cache_creation_input_tokens || 0;
+    usage.cacheReadTokens += u.cache_read_input_tokens || 0;
+  }
+
+  return { ...result, usage };
+}
+
+/**
+ * Aggregate events into statistics
+ * @param {Iterable<object>} events - Transcript events
+ * @returns {object} Stats: message/tool/error/compaction counts, tool histogram,
+ *   token usage, context size, files read and modified, first and last timestamp
+ */
+function computeStats(events) {
+  const stats = createStats();
+  for (const event of events) {
+    addEventToStats(stats, event);
+  }
+  return finalizeStats(stats);
+}
+
+/**
+ * Read a whole transcript
+ * @param {string} transcriptPath - Path to the JSONL transcript
+ * @param {object} options - { keep(event): events to collect (stats always cover every event) }
+ * @returns {Promise<object>} { events, stats }
+ */
+async function readTranscript(transcriptPath, options = {}) {
+  const { keep = null } = options;
+  const stats = createStats();
+  const events = [];
+
+  for await (const event of streamTranscript(transcriptPath)) {
+    addEventToStats(stats, event);
+    if (!keep || keep(event)) events.push(event);
+  }
+
+  return { events, stats: finalizeStats(stats) };
+}
+
+/**
+ * Compute statistics without keeping the events (for hooks that run often)
+ * @param {string} transcriptPath - Path to the JSONL transcript
+ * @returns {Promise<object>} Stats (see computeStats)
+ */
+async function getTranscriptStats(transcriptPath) {
+  const { stats } = await readTranscript(transcriptPath, { keep: () => false });
+  return stats;
+}
+
+/**
+ * Format a token count for logs, e.g. 48213 -> "48.2k"
+ * @param {number} tokens - Token count
+ * @returns {string} Short form
+ */
+function formatTokens(tokens) {
+  return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+}
+
+module.exports = {
+  FILE_EDIT_TOOLS,
+  contentText,
+  getToolFilePath,
+  getCommandKey,
+  createParser,
+  streamTranscript,
+  readTranscriptFrom,
+  getContextTokens,
+  computeStats,
+  readTranscript,
+  getTranscriptStats,
+  formatTokens
+};
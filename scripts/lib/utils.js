@@ -104,6 +104,65 @@ function getProjectName() {
   return path.basename(process.cwd()) || null;
 }
 
+/**
+ * Normalize a git remote URL so different spellings of the same remote compare equal
+ * e.g. "git@github.com:Owner/repo.git" and "https://user@github.com/Owner/repo" -> "github.com/Owner/repo"
+ * Credentials are dropped so they never end up in session files.
+ * @param {string} url - Remote URL
+ * @returns {string} Normalized remote
+ */
+function normalizeGitRemote(url) {
+  let normalized = url.trim()
+    .replace(/^[a-z+]+:\/\//i, '')
+    .replace(/^[^@/]+@/, '')
+    .replace(/\.git\/?$/, '')
+    .replace(/\/+$/, '');
+
+  // scp-style "host:owner/repo"
+  normalized = normalized.replace(/^([^/:]+):(?!\d+\/)/, '$1/');
+  // explicit port "host:22/owner/repo"
+  normalized = normalized.replace(/^([^/:]+):\d+\//, '$1/');
+
+  const [host, ...rest] = normalized.split('/');
+  return [host.toLowerCase(), ...rest].join('/');
+}
+
+/**
+ * Identify the project a directory belongs to
+ * Inside a git repository this is the repo root and origin remote; otherwise the directory itself.
+ * @param {string} cwd - Directory (defaults to process.cwd())
+ * @returns {object} { name, root, remote } (remote is null without an origin)
+ */
+function getProjectIdentity(cwd = process.cwd()) {
+  const root = runCommand('git rev-parse --show-toplevel', { cwd });
+
+  if (!root.success) {
+    const dir = path.resolve(cwd);
+    return { name: path.basename(dir) || null, root: dir, remote: null };
+  }
+
+  const remote = runCommand('git config --get remote.origin.url', { cwd });
+
+  return {
+    name: path.basename(root.output),
+    root: root.output,
+    remote: remote.success && remote.output ? normalizeGitRemote(remote.output) : null
+  };
+}
+
+/**
+ * Check whether two project identities refer to the same project
+ * Remotes win when both sides have one, so clones and worktrees of a repo match.
+ * @param {object} a - Project identity
+ * @param {object} b - Project identity
+ * @returns {boolean} True if both identify the same project
+ */
+function isSameProject(a, b) {
+  if (!a || !b) return false;
+  if (a.remote && b.remote) return a.remote === b.remote;
+  return !!a.root && a.root === b.root;
+}
+
 /**
  * Get short session ID from CLAUDE_SESSION_ID environment variable
  * Returns last 8 characters, falls back to project name then 'default'
@@ -130,6 +189,31 @@ function getDateTimeString() {
   return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
 }
 
+/**
+ * List a directory and its parents, nearest first, stopping at a repository root
+ * Outside a repository the walk stops below the home directory, so stray
+ * files in ~ (package.json, requirements.txt) don't count as the project's.
+ * @param {string} startDir - Directory to start from
+ * @returns {string[]} Directories
+ */
+function getAncestorDirs(startDir) {
+  const dirs = [];
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    dirs.push(dir);
+    // Never look outside the repository
+    if (fs.existsSync(path.join(dir, '.git'))) return dirs;
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  // Starting in ~ itself still looks there
+  const homeIndex = dirs.indexOf(path.resolve(getHomeDir()));
+  return homeIndex === -1 ? dirs : dirs.slice(0, Math.max(homeIndex, 1));
+}
+
 /**
  * Find files matching a pattern in a directory (cross-platform alternative to find)
  * @param {string} dir - Directory to search
@@ -231,6 +315,21 @@ function output(data) {
   }
 }
 
+/**
+ * Shorten text to a single line for logs and summaries
+ * @param {string} text - Text (null is treated as empty)
+ * @param {number} max - Maximum length, "..." included
+ * @param {object} options - { firstLine: keep only the first non-blank line instead of joining the lines }
+ * @returns {string} Single line
+ */
+function truncateLine(text, max = Infinity, options = {}) {
+  const value = String(text || '');
+  const line = options.firstLine
+    ? value.split('\n').map(l => l.trim()).find(Boolean) || ''
+    : value.replace(/\s+/g, ' ').trim();
+  return line.length > max ? `${line.slice(0, max - 3)}...` : line;
+}
+
 /**
  * Read a text file safely
  */
@@ -242,6 +341,36 @@ function readFile(filePath) {
   }
 }
 
+/**
+ * Read a JSON config file from ~/.claude and from the project's .claude directory
+ * The project file is the nearest .claude/<name> from projectDir up to the
+ * repository root, so it is found from subdirectories too. Callers merge the
+ * layers in order, so project settings override global ones.
+ * @param {string} name - Config file name, e.g. "compact.json"
+ * @param {string} projectDir - Project directory (or any directory inside it)
+ * @returns {object[]} Parsed configs, global first (missing or invalid files are left out)
+ */
+function readLayeredConfig(name, projectDir = process.cwd()) {
+  const globalFile = path.join(getClaudeDir(), name);
+  const projectFile = getAncestorDirs(projectDir)
+    .map(dir => path.join(dir, '.claude', name))
+    .find(file => file !== globalFile && fs.existsSync(file));
+  const layers = [];
+
+  for (const file of projectFile ? [globalFile, projectFile] : [globalFile]) {
+    const content = readFile(file);
+    if (!content) continue;
+    try {
+      const parsed = JSON.parse(content);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) layers.push(parsed);
+    } catch {
+      // Invalid config, ignore
+    }
+  }
+
+  return layers;
+}
+
 /**
  * Write a text file
  */
@@ -335,6 +464,47 @@ function getGitModifiedFiles(patterns = []) {
   return files;
 }
 
+/**
+ * Capture the current repository state (branch, HEAD, dirty files, upstream)
+ * @param {string} cwd - Directory inside the repository (defaults to process.cwd())
+ * @returns {object|null} Git state or null if not in a git repository
+ */
+function getGitState(cwd = process.cwd()) {
+  const git = args => runCommand(`git ${args}`, { cwd });
+
+  const root = git('rev-parse --show-toplevel');
+  if (!root.success) return null;
+
+  const branch = git('rev-parse --abbrev-ref HEAD');
+  const head = git('rev-parse HEAD');
+  const status = git('status --porcelain');
+  const upstream = git('rev-parse --abbrev-ref --symbolic-full-name @{u}');
+
+  let ahead = null;
+  let behind = null;
+  if (upstream.success) {
+    const counts = git('rev-list --left-right --count HEAD...@{u}');
+    if (counts.success) {
+      [ahead, behind] = counts.output.split(/\s+/).map(n => parseInt(n, 10));
+    }
+  }
+
+  return {
+    root: root.output,
+    // "HEAD" means a detached checkout
+    branch: branch.success && branch.output !== 'HEAD' ? branch.output : null,
+    head: head.success ? head.output : null,
+    dirtyFiles: status.success
+      // Output is trimmed, so the first line may have lost the leading space of its status code
+      ? status.output.split('\n').filter(Boolean).map(line => line.trim().replace(/^\S{1,2}\s+/, ''))
+      : [],
+    upstream: upstream.success ? upstream.output : null,
+    ahead,
+    behind,
+    capturedAt: new Date().toISOString()
+  };
+}
+
 /**
  * Replace text in a file (cross-platform sed alternative)
  */
@@ -403,10 +573,15 @@ module.exports = {
   getSessionIdShort,
   getGitRepoName,
   getProjectName,
+  getProjectIdentity,
+  isSameProject,
+  normalizeGitRemote,
 
   // File operations
+  getAncestorDirs,
   findFiles,
   readFile,
+  readLayeredConfig,
   writeFile,
   appendFile,
   replaceInFile,
@@ -418,9 +593,13 @@ module.exports = {
   log,
   output,
 
+  // Text
+  truncateLine,
+
   // System
   commandExists,
   runCommand,
   isGitRepo,
-  getGitModifiedFiles
+  getGitModifiedFiles,
+  getGitState
 };
@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+/**
+ * Package Manager MCP Server
+ *
+ * A local stdio MCP server that lets agents ask which package manager and
+ * commands to use for any directory, instead of relying on session-start
+ * log lines. Wraps scripts/lib/package-manager.js and scripts/lib/ecosystems.js.
+ *
+ * No dependencies: speaks JSON-RPC 2.0 over stdin/stdout, one message per
+ * line, as the MCP stdio transport specifies. Logs go to stderr.
+ *
+ * Usage (see mcp-configs/mcp-servers.json):
+ *   node scripts/mcp/package-manager-server.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const { log } = require('../lib/utils');
+const {
+  PACKAGE_MANAGERS,
+  getPackageManager,
+  getCommandTemplates,
+  getRunCommand,
+  getExecCommand,
+  getCommandPattern,
+  setProjectPackageManager,
+  diagnosePackageManager
+} = require('../lib/package-manager');
+const { detectToolchains } = require('../lib/ecosystems');
+
+const SERVER_INFO = { name: 'package-manager', version: '1.0.0' };
+
+// Newest first; the client's version is used when we support it
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+const directoryProperty = {
+  type: 'string',
+  description: 'Project directory (absolute, or relative to the server working directory). Defaults to the working directory.'
+};
+
+/**
+ * Tool error reported back to the agent (isError result, not a protocol error)
+ */
+class ToolError extends Error {}
+
+/**
+ * Resolve and check the directory argument
+ * @param {string|undefined} directory - Directory from the tool arguments
+ * @returns {string} Absolute directory path
+ */
+function resolveDirectory(directory) {
+  const dir = path.resolve(directory || process.cwd());
+
+  let stat;
+  try {
+    stat = fs.statSync(dir);
+  } catch {
+    throw new ToolError(`Directory not found: ${dir}`);
+  }
+  if (!stat.isDirectory()) {
+    throw new ToolError(`Not a directory: ${dir}`);
+  }
+
+  return dir;
+}
+
+/**
+ * Require a non-empty string argument
+ * @param {object} args - Tool arguments
+ * @param {string} name - Argument name
+ * @returns {string} Argument value
+ */
+function requireString(args, name) {
+  if (typeof args[name] !== 'string' || args[name].trim() === '') {
+    throw new ToolError(`"${name}" must be a non-empty string`);
+  }
+  return args[name].trim();
+}
+
+const TOOLS = [
+  {
+    name: 'get_package_manager',
+    description: 'Detect the package manager for a directory: name, how it was chosen, pinned version, workspace package, the install/test/build/run/exec commands to use, and every toolchain (Node.js, Python, PHP, Go, Rust) in the project.',
+    inputSchema: {
+      type: 'object',
+      properties: { directory: directoryProperty }
+    },
+    handler(args) {
+      const projectDir = resolveDirectory(args.directory);
+      const pm = getPackageManager({ projectDir });
+      const templates = getCommandTemplates(pm, projectDir);
+
+      return {
+        name: pm.name,
+        source: pm.source,
+        version: pm.version,
+        variant: templates.variant,
+        workspace: pm.workspace && {
+          root: pm.workspace.root,
+          package: pm.workspace.package && { path: pm.workspace.package.path, name: pm.workspace.package.name }
+        },
+        commands: {
+          install: getRunCommand('install', { projectDir }),
+          test: getRunCommand('test', { projectDir }),
+          build: getRunCommand('build', { projectDir }),
+          dev: getRunCommand('dev', { projectDir }),
+          run: templates.runCmd,
+          exec: templates.execCmd,
+          localExec: templates.localExecCmd
+        },
+        toolchains: detectToolchains({ projectDir }).map(t => ({
+          ecosystem: t.ecosystem,
+          tool: t.tool,
+          source: t.source,
+          root: t.root,
+          commands: t.config
+        }))
+      };
+    }
+  },
+  {
+    name: 'get_run_command',
+    description: 'Get the command that runs a package.json script (or install/test/build/dev) in a directory. Inside a workspace package the command is filtered to that package (pnpm --filter, yarn workspace, npm -w).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        script: { type: 'string', description: 'Script name, e.g. "test", "lint", "install"' },
+        directory: directoryProperty,
+        filter: { type: 'boolean', description: 'Filter to the current workspace package (default true)' }
+      },
+      required: ['script']
+    },
+    handler(args) {
+      const script = requireString(args, 'script');
+      const projectDir = resolveDirectory(args.directory);
+      return { command: getRunCommand(script, { projectDir, filter: args.filter !== false }) };
+    }
+  },
+  {
+    name: 'get_exec_command',
+    description: 'Get the command that executes a package binary (npx, pnpm dlx, yarn dlx, bunx, or the local-binary equivalent).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        binary: { type: 'string', description: 'Binary or package name, e.g. "prettier"' },
+        args: { type: 'string', description: 'Arguments to append' },
+        directory: directoryProperty,
+        local: { type: 'boolean', description: 'The binary is installed in the project (pnpm exec, yarn exec) rather than fetched on demand' }
+      },
+      required: ['binary']
+    },
+    handler(args) {
+      const binary = requireString(args, 'binary');
+      const projectDir = resolveDirectory(args.directory);
+      return {
+        command: getExecCommand(binary, typeof args.args === 'string' ? args.args : '', { projectDir, local: args.local === true })
+      };
+    }
+  },
+  {
+    name: 'get_command_pattern',
+    description: 'Get a regex matching an action ("dev", "install", "test", "build" or a script name) for every supported package manager and toolchain.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', description: 'Action, e.g. "test"' }
+      },
+      required: ['action']
+    },
+    handler(args) {
+      return { pattern: getCommandPattern(requireString(args, 'action')) };
+    }
+  },
+  {
+    name: 'set_project_package_manager',
+    description: 'Save the package manager for a project in <directory>/.claude/package-manager.json.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        packageManager: { type: 'string', enum: Object.keys(PACKAGE_MANAGERS) },
+        directory: directoryProperty
+      },
+      required: ['packageManager']
+    },
+    handler(args) {
+      const pmName = requireString(args, 'packageManager');
+      if (!PACKAGE_MANAGERS[pmName]) {
+        throw new ToolError(`Unknown package manager: ${pmName} (expected one of ${Object.keys(PACKAGE_MANAGERS).join(', ')})`);
+      }
+
+      const projectDir = resolveDirectory(args.directory);
+      const config = setProjectPackageManager(pmName, projectDir);
+      return { ...config, path: path.join(projectDir, '.claude', 'package-manager.json') };
+    }
+  },
+  {
+    name: 'diagnose_package_manager',
+    description: 'List every package manager signal in a directory (environment, configs, packageManager field, lock files, binaries) with conflicts, stale lock files and recommended fixes.',
+    inputSchema: {
+      type: 'object',
+      properties: { directory: directoryProperty }
+    },
+    handler(args) {
+      const projectDir = resolveDirectory(args.directory);
+      const report = diagnosePackageManager({ projectDir });
+      return {
+        selected: { name: report.selected.name, source: report.selected.source },
+        recommended: report.recommended,
+        signals: report.signals,
+        conflicts: report.conflicts,
+        warnings: report.warnings,
+        recommendations: report.recommendations
+      };
+    }
+  }
+];
+
+/**
+ * Run a tool call
+ * @param {object} params - { name, arguments }
+ * @returns {object} MCP tool result
+ */
+function callTool(params) {
+  const tool = TOOLS.find(t => t.name === params.name);
+  if (!tool) {
+    throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: INVALID_PARAMS });
+  }
+
+  try {
+    const result = tool.handler(params.arguments || {});
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      structuredContent: result
+    };
+  } catch (err) {
+    // Failures are reported to the agent as tool errors so it can correct the call
+    if (!(err instanceof ToolError)) {
+      log(`[PackageManagerMCP] ${tool.name} failed: ${err.stack || err.message}`);
+    }
+    return { content: [{ type: 'text', text: err.message }], isError: true };
+  }
+}
+
+/**
+ * Handle a JSON-RPC request
+ * @param {string} method - Method name
+ * @param {object} params - Request params
+ * @returns {object} Result
+ */
+function handleRequest(method, params) {
+  switch (method) {
+    case 'initialize': {
+      const requested = params.protocolVersion;
+      return {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: {} },
+        serverInfo: SERVER_INFO
+      };
+    }
+    case 'ping':
+      return {};
+    case 'tools/list':
+      return { tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })) };
+    case 'tools/call':
+      return callTool(params);
+    default:
+      throw Object.assign(new Error(`Method not found: ${method}`), { code: METHOD_NOT_FOUND });
+  }
+}
+
+/**
+ * Handle one JSON-RPC message
+ * @param {object} message - Parsed message
+ * @returns {object|null} Response, or null for notifications
+ */
+function handleMessage(message) {
+  const invalid = { jsonrpc: '2.0', id: null, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+
+  if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') return invalid;
+
+  if (typeof message.method !== 'string') {
+    // A response from the client; this server sends no requests, so there is nothing to match
+    return 'result' in message || 'error' in message ? null : { ...invalid, id: message.id ?? null };
+  }
+
+  // Notifications (initialized, cancelled) need no response
+  if (message.id === undefined) return null;
+
+  try {
+    return { jsonrpc: '2.0', id: message.id, result: handleRequest(message.method, message.params || {}) };
+  } catch (err) {
+    const code = Number.isInteger(err.code) ? err.code : INTERNAL_ERROR;
+    return { jsonrpc: '2.0', id: message.id, error: { code, message: err.message } };
+  }
+}
+
+/**
+ * Write a message to stdout
+ * @param {object} message - JSON-RPC message
+ */
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+function main() {
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+
+  rl.on('line', line => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+
+    // Batches (protocol 2025-03-26) get a batched response
+    if (Array.isArray(message)) {
+      const responses = message.map(handleMessage).filter(Boolean);
+      if (responses.length > 0) send(responses);
+      return;
+    }
+
+    const response = handleMessage(message);
+    if (response) send(response);
+  });
+
+  // The process exits once stdin closes and pending output is flushed
+  log('[PackageManagerMCP] Listening on stdio');
+}
+
+main();
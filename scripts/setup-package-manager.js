@@ -8,6 +8,7 @@
  * Usage:
  *   node scripts/setup-package-manager.js [pm-name]
  *   node scripts/setup-package-manager.js --detect
+ *   node scripts/setup-package-manager.js --doctor
  *   node scripts/setup-package-manager.js --global pnpm
  *   node scripts/setup-package-manager.js --project bun
  */
@@ -20,7 +21,12 @@ const {
   getAvailablePackageManagers,
   detectFromLockFile,
   detectFromPackageJson,
+  getRunCommand,
+  getCommandTemplates,
+  checkPackageManagerVersion,
+  diagnosePackageManager,
 } = require("./lib/package-manager");
+const { detectToolchains } = require("./lib/ecosystems");
 
 function showHelp() {
   console.log(`
@@ -31,6 +37,7 @@ Usage:
 
 Options:
   --detect        Detect and show current package manager
+  --doctor        Show every package manager signal, conflicts and fixes
   --global <pm>   Set global preference (saves to ~/.claude/package-manager.json)
   --project <pm>  Set project preference (saves to .claude/package-manager.json)
   --list          List available package managers
@@ -46,6 +53,9 @@ Examples:
   # Detect current package manager
   node scripts/setup-package-manager.js --detect
 
+  # Check for conflicting lock files and settings
+  node scripts/setup-package-manager.js --doctor
+
   # Set pnpm as global preference
   node scripts/setup-package-manager.js --global pnpm
 
@@ -68,6 +78,27 @@ function detectAndShow() {
   console.log("Current selection:");
   console.log(`  Package Manager: ${pm.name}`);
   console.log(`  Source: ${pm.source}`);
+
+  const versionCheck = checkPackageManagerVersion();
+  const templates = getCommandTemplates(pm);
+  console.log(`  Pinned version: ${versionCheck.pinned || "not pinned"}`);
+  console.log(`  Installed version: ${versionCheck.installed || "not installed"}`);
+  if (templates.variant) {
+    console.log(`  Command set: ${templates.variant}`);
+  }
+  console.log(
+    `  Corepack: ${versionCheck.corepack.available ? (versionCheck.corepack.shim ? `manages ${pm.name}` : `available, not managing ${pm.name}`) : "not installed"}`,
+  );
+  if (versionCheck.message) {
+    console.log(`  ⚠ ${versionCheck.message}`);
+  }
+  if (pm.workspace) {
+    const pkg = pm.workspace.package;
+    console.log(`  Workspace root: ${pm.workspace.root} (${pm.workspace.source})`);
+    console.log(
+      `  Workspace package: ${pkg ? (pkg.path ? `${pkg.name || "(unnamed)"} at ${pkg.path}` : "(root)") : "not a workspace package"}`,
+    );
+  }
   console.log("");
 
   console.log("Detection results:");
@@ -78,6 +109,17 @@ function detectAndShow() {
   );
   console.log("");
 
+  const toolchains = detectToolchains();
+  if (toolchains.length > 0) {
+    console.log("Toolchains:");
+    for (const toolchain of toolchains) {
+      console.log(
+        `  ${toolchain.ecosystem.padEnd(7)} ${toolchain.tool.padEnd(8)} ${toolchain.root}`,
+      );
+    }
+    console.log("");
+  }
+
   console.log("Available package managers:");
   for (const pmName of Object.keys(PACKAGE_MANAGERS)) {
     const installed = available.includes(pmName);
@@ -88,12 +130,59 @@ function detectAndShow() {
 
   console.log("");
   console.log("Commands:");
-  console.log(`  Install: ${pm.config.installCmd}`);
-  console.log(`  Run script: ${pm.config.runCmd} [script-name]`);
-  console.log(`  Execute binary: ${pm.config.execCmd} [binary-name]`);
+  console.log(`  Install: ${templates.installCmd}`);
+  console.log(`  Run script: ${templates.runCmd} [script-name]`);
+  if (pm.workspace && pm.workspace.package && pm.workspace.package.path) {
+    console.log(`  Run in this package: ${getRunCommand("[script-name]")}`);
+  }
+  console.log(`  Execute binary: ${templates.execCmd} [binary-name]`);
+  console.log(`  Execute local binary: ${templates.localExecCmd} [binary-name]`);
   console.log("");
 }
 
+function doctor() {
+  const report = diagnosePackageManager();
+
+  console.log("\n=== Package Manager Doctor ===\n");
+
+  console.log(`Selected: ${report.selected.name} (${report.selected.source})`);
+  if (report.recommended && report.recommended !== report.selected.name) {
+    console.log(`Project appears to use: ${report.recommended}`);
+  }
+  console.log("");
+
+  console.log("Signals:");
+  if (report.signals.length === 0) {
+    console.log("  (none)");
+  }
+  for (const signal of report.signals) {
+    console.log(
+      `  ${signal.type.padEnd(15)} ${String(signal.name).padEnd(6)} ${signal.detail}`,
+    );
+  }
+  console.log("");
+
+  const sections = [
+    ["Conflicts", "✗", report.conflicts],
+    ["Warnings", "⚠", report.warnings],
+    ["Recommendations", "→", report.recommendations],
+  ];
+  for (const [title, marker, lines] of sections) {
+    if (lines.length === 0) continue;
+    console.log(`${title}:`);
+    for (const line of lines) {
+      console.log(`  ${marker} ${line}`);
+    }
+    console.log("");
+  }
+
+  if (report.conflicts.length === 0 && report.warnings.length === 0) {
+    console.log("✓ No problems found\n");
+  }
+
+  return report.conflicts.length === 0;
+}
+
 function listAvailable() {
   const available = getAvailablePackageManagers();
   const pm = getPackageManager();
@@ -107,7 +196,7 @@ function listAvailable() {
 
     console.log(`${pmName}${current}`);
     console.log(`  Installed: ${installed ? "Yes" : "No"}`);
-    console.log(`  Lock file: ${config.lockFile}`);
+    console.log(`  Lock file: ${config.lockFiles.join(", ")}`);
     console.log(`  Install: ${config.installCmd}`);
     console.log(`  Run: ${config.runCmd}`);
     console.log("");
@@ -168,6 +257,10 @@ if (args.includes("--detect")) {
   process.exit(0);
 }
 
+if (args.includes("--doctor")) {
+  process.exit(doctor() ? 0 : 1);
+}
+
 if (args.includes("--list")) {
   listAvailable();
   process.exit(0);
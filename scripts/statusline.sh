@@ -9,6 +9,13 @@ model=$(echo "$input"        | jq -r '.model.display_name // empty')
 used_pct=$(echo "$input"     | jq -r '.context_window.used_percentage // empty')
 lines_added=$(echo "$input"  | jq -r '.cost.total_lines_added // empty')
 lines_removed=$(echo "$input"| jq -r '.cost.total_lines_removed // empty')
+session_id=$(echo "$input"   | jq -r '.session_id // empty')
+
+# Cache context usage for the compaction advisor (scripts/hooks/suggest-compact.js)
+if [ -n "$session_id" ] && [ -n "$used_pct" ]; then
+  safe_id=$(printf '%s' "$session_id" | tr -c 'A-Za-z0-9_-' '_')
+  printf '%s' "$used_pct" > "${TMPDIR:-/tmp}/claude-context-${safe_id}" 2>/dev/null
+fi
 
 # Directory basename
 [ -z "$cwd" ] && cwd="$PWD"
@@ -0,0 +1,17 @@
+/**
+ * Child process for file-lock.test.js
+ * Increments the counter in a store file with a locked read-modify-write.
+ * Usage: node lock-counter.js <store> <increments>
+ */
+
+const fs = require('fs');
+const { withFileLock, writeFileAtomic } = require('../../scripts/lib/file-lock');
+
+const [store, increments] = process.argv.slice(2);
+
+for (let i = 0; i < Number(increments); i++) {
+  withFileLock(store, () => {
+    const count = fs.existsSync(store) ? Number(fs.readFileSync(store, 'utf8')) : 0;
+    writeFileAtomic(store, String(count + 1));
+  }, { timeoutMs: 30000 });
+}
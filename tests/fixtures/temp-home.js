@@ -0,0 +1,37 @@
+/**
+ * Run each test of a suite with HOME pointing at a fresh temp directory,
+ * so ~/.claude is never the real one
+ */
+
+const { beforeEach, afterEach } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Give every test in the enclosing suite its own temp HOME
+ * @param {string} prefix - Temp directory name prefix
+ * @returns {Function} Returns the current temp HOME
+ */
+function useTempHome(prefix) {
+  const original = { HOME: process.env.HOME, USERPROFILE: process.env.USERPROFILE };
+  let home = null;
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    process.env.HOME = home;
+    process.env.USERPROFILE = home;
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(original)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  return () => home;
+}
+
+module.exports = { useTempHome };
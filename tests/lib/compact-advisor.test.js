@@ -0,0 +1,62 @@
+/**
+ * Tests for scripts/lib/compact-advisor.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { updateTranscriptState, detectPhaseTransition } = require('../../scripts/lib/compact-advisor');
+const { readTranscript } = require('../../scripts/lib/transcript');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'transcripts');
+
+describe('compact-advisor', () => {
+  describe('updateTranscriptState', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compact-advisor-test-'));
+      file = path.join(dir, 'session.jsonl');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('matches a full read when the transcript grows line by line', async () => {
+      for (const name of ['split-messages.jsonl', 'compaction.jsonl']) {
+        const lines = fs.readFileSync(path.join(FIXTURES, name), 'utf8').split(/(?<=\n)/);
+        let state = null;
+
+        fs.writeFileSync(file, '');
+        for (const line of lines) {
+          fs.appendFileSync(file, line);
+          state = await updateTranscriptState(file, JSON.parse(JSON.stringify(state)));
+        }
+
+        const { events, stats } = await readTranscript(file, { keep: e => e.type === 'tool_use' || e.type === 'tool_result' });
+        assert.strictEqual(state.offset, fs.statSync(file).size, name);
+        assert.strictEqual(state.contextTokens, stats.contextTokens, name);
+        assert.deepStrictEqual(state.events.map(e => [e.type, e.id]), events.map(e => [e.type, e.id]), name);
+        assert.deepStrictEqual(detectPhaseTransition(state.events), detectPhaseTransition(events), name);
+      }
+    });
+
+    it('starts over for another transcript, and skips usage when asked', async () => {
+      fs.copyFileSync(path.join(FIXTURES, 'split-messages.jsonl'), file);
+      const previous = { path: path.join(dir, 'other.jsonl'), offset: 50, contextTokens: 99999, events: [{ type: 'tool_use', id: 'old' }] };
+
+      const state = await updateTranscriptState(file, previous);
+      assert.strictEqual(state.contextTokens, 1210);
+      assert.strictEqual(state.events.some(e => e.id === 'old'), false);
+
+      const skipped = await updateTranscriptState(file, null, { trackUsage: false });
+      assert.strictEqual(skipped.contextTokens, null);
+      assert.deepStrictEqual(skipped.events, state.events);
+    });
+  });
+});
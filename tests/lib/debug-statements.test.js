@@ -0,0 +1,49 @@
+/**
+ * Tests for scripts/lib/debug-statements.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { useTempHome } = require('../fixtures/temp-home');
+const { DEFAULT_DEBUG_CONFIG, findDebugStatements, scanDebugStatements } = require('../../scripts/lib/debug-statements');
+
+describe('debug-statements', () => {
+  describe('findDebugStatements', () => {
+    it('honours debug-ok on the line and debug-ok-next-line on the line above', () => {
+      const findings = findDebugStatements('src/app.js', [
+        { line: 1, text: 'console.log(a); // debug-ok' },
+        { line: 2, text: 'console.log(b);', previous: '// debug-ok-next-line' },
+        { line: 3, text: 'console.log(c); // debug-ok-next-line' },
+        { line: 4, text: 'console.log(d);' }
+      ], DEFAULT_DEBUG_CONFIG);
+
+      // The next-line marker does not exempt its own line
+      assert.deepStrictEqual(findings.map(f => f.line), [3, 4]);
+    });
+  });
+
+  describe('scanDebugStatements', () => {
+    const getHome = useTempHome('debug-statements-test-');
+
+    it('reads the config from the repository root when run in a subdirectory', () => {
+      const repo = path.join(getHome(), 'repo');
+      const subdir = path.join(repo, 'src', 'cli');
+      fs.mkdirSync(subdir, { recursive: true });
+      execFileSync('git', ['init', '-q'], { cwd: repo });
+      fs.mkdirSync(path.join(repo, '.claude'));
+      fs.writeFileSync(path.join(repo, '.claude', 'debug-statements.json'), JSON.stringify({ strict: true, allow: ['src/cli/**'] }));
+      fs.writeFileSync(path.join(subdir, 'main.js'), 'console.log("usage");\n');
+      fs.writeFileSync(path.join(repo, 'src', 'app.js'), 'console.log(state);\n');
+
+      const result = scanDebugStatements({ cwd: subdir });
+
+      assert.strictEqual(fs.realpathSync(result.root), fs.realpathSync(repo));
+      assert.strictEqual(result.config.strict, true);
+      assert.deepStrictEqual(result.findings.map(f => f.file), ['src/app.js']);
+    });
+  });
+});
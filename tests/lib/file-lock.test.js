@@ -0,0 +1,93 @@
+/**
+ * Tests for scripts/lib/file-lock.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { fork, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getLockPath, acquireLock, withFileLock } = require('../../scripts/lib/file-lock');
+
+const COUNTER = path.join(__dirname, '..', 'fixtures', 'lock-counter.js');
+
+/**
+ * Run a child process to completion
+ * @param {string} script - Script path
+ * @param {string[]} args - Arguments
+ * @returns {Promise<number>} Exit code
+ */
+function runChild(script, args) {
+  return new Promise((resolve, reject) => {
+    fork(script, args, { stdio: 'inherit' }).on('exit', resolve).on('error', reject);
+  });
+}
+
+/**
+ * Get the pid of a process that has already exited
+ * @returns {number} Dead pid
+ */
+function getDeadPid() {
+  return Number(spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))'], { encoding: 'utf8' }).stdout);
+}
+
+describe('file-lock', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-test-'));
+    store = path.join(dir, 'store.txt');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loses no increments from concurrent writers', async () => {
+    const writers = 4;
+    const increments = 25;
+
+    const codes = await Promise.all(
+      Array.from({ length: writers }, () => runChild(COUNTER, [store, String(increments)]))
+    );
+
+    assert.deepStrictEqual(codes, Array(writers).fill(0));
+    assert.strictEqual(Number(fs.readFileSync(store, 'utf8')), writers * increments);
+    assert.strictEqual(fs.existsSync(getLockPath(store)), false);
+  });
+
+  it('takes over a lock whose owner process has exited', () => {
+    fs.writeFileSync(getLockPath(store), JSON.stringify({
+      pid: getDeadPid(),
+      host: os.hostname(),
+      token: 'stale',
+      acquiredAt: new Date().toISOString()
+    }));
+
+    const result = withFileLock(store, () => 'acquired', { timeoutMs: 1000 });
+
+    assert.strictEqual(result, 'acquired');
+    assert.strictEqual(fs.existsSync(getLockPath(store)), false);
+  });
+
+  it('times out on a lock held by a live process', () => {
+    fs.writeFileSync(getLockPath(store), JSON.stringify({
+      pid: process.ppid,
+      host: os.hostname(),
+      token: 'live',
+      acquiredAt: new Date().toISOString()
+    }));
+
+    assert.throws(() => acquireLock(store, { timeoutMs: 100 }), { code: 'ELOCKTIMEOUT' });
+  });
+
+  it('is re-entrant within a process', () => {
+    const result = withFileLock(store, () => withFileLock(store, () => 'nested', { timeoutMs: 100 }));
+
+    assert.strictEqual(result, 'nested');
+    assert.strictEqual(fs.existsSync(getLockPath(store)), false);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for scripts/lib/session-aliases.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { useTempHome } = require('../fixtures/temp-home');
+const {
+  ALIAS_VERSION,
+  getAliasesPath,
+  loadAliases,
+  saveAliases,
+  migrateAliasData,
+  migrateAliasesFile,
+  verifyAliases,
+  setAlias
+} = require('../../scripts/lib/session-aliases');
+
+const V1_FILE = {
+  version: '1.0',
+  aliases: {
+    work: { sessionPath: '/home/me/.claude/sessions/2026-01-05-aaaaaaaa-session.tmp', createdAt: '2026-01-05T10:00:00.000Z', title: 'Work' }
+  }
+};
+
+describe('session-aliases', () => {
+  const getHome = useTempHome('session-aliases-test-');
+
+  /**
+   * Write the aliases file
+   * @param {object|string} content - Data, or raw text
+   */
+  function writeAliasesFile(content) {
+    fs.mkdirSync(path.dirname(getAliasesPath()), { recursive: true });
+    fs.writeFileSync(getAliasesPath(), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+
+  const listBackups = () => fs.readdirSync(path.join(getHome(), '.claude')).filter(name => name.endsWith('.bak'));
+
+  describe('migrateAliasData', () => {
+    it('upgrades 1.0 data to the current version', () => {
+      const { data, applied } = migrateAliasData(V1_FILE);
+
+      assert.strictEqual(data.version, ALIAS_VERSION);
+      assert.deepStrictEqual(applied, ['1.0 -> 2.0']);
+      assert.deepStrictEqual(data.aliases.work, { ...V1_FILE.aliases.work, tags: [], group: false, history: [] });
+    });
+
+    it('treats data without a version as 1.0', () => {
+      const { version, ...unversioned } = V1_FILE;
+      assert.deepStrictEqual(migrateAliasData(unversioned).applied, [`${version} -> 2.0`]);
+    });
+
+    it('refuses to downgrade newer data', () => {
+      assert.throws(() => migrateAliasData({ version: '9.0', aliases: {} }), /newer than supported .* refusing to downgrade/);
+    });
+  });
+
+  describe('migrateAliasesFile', () => {
+    it('migrates a 1.0 file and keeps a backup of the original', () => {
+      writeAliasesFile(V1_FILE);
+      const original = fs.readFileSync(getAliasesPath(), 'utf8');
+
+      const result = migrateAliasesFile();
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual([result.from, result.to, result.changed], ['1.0', ALIAS_VERSION, true]);
+      assert.strictEqual(fs.readFileSync(result.backupPath, 'utf8'), original);
+      assert.match(path.basename(result.backupPath), /^session-aliases\.json\.v1\.0-.+\.bak$/);
+      assert.strictEqual(JSON.parse(fs.readFileSync(getAliasesPath(), 'utf8')).version, ALIAS_VERSION);
+
+      // Nothing left to do the second time
+      const again = migrateAliasesFile();
+      assert.deepStrictEqual([again.success, again.changed], [true, false]);
+      assert.strictEqual(listBackups().length, 1);
+    });
+
+    it('reports without writing on a dry run', () => {
+      writeAliasesFile(V1_FILE);
+      const original = fs.readFileSync(getAliasesPath(), 'utf8');
+
+      assert.deepStrictEqual(migrateAliasesFile({ dryRun: true }).applied, ['1.0 -> 2.0']);
+      assert.strictEqual(fs.readFileSync(getAliasesPath(), 'utf8'), original);
+      assert.deepStrictEqual(listBackups(), []);
+    });
+
+    it('refuses a file of a newer version', () => {
+      writeAliasesFile({ version: '9.0', aliases: {} });
+      const original = fs.readFileSync(getAliasesPath(), 'utf8');
+
+      const result = migrateAliasesFile();
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /newer than supported/);
+      assert.strictEqual(fs.readFileSync(getAliasesPath(), 'utf8'), original);
+    });
+  });
+
+  describe('saveAliases', () => {
+    it('backs up a 1.0 file before saving over it', () => {
+      writeAliasesFile(V1_FILE);
+      const original = fs.readFileSync(getAliasesPath(), 'utf8');
+
+      assert.strictEqual(setAlias('notes', '/tmp/2026-01-06-bbbbbbbb-session.tmp').success, true);
+
+      const [backup] = listBackups();
+      assert.strictEqual(fs.readFileSync(path.join(getHome(), '.claude', backup), 'utf8'), original);
+      const saved = JSON.parse(fs.readFileSync(getAliasesPath(), 'utf8'));
+      assert.strictEqual(saved.version, ALIAS_VERSION);
+      assert.deepStrictEqual(Object.keys(saved.aliases).sort(), ['notes', 'work']);
+    });
+
+    it('refuses to overwrite an invalid file', () => {
+      writeAliasesFile('{ "aliases": { broken');
+
+      assert.strictEqual(saveAliases(loadAliases()), false);
+      assert.strictEqual(setAlias('notes', '/tmp/2026-01-06-bbbbbbbb-session.tmp').success, false);
+      assert.strictEqual(fs.readFileSync(getAliasesPath(), 'utf8'), '{ "aliases": { broken');
+      assert.strictEqual(verifyAliases().status, 'invalid');
+    });
+
+    it('refuses to overwrite a newer file', () => {
+      writeAliasesFile({ version: '9.0', aliases: { future: { sessionPath: 'x', shape: 'unknown' } } });
+      const original = fs.readFileSync(getAliasesPath(), 'utf8');
+
+      assert.strictEqual(saveAliases({ version: ALIAS_VERSION, aliases: {} }), false);
+      assert.strictEqual(fs.readFileSync(getAliasesPath(), 'utf8'), original);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for scripts/lib/session-archive.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { useTempHome } = require('../fixtures/temp-home');
+const { planRetention, applyRetention, loadRetentionPolicy, DEFAULT_RETENTION_POLICY } = require('../../scripts/lib/session-archive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+describe('session-archive', () => {
+  const getHome = useTempHome('session-archive-test-');
+
+  /**
+   * Create a session file last modified some days before NOW
+   * @param {string} filename - Session filename
+   * @param {number} ageDays - Days since the last modification
+   */
+  function addSession(filename, ageDays) {
+    const dir = path.join(getHome(), '.claude', 'sessions');
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, filename);
+    fs.writeFileSync(file, `# Session ${filename}\n`);
+    const mtime = new Date(NOW.getTime() - ageDays * DAY_MS);
+    fs.utimesSync(file, mtime, mtime);
+  }
+
+  describe('planRetention', () => {
+    it('prunes only sessions older than keepDays', () => {
+      addSession('2026-03-09-aaaaaaaa-session.tmp', 1);
+      addSession('2026-01-01-bbbbbbbb-session.tmp', 68);
+
+      const plan = planRetention({ ...DEFAULT_RETENTION_POLICY, keepDays: 30 }, NOW);
+
+      assert.strictEqual(plan.error, undefined);
+      assert.deepStrictEqual(plan.keep.map(s => s.filename), ['2026-03-09-aaaaaaaa-session.tmp']);
+      assert.deepStrictEqual(plan.prune.map(s => s.filename), ['2026-01-01-bbbbbbbb-session.tmp']);
+    });
+
+    it('refuses NaN, negative and string keepDays', () => {
+      addSession('2026-03-09-aaaaaaaa-session.tmp', 1);
+      addSession('2026-03-08-bbbbbbbb-session.tmp', 2);
+
+      for (const keepDays of [NaN, -1, '14', 1.5, null]) {
+        const plan = planRetention({ ...DEFAULT_RETENTION_POLICY, keepDays }, NOW);
+        assert.match(plan.error, /keepDays must be a non-negative integer/, String(keepDays));
+        assert.deepStrictEqual(plan.prune, [], String(keepDays));
+      }
+    });
+
+    it('refuses an unknown action', () => {
+      const plan = planRetention({ ...DEFAULT_RETENTION_POLICY, action: 'shred' }, NOW);
+      assert.match(plan.error, /action must be one of archive, delete/);
+    });
+  });
+
+  describe('applyRetention', () => {
+    it('prunes nothing when the configured policy is invalid', () => {
+      addSession('2026-01-01-bbbbbbbb-session.tmp', 400);
+      fs.writeFileSync(path.join(getHome(), '.claude', 'session-retention.json'), JSON.stringify({ keepDays: 'forever' }));
+
+      assert.strictEqual(loadRetentionPolicy().keepDays, 'forever');
+      const result = applyRetention();
+
+      assert.match(result.error, /Invalid retention policy/);
+      assert.deepStrictEqual([result.archived, result.deleted, result.failed], [[], [], []]);
+      assert.ok(fs.existsSync(path.join(getHome(), '.claude', 'sessions', '2026-01-01-bbbbbbbb-session.tmp')));
+    });
+
+    it('archives old sessions into a bundle', () => {
+      addSession('2026-01-01-bbbbbbbb-session.tmp', 400);
+
+      const result = applyRetention();
+
+      assert.strictEqual(result.error, undefined);
+      assert.deepStrictEqual(result.archived.map(s => s.filename), ['2026-01-01-bbbbbbbb-session.tmp']);
+      assert.deepStrictEqual(fs.readdirSync(path.join(getHome(), '.claude', 'sessions', 'archive')), ['2026-01.json.gz']);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for scripts/lib/session-learning.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { findPatterns, writeSkillDrafts } = require('../../scripts/lib/session-learning');
+const { readTranscript } = require('../../scripts/lib/transcript');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'transcripts');
+
+/**
+ * Read the correction candidates of a fixture transcript
+ * @param {string} name - Fixture file name
+ * @param {object} options - Learning options
+ * @returns {Promise<object[]>} Correction candidates
+ */
+async function readCorrections(name, options = {}) {
+  const { events } = await readTranscript(path.join(FIXTURES, name));
+  return findPatterns(events, options).filter(c => c.kind === 'correction');
+}
+
+describe('session-learning', () => {
+  describe('corrections', () => {
+    it('counts a correction only when the agent redoes or reverts the action', async () => {
+      const corrections = await readCorrections('corrections.jsonl', { maxCorrections: 10 });
+
+      assert.deepStrictEqual(corrections.map(c => c.fingerprint), [
+        'correction:Edit:/repo/src/config.js',
+        'correction:Bash:npm run build',
+        'correction:Write:/repo/CHANGELOG.md'
+      ]);
+      assert.match(corrections[1].solution, /redid it with `Bash: npm run build -- --prod`/);
+      assert.match(corrections[2].solution, /reverted it with `Bash: git checkout -- CHANGELOG.md`/);
+    });
+
+    it('keeps the user text to one short line', async () => {
+      const [, build] = await readCorrections('corrections.jsonl', { maxCorrections: 10 });
+
+      assert.match(build.problem, /Wait, build with the production flag/);
+      assert.doesNotMatch(`${build.problem}${build.solution}${build.description}`, /bundle size check/);
+    });
+
+    it('caps correction drafts per session', async () => {
+      const corrections = await readCorrections('corrections.jsonl');
+      assert.strictEqual(corrections.length, 1);
+    });
+
+    it('finds none in a session without corrections', async () => {
+      assert.deepStrictEqual(await readCorrections('split-messages.jsonl', { maxCorrections: 10 }), []);
+    });
+  });
+
+  describe('writeSkillDrafts', () => {
+    it('does not draft the same corrected action twice', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-learning-test-'));
+
+      try {
+        const corrections = await readCorrections('corrections.jsonl', { maxCorrections: 10 });
+        const first = writeSkillDrafts(corrections, dir, { maxDrafts: 10 });
+        assert.strictEqual(first.written.length, 3);
+
+        // Reworded feedback about the same action is still the same pattern
+        const reworded = corrections.map(c => ({ ...c, problem: 'Reworded', description: 'Reworded' }));
+        assert.deepStrictEqual(writeSkillDrafts(reworded, dir, { maxDrafts: 10 }), { written: [], duplicates: 3 });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
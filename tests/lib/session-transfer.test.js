@@ -0,0 +1,104 @@
+/**
+ * Tests for scripts/lib/session-transfer.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { useTempHome } = require('../fixtures/temp-home');
+const { exportSessions, importSessions, readExportBundle } = require('../../scripts/lib/session-transfer');
+const { setAlias, loadAliases } = require('../../scripts/lib/session-aliases');
+
+const SESSION = '2026-01-05-aaaaaaaa-session.tmp';
+const OTHER = '2026-01-06-bbbbbbbb-session.tmp';
+
+describe('session-transfer', () => {
+  const getHome = useTempHome('session-transfer-test-');
+  let bundlePath;
+
+  const sessionsDir = () => path.join(getHome(), '.claude', 'sessions');
+  const readSession = filename => fs.readFileSync(path.join(sessionsDir(), filename), 'utf8');
+  const aliasTarget = name => {
+    const info = loadAliases().aliases[name];
+    return info ? path.basename(info.sessionPath) : null;
+  };
+
+  beforeEach(() => {
+    fs.mkdirSync(sessionsDir(), { recursive: true });
+    fs.writeFileSync(path.join(sessionsDir(), SESSION), '# Exported session\n');
+    fs.writeFileSync(path.join(sessionsDir(), OTHER), '# Other session\n');
+    assert.strictEqual(setAlias('work', path.join(sessionsDir(), SESSION), 'Work', { tags: ['billing'] }).success, true);
+
+    bundlePath = path.join(getHome(), 'export.json.gz');
+    const exported = exportSessions(['work'], bundlePath);
+    assert.strictEqual(exported.success, true);
+    assert.strictEqual(exported.aliasCount, 1);
+
+    // The local copies diverge after the export
+    fs.writeFileSync(path.join(sessionsDir(), SESSION), '# Edited locally\n');
+    assert.strictEqual(setAlias('work', path.join(sessionsDir(), OTHER)).success, true);
+  });
+
+  it('round-trips into an empty home', () => {
+    fs.rmSync(path.join(getHome(), '.claude'), { recursive: true, force: true });
+
+    const result = importSessions(bundlePath);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.sessions.map(s => s.action), ['imported']);
+    assert.deepStrictEqual(result.aliases.map(a => [a.target, a.action]), [['work', 'imported']]);
+    assert.strictEqual(readSession(SESSION), '# Exported session\n');
+    assert.strictEqual(aliasTarget('work'), SESSION);
+    assert.deepStrictEqual(loadAliases().aliases.work.tags, ['billing']);
+
+    // Importing again changes nothing
+    const again = importSessions(bundlePath);
+    assert.deepStrictEqual(again.sessions.map(s => s.action), ['identical']);
+    assert.deepStrictEqual(again.aliases.map(a => a.action), ['identical']);
+  });
+
+  it('renames conflicting sessions and aliases', () => {
+    const result = importSessions(bundlePath, { onConflict: 'rename' });
+    const [session] = result.sessions;
+
+    assert.strictEqual(session.action, 'renamed');
+    assert.notStrictEqual(session.target, SESSION);
+    assert.strictEqual(readSession(session.target), '# Exported session\n');
+    assert.strictEqual(readSession(SESSION), '# Edited locally\n');
+    assert.deepStrictEqual(result.aliases.map(a => [a.target, a.action]), [['work-imported', 'renamed']]);
+    assert.strictEqual(aliasTarget('work-imported'), session.target);
+    assert.strictEqual(aliasTarget('work'), OTHER);
+  });
+
+  it('keeps the local copies with skip', () => {
+    const result = importSessions(bundlePath, { onConflict: 'skip' });
+
+    assert.deepStrictEqual(result.sessions.map(s => s.action), ['skipped']);
+    assert.deepStrictEqual(result.aliases.map(a => a.action), ['skipped']);
+    assert.strictEqual(readSession(SESSION), '# Edited locally\n');
+    assert.strictEqual(aliasTarget('work'), OTHER);
+  });
+
+  it('replaces the local copies with overwrite', () => {
+    const result = importSessions(bundlePath, { onConflict: 'overwrite' });
+
+    assert.deepStrictEqual(result.sessions.map(s => s.action), ['overwritten']);
+    assert.deepStrictEqual(result.aliases.map(a => [a.target, a.action]), [['work', 'overwritten']]);
+    assert.strictEqual(readSession(SESSION), '# Exported session\n');
+    assert.strictEqual(aliasTarget('work'), SESSION);
+  });
+
+  it('rejects a bundle with a bad alias entry before writing anything', () => {
+    const { bundle } = readExportBundle(bundlePath);
+    fs.rmSync(path.join(getHome(), '.claude'), { recursive: true, force: true });
+
+    for (const aliases of [{ broken: null }, { broken: 'x' }, { broken: { group: true, sessions: null } }, { broken: { sessionPath: 7 } }, []]) {
+      const result = importSessions({ ...bundle, aliases });
+      assert.strictEqual(result.success, false, JSON.stringify(aliases));
+      assert.match(result.error, /alias/i);
+    }
+    assert.strictEqual(fs.existsSync(sessionsDir()), false);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests for scripts/lib/transcript.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { readTranscript, readTranscriptFrom, computeStats, getTranscriptStats } = require('../../scripts/lib/transcript');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'transcripts');
+
+/**
+ * Read a fixture transcript
+ * @param {string} name - Fixture file name
+ * @returns {Promise<object>} { events, stats }
+ */
+function readFixture(name) {
+  return readTranscript(path.join(FIXTURES, name));
+}
+
+describe('transcript', () => {
+  describe('split assistant messages', () => {
+    it('counts the usage of a message split over several entries once', async () => {
+      const { stats } = await readFixture('split-messages.jsonl');
+
+      assert.deepStrictEqual(stats.usage, {
+        inputTokens: 160,
+        outputTokens: 75,
+        cacheCreationTokens: 1200,
+        cacheReadTokens: 2200
+      });
+      // The latest request: input plus cache tokens
+      assert.strictEqual(stats.contextTokens, 1210);
+      assert.strictEqual(stats.assistantMessages, 2);
+      assert.strictEqual(stats.model, 'claude-test');
+    });
+  });
+
+  describe('tool calls', () => {
+    it('pairs results with their calls, out of order included', async () => {
+      const { events } = await readFixture('split-messages.jsonl');
+      const results = events.filter(e => e.type === 'tool_result');
+
+      assert.deepStrictEqual(
+        results.map(({ id, name, isError, text, durationMs }) => ({ id, name, isError, text, durationMs })),
+        [
+          { id: 'toolu_1', name: 'Read', isError: false, text: 'module.exports = parse;', durationMs: 1500 },
+          { id: 'toolu_3', name: 'Edit', isError: false, text: 'File updated', durationMs: 3000 },
+          { id: 'toolu_2', name: 'Bash', isError: true, text: '1 test failed', durationMs: 3000 }
+        ]
+      );
+    });
+
+    it('aggregates tools, errors, durations and files', async () => {
+      const { stats } = await readFixture('split-messages.jsonl');
+
+      assert.strictEqual(stats.toolCalls, 3);
+      assert.strictEqual(stats.toolErrors, 1);
+      assert.strictEqual(stats.toolDurationMs, 7500);
+      assert.deepStrictEqual(stats.tools, { Read: 1, Bash: 1, Edit: 1 });
+      assert.deepStrictEqual(stats.filesRead, ['/repo/src/parser.js']);
+      assert.deepStrictEqual(stats.filesModified, ['/repo/src/parser.js']);
+      assert.deepStrictEqual(stats.fileEdits, { '/repo/src/parser.js': 1 });
+      assert.strictEqual(stats.startedAt, '2026-01-05T10:00:00.000Z');
+      assert.strictEqual(stats.endedAt, '2026-01-05T10:00:10.000Z');
+    });
+  });
+
+  describe('entry flags', () => {
+    it('skips sidechains, meta entries, compact summaries, commands and interruptions', async () => {
+      const { events, stats } = await readFixture('flags.jsonl');
+
+      assert.deepStrictEqual(events.map(e => [e.type, e.text]), [
+        ['user', 'Add a --verbose flag'],
+        ['assistant', 'Adding the flag.']
+      ]);
+      assert.strictEqual(stats.userMessages, 1);
+      assert.strictEqual(stats.toolCalls, 0);
+      // Sidechain usage belongs to the subagent, not this context
+      assert.strictEqual(stats.usage.inputTokens, 30);
+    });
+  });
+
+  describe('compactions and errors', () => {
+    it('reports compact boundaries, API errors and system errors', async () => {
+      const { events } = await readFixture('compaction.jsonl');
+
+      assert.deepStrictEqual(events.filter(e => e.type === 'compaction').map(({ trigger, preTokens }) => ({ trigger, preTokens })), [
+        { trigger: 'auto', preTokens: 150100 }
+      ]);
+      assert.deepStrictEqual(events.filter(e => e.type === 'error').map(({ message, source }) => ({ message, source })), [
+        { message: 'API Error: 529 Overloaded', source: 'api' },
+        { message: 'Hook failed: exit code 1', source: 'system' }
+      ]);
+    });
+
+    it('restarts the context size after a compaction', async () => {
+      const { stats } = await readFixture('compaction.jsonl');
+
+      assert.strictEqual(stats.compactions, 1);
+      assert.strictEqual(stats.errors, 2);
+      assert.strictEqual(stats.contextTokens, 9300);
+      // API error messages carry no real usage
+      assert.strictEqual(stats.usage.inputTokens, 2300);
+      assert.strictEqual(stats.assistantMessages, 2);
+    });
+  });
+
+  describe('truncated transcripts', () => {
+    it('skips a partially written last line', async () => {
+      const { events, stats } = await readFixture('truncated.jsonl');
+
+      assert.deepStrictEqual(events.map(e => e.type), ['user', 'assistant', 'tool_use']);
+      assert.strictEqual(stats.toolCalls, 1);
+      assert.strictEqual(stats.toolErrors, 0);
+      assert.deepStrictEqual(stats.filesModified, ['/repo/config.js']);
+    });
+
+    it('returns empty results for a missing transcript', async () => {
+      const { events, stats } = await readFixture('missing.jsonl');
+
+      assert.deepStrictEqual(events, []);
+      assert.strictEqual(stats.toolCalls, 0);
+      assert.strictEqual(stats.startedAt, null);
+    });
+  });
+
+  describe('readTranscriptFrom', () => {
+    it('reads complete lines and resumes where it stopped', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-test-'));
+      const file = path.join(dir, 'session.jsonl');
+      const content = fs.readFileSync(path.join(FIXTURES, 'truncated.jsonl'), 'utf8');
+      const partial = content.slice(content.lastIndexOf('\n') + 1);
+
+      try {
+        fs.writeFileSync(file, content);
+        const first = await readTranscriptFrom(file, 0);
+        assert.deepStrictEqual(first.events.map(e => e.type), ['user', 'assistant', 'tool_use']);
+        assert.strictEqual(first.offset, Buffer.byteLength(content) - Buffer.byteLength(partial));
+        assert.deepStrictEqual(await readTranscriptFrom(file, first.offset), { events: [], offset: first.offset, reset: false });
+
+        // The writer finishes the last line
+        const rest = JSON.stringify({ type: 'user', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_t', content: 'ok' }] } });
+        fs.writeFileSync(file, content.slice(0, content.length - partial.length) + rest + '\n');
+        const second = await readTranscriptFrom(file, first.offset);
+        assert.deepStrictEqual(second.events.map(e => [e.type, e.id, e.name]), [['tool_result', 'toolu_t', null]]);
+        assert.strictEqual(second.offset, fs.statSync(file).size);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('starts over when the transcript shrank', async () => {
+      const file = path.join(FIXTURES, 'flags.jsonl');
+      const { events } = await readTranscriptFrom(file, 0);
+      const result = await readTranscriptFrom(file, fs.statSync(file).size + 100);
+
+      assert.strictEqual(result.reset, true);
+      assert.deepStrictEqual(result.events, events);
+      assert.deepStrictEqual(await readTranscriptFrom(path.join(FIXTURES, 'missing.jsonl'), 0), { events: [], offset: 0, reset: false });
+    });
+  });
+
+  describe('computeStats', () => {
+    it('matches the stats read along with the transcript', async () => {
+      for (const name of ['split-messages.jsonl', 'flags.jsonl', 'compaction.jsonl', 'truncated.jsonl']) {
+        const { events, stats } = await readFixture(name);
+        assert.deepStrictEqual(computeStats(events), stats, name);
+      }
+    });
+
+    it('covers every event even when none are kept', async () => {
+      const { stats } = await readFixture('split-messages.jsonl');
+      const kept = await readTranscript(path.join(FIXTURES, 'split-messages.jsonl'), { keep: e => e.type === 'tool_use' });
+
+      assert.deepStrictEqual(kept.events.map(e => e.name), ['Read', 'Bash', 'Edit']);
+      assert.deepStrictEqual(kept.stats, stats);
+      assert.deepStrictEqual(await getTranscriptStats(path.join(FIXTURES, 'split-messages.jsonl')), stats);
+    });
+  });
+});
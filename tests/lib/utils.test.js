@@ -0,0 +1,66 @@
+/**
+ * Tests for scripts/lib/utils.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { useTempHome } = require('../fixtures/temp-home');
+const { readLayeredConfig } = require('../../scripts/lib/utils');
+
+describe('utils', () => {
+  describe('readLayeredConfig', () => {
+    const getHome = useTempHome('utils-test-');
+
+    /**
+     * Write a JSON file, creating its directory
+     * @param {string} file - File path
+     * @param {*} data - Content
+     */
+    function writeJson(file, data) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+    }
+
+    it('reads the project file from the repository root in a subdirectory', () => {
+      const repo = path.join(getHome(), 'work', 'repo');
+      const subdir = path.join(repo, 'packages', 'app');
+      fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+      fs.mkdirSync(subdir, { recursive: true });
+      writeJson(path.join(getHome(), '.claude', 'test.json'), { a: 1 });
+      writeJson(path.join(repo, '.claude', 'test.json'), { a: 2 });
+
+      assert.deepStrictEqual(readLayeredConfig('test.json', subdir), [{ a: 1 }, { a: 2 }]);
+      assert.deepStrictEqual(readLayeredConfig('test.json', repo), [{ a: 1 }, { a: 2 }]);
+    });
+
+    it('prefers the nearest project file and stops at the repository root', () => {
+      const outer = path.join(getHome(), 'work');
+      const repo = path.join(outer, 'repo');
+      const subdir = path.join(repo, 'packages', 'app');
+      fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+      writeJson(path.join(outer, '.claude', 'test.json'), { a: 'outside' });
+      writeJson(path.join(subdir, '.claude', 'test.json'), { a: 'nearest' });
+      writeJson(path.join(repo, '.claude', 'test.json'), { a: 'root' });
+
+      assert.deepStrictEqual(readLayeredConfig('test.json', subdir), [{ a: 'nearest' }]);
+      assert.deepStrictEqual(readLayeredConfig('test.json', path.join(repo, 'packages')), [{ a: 'root' }]);
+    });
+
+    it('does not read the global file twice from the home directory', () => {
+      writeJson(path.join(getHome(), '.claude', 'test.json'), { a: 1 });
+      assert.deepStrictEqual(readLayeredConfig('test.json', getHome()), [{ a: 1 }]);
+    });
+
+    it('skips invalid and non-object files', () => {
+      const repo = path.join(getHome(), 'repo');
+      fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+      writeJson(path.join(getHome(), '.claude', 'test.json'), '{ not json');
+      writeJson(path.join(repo, '.claude', 'test.json'), [1, 2]);
+
+      assert.deepStrictEqual(readLayeredConfig('test.json', repo), []);
+    });
+  });
+});